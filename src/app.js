@@ -10,10 +10,22 @@ import helmet from 'helmet';
 import swaggerJSDoc from 'swagger-jsdoc';
 import swaggerUi from 'swagger-ui-express';
 
+import alertRoutes from './routes/alertRoutes.js';
+import analyticsRoutes from './routes/analyticsRoutes.js';
 import dataRoutes from './routes/dataRoutes.js';
 import decoderRoutes from './routes/decoderRoutes.js';
+import deviceRoutes from './routes/deviceRoutes.js';
+import ingestRoutes from './routes/ingestRoutes.js';
+import metricsRoutes from './routes/metricsRoutes.js';
+import pollerRoutes from './routes/pollerRoutes.js';
+import streamRoutes from './routes/streamRoutes.js';
+import webhookRoutes from './routes/webhookRoutes.js';
 import config from './config/config.js';
+import cacheService from './services/cacheService.js';
+import pollerService from './services/pollerService.js';
+import websocketService from './services/websocketService.js';
 import { errorHandler } from './middleware/errorMiddleware.js';
+import { metricsMiddleware, recordRouteBase } from './middleware/metricsMiddleware.js';
 import logger from './utils/logger.js';
 
 /**
@@ -21,12 +33,13 @@ import logger from './utils/logger.js';
  */
 const app = express();
 
+app.use(metricsMiddleware);
 app.use(helmet());
 
 app.use(cors({
   origin: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : '*',
-  methods: ['GET', 'POST'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'POST', 'PUT', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Callback-Secret', 'Last-Event-ID']
 }));
 
 app.use(express.json({ limit: '10mb' }));
@@ -54,6 +67,38 @@ const swaggerOptions = {
       {
         name: 'Data',
         description: 'Endpoints for managing IoT data'
+      },
+      {
+        name: 'Devices',
+        description: 'Device registry with metadata, codec assignment and validation ranges'
+      },
+      {
+        name: 'Ingestion',
+        description: 'Sigfox backend callback ingestion'
+      },
+      {
+        name: 'Streaming',
+        description: 'Live push of new readings'
+      },
+      {
+        name: 'Poller',
+        description: 'Background polling of the Sigfox relay'
+      },
+      {
+        name: 'Alerts',
+        description: 'Threshold and rate-of-change alert rules and alert history'
+      },
+      {
+        name: 'Webhooks',
+        description: 'Signed outbound notifications with retries and dead letters'
+      },
+      {
+        name: 'Analytics',
+        description: 'Reports over the stored device streams'
+      },
+      {
+        name: 'Monitoring',
+        description: 'Prometheus metrics'
       }
     ],
     components: {
@@ -96,6 +141,11 @@ const swaggerOptions = {
                 }
               }
             },
+            codec: {
+              type: 'string',
+              description: 'Payload codec used for decoding',
+              example: 'env-float32'
+            },
             hexBytes: {
               type: 'number',
               description: 'Number of bytes in hex data',
@@ -116,6 +166,16 @@ const swaggerOptions = {
               type: 'string',
               description: 'Hexadecimal string to decode',
               example: '0000e840cdccc7424a3e8044'
+            },
+            codec: {
+              type: 'string',
+              description: 'Payload codec to decode with',
+              example: 'env-float32'
+            },
+            device: {
+              type: 'string',
+              description: 'Device identifier used to pick its assigned codec',
+              example: '42A6DA'
             }
           }
         }
@@ -141,12 +201,36 @@ app.get('/health', (req, res) => {
   });
 });
 
-app.use('/api', dataRoutes);
+app.use('/api', recordRouteBase, dataRoutes);
 logger.info('Data routes registered at /api');
 
-app.use('/api/decoder', decoderRoutes);
+app.use('/api/decoder', recordRouteBase, decoderRoutes);
 logger.info('Decoder routes registered at /api/decoder');
 
+app.use('/api/devices', recordRouteBase, deviceRoutes);
+logger.info('Device routes registered at /api/devices');
+
+app.use('/api/ingest', recordRouteBase, ingestRoutes);
+logger.info('Ingestion routes registered at /api/ingest');
+
+app.use('/api/stream', recordRouteBase, streamRoutes);
+logger.info('Stream routes registered at /api/stream');
+
+app.use('/api/poller', recordRouteBase, pollerRoutes);
+logger.info('Poller routes registered at /api/poller');
+
+app.use('/api/alerts', recordRouteBase, alertRoutes);
+logger.info('Alert routes registered at /api/alerts');
+
+app.use('/api/webhooks', recordRouteBase, webhookRoutes);
+logger.info('Webhook routes registered at /api/webhooks');
+
+app.use('/api/analytics', recordRouteBase, analyticsRoutes);
+logger.info('Analytics routes registered at /api/analytics');
+
+app.use('/metrics', recordRouteBase, metricsRoutes);
+logger.info('Metrics route registered at /metrics');
+
 app.use(errorHandler);
 
 /**
@@ -158,11 +242,17 @@ const server = app.listen(config.port, () => {
   logger.info(`Health check available at: http://localhost:${config.port}/health`);
 });
 
+websocketService.attach(server);
+pollerService.start();
+
 /**
  * Graceful shutdown
  */
 process.on('SIGTERM', () => {
   logger.info('SIGTERM signal received: closing HTTP server');
+  pollerService.stop();
+  websocketService.close();
+  cacheService.close();
   server.close(() => {
     logger.info('HTTP server closed');
   });
@@ -0,0 +1,37 @@
+/**
+ * @fileoverview Cache backend factory for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import config from '../config/config.js';
+import MemoryCache from './memoryCache.js';
+import RedisCache from './redisCache.js';
+import RespClient from './respClient.js';
+
+/**
+ * Create the cache backend selected in the configuration
+ * @param {Object} cacheConfig - Cache configuration
+ * @returns {MemoryCache|RedisCache} Cache backend
+ * @throws {Error} When the driver is unknown
+ */
+export const createCacheBackend = (cacheConfig = config.cache) => {
+  const options = {
+    maxEntries: cacheConfig.maxEntries,
+    defaultTtl: cacheConfig.defaultTtl
+  };
+
+  switch (cacheConfig.driver) {
+    case 'memory':
+      return new MemoryCache(options);
+    case 'redis':
+      return new RedisCache({ ...options, ...cacheConfig.redis });
+    default:
+      throw new Error(`Unknown cache driver: ${cacheConfig.driver}`);
+  }
+};
+
+const cacheBackend = createCacheBackend();
+
+export { MemoryCache, RedisCache, RespClient };
+export default cacheBackend;
@@ -0,0 +1,141 @@
+/**
+ * @fileoverview In-memory cache backend
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import { patternToRegExp } from './pattern.js';
+
+/**
+ * Memory Cache Class
+ * Keeps entries in process memory, in least recently used first order. Entries expire
+ * after their TTL and the least recently used ones are evicted beyond maxEntries.
+ * Not shared between API instances.
+ */
+class MemoryCache {
+  /**
+   * Create an empty cache
+   * @param {Object} options - Cache options
+   * @param {number} options.maxEntries - Entries kept before evicting the least recently used
+   * @param {number} options.defaultTtl - Milliseconds an entry lives when set without a TTL
+   */
+  constructor({ maxEntries, defaultTtl }) {
+    this.type = 'memory';
+    this.maxEntries = maxEntries;
+    this.defaultTtl = defaultTtl;
+    // Key -> { value, expiresAt }, iterated from least to most recently used
+    this.entries = new Map();
+    this.stats = {
+      evictions: 0,
+      expirations: 0
+    };
+  }
+
+  /**
+   * Get a live entry without marking it as used
+   * @param {string} key - Entry key
+   * @returns {Object|undefined} Entry, undefined when missing or expired
+   */
+  lookup(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      this.stats.expirations++;
+      return undefined;
+    }
+    return entry;
+  }
+
+  /**
+   * Get the value of an entry and mark it as recently used
+   * @param {string} key - Entry key
+   * @returns {Promise<*>} Value, null when missing or expired
+   */
+  async get(key) {
+    const entry = this.lookup(key);
+    if (!entry) {
+      return null;
+    }
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Check whether an entry exists
+   * @param {string} key - Entry key
+   * @returns {Promise<boolean>} Whether a live entry exists
+   */
+  async has(key) {
+    return this.lookup(key) !== undefined;
+  }
+
+  /**
+   * Set an entry, evicting the least recently used ones beyond the size limit
+   * @param {string} key - Entry key
+   * @param {*} value - Value
+   * @param {number} [ttl] - Milliseconds the entry lives, 0 for no expiry
+   * @returns {Promise<void>}
+   */
+  async set(key, value, ttl = this.defaultTtl) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: ttl > 0 ? Date.now() + ttl : null });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.stats.evictions++;
+    }
+  }
+
+  /**
+   * Delete an entry
+   * @param {string} key - Entry key
+   * @returns {Promise<boolean>} Whether an entry was deleted
+   */
+  async delete(key) {
+    return this.entries.delete(key);
+  }
+
+  /**
+   * List the keys of live entries
+   * @param {string} [pattern] - Glob pattern (* and ?)
+   * @returns {Promise<Array<string>>} Matching keys
+   */
+  async keys(pattern = '*') {
+    const matcher = patternToRegExp(pattern);
+    return [...this.entries.keys()].filter(key => this.lookup(key) && matcher.test(key));
+  }
+
+  /**
+   * Delete the entries whose key matches a pattern
+   * @param {string} [pattern] - Glob pattern (* and ?), every entry when omitted
+   * @returns {Promise<number>} Deleted entries
+   */
+  async clear(pattern = '*') {
+    const keys = await this.keys(pattern);
+    keys.forEach(key => this.entries.delete(key));
+    return keys.length;
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {Promise<Object>} Backend, live entries, size limit, evictions and expirations
+   */
+  async getStats() {
+    const keys = await this.keys();
+    return {
+      type: this.type,
+      entries: keys.length,
+      maxEntries: this.maxEntries,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Release the backend, nothing to do in memory
+   * @returns {Promise<void>}
+   */
+  async close() {}
+}
+
+export default MemoryCache;
@@ -0,0 +1,36 @@
+/**
+ * @fileoverview Cache key patterns
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+/**
+ * Convert a key pattern to a regular expression
+ * Patterns follow the Redis KEYS syntax subset shared by every backend: * matches any
+ * characters, ? a single character, and \ escapes the next character
+ * @param {string} pattern - Key pattern
+ * @returns {RegExp} Anchored regular expression
+ */
+export const patternToRegExp = (pattern) => {
+  let source = '';
+  for (let index = 0; index < pattern.length; index++) {
+    const char = pattern[index];
+    if (char === '\\' && index + 1 < pattern.length) {
+      source += pattern[++index].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    } else if (char === '*') {
+      source += '.*';
+    } else if (char === '?') {
+      source += '.';
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, 's');
+};
+
+/**
+ * Escape the pattern characters of a string
+ * @param {string} value - Literal text, such as a key prefix
+ * @returns {string} Pattern matching the text literally
+ */
+export const escapePattern = (value) => value.replace(/[*?[\]\\]/g, '\\$&');
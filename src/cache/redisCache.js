@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Redis protocol cache backend
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import RespClient from './respClient.js';
+import { escapePattern } from './pattern.js';
+
+/**
+ * Keys fetched per SCAN call
+ */
+const SCAN_COUNT = 100;
+
+/**
+ * Redis Cache Class
+ * Keeps entries in a server speaking the Redis protocol so every API instance shares
+ * them. Values are stored as JSON under keyPrefix with the TTL set on the key. A sorted
+ * set of last access times holds the recency of the entries, and the least recently used
+ * ones beyond maxEntries are deleted after each write.
+ */
+class RedisCache {
+  /**
+   * Create a cache on a server
+   * @param {Object} options - Cache options
+   * @param {string} options.url - Server URL, redis://[:password@]host[:port][/db]
+   * @param {string} options.keyPrefix - Prefix of every key written by the cache
+   * @param {number} options.timeout - Milliseconds to wait for the connection or a reply
+   * @param {number} options.maxEntries - Entries kept before evicting the least recently used
+   * @param {number} options.defaultTtl - Milliseconds an entry lives when set without a TTL
+   * @param {RespClient} [options.client] - Client to use instead of connecting to url
+   */
+  constructor({ url, keyPrefix, timeout, maxEntries, defaultTtl, client }) {
+    this.type = 'redis';
+    this.client = client || new RespClient({ url, timeout });
+    this.server = client ? null : url.replace(/\/\/[^@]*@/, '//');
+    this.keyPrefix = keyPrefix;
+    this.recencyKey = `${keyPrefix}__recency`;
+    this.maxEntries = maxEntries;
+    this.defaultTtl = defaultTtl;
+    this.stats = {
+      evictions: 0
+    };
+  }
+
+  /**
+   * Get the server key of an entry
+   * @param {string} key - Entry key
+   * @returns {string} Prefixed key
+   */
+  serverKey(key) {
+    return `${this.keyPrefix}${key}`;
+  }
+
+  /**
+   * Get the value of an entry and mark it as recently used
+   * @param {string} key - Entry key
+   * @returns {Promise<*>} Value, null when missing or expired
+   */
+  async get(key) {
+    const serverKey = this.serverKey(key);
+    const value = await this.client.command('GET', serverKey);
+    if (value === null) {
+      await this.client.command('ZREM', this.recencyKey, serverKey);
+      return null;
+    }
+    await this.client.command('ZADD', this.recencyKey, Date.now(), serverKey);
+    return JSON.parse(value);
+  }
+
+  /**
+   * Check whether an entry exists
+   * @param {string} key - Entry key
+   * @returns {Promise<boolean>} Whether a live entry exists
+   */
+  async has(key) {
+    return (await this.client.command('EXISTS', this.serverKey(key))) === 1;
+  }
+
+  /**
+   * Set an entry, evicting the least recently used ones beyond the size limit
+   * @param {string} key - Entry key
+   * @param {*} value - Value, stored as JSON
+   * @param {number} [ttl] - Milliseconds the entry lives, 0 for no expiry
+   * @returns {Promise<void>}
+   */
+  async set(key, value, ttl = this.defaultTtl) {
+    const serverKey = this.serverKey(key);
+    const args = ['SET', serverKey, JSON.stringify(value)];
+    if (ttl > 0) {
+      args.push('PX', ttl);
+    }
+
+    await this.client.command(...args);
+    await this.client.command('ZADD', this.recencyKey, Date.now(), serverKey);
+    await this.evict();
+  }
+
+  /**
+   * Delete the least recently used entries beyond the size limit
+   * Expired entries are still in the recency set until evicted or read, so they go first
+   * as long as they were not used recently. The oldest entries are read and removed from
+   * the recency set in one transaction, so instances evicting at the same time never count
+   * or delete the same entries twice.
+   * @returns {Promise<void>}
+   */
+  async evict() {
+    const beyondLimit = -this.maxEntries - 1;
+    const [evicted] = await this.client.transaction([
+      ['ZRANGE', this.recencyKey, 0, beyondLimit],
+      ['ZREMRANGEBYRANK', this.recencyKey, 0, beyondLimit]
+    ]);
+    if (evicted.length === 0) {
+      return;
+    }
+
+    await this.client.command('DEL', ...evicted);
+    this.stats.evictions += evicted.length;
+  }
+
+  /**
+   * Delete an entry
+   * @param {string} key - Entry key
+   * @returns {Promise<boolean>} Whether an entry was deleted
+   */
+  async delete(key) {
+    const serverKey = this.serverKey(key);
+    const deleted = await this.client.command('DEL', serverKey);
+    await this.client.command('ZREM', this.recencyKey, serverKey);
+    return deleted > 0;
+  }
+
+  /**
+   * List the keys of live entries
+   * @param {string} [pattern] - Glob pattern (* and ?)
+   * @returns {Promise<Array<string>>} Matching keys, without the prefix
+   */
+  async keys(pattern = '*') {
+    // Brackets are literal in the patterns of every backend
+    const match = escapePattern(this.keyPrefix) + pattern.replace(/[[\]]/g, '\\$&');
+    const keys = new Set();
+    let cursor = '0';
+
+    do {
+      const [next, batch] = await this.client.command('SCAN', cursor, 'MATCH', match, 'COUNT', SCAN_COUNT);
+      batch.filter(serverKey => serverKey !== this.recencyKey).forEach(serverKey => keys.add(serverKey));
+      cursor = next;
+    } while (cursor !== '0');
+
+    return [...keys].map(serverKey => serverKey.slice(this.keyPrefix.length));
+  }
+
+  /**
+   * Delete the entries whose key matches a pattern
+   * @param {string} [pattern] - Glob pattern (* and ?), every entry when omitted
+   * @returns {Promise<number>} Deleted entries
+   */
+  async clear(pattern = '*') {
+    const serverKeys = (await this.keys(pattern)).map(key => this.serverKey(key));
+    if (serverKeys.length === 0) {
+      return 0;
+    }
+
+    const deleted = await this.client.command('DEL', ...serverKeys);
+    await this.client.command('ZREM', this.recencyKey, ...serverKeys);
+    return deleted;
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {Promise<Object>} Backend, server, live entries, size limit and evictions by this instance
+   */
+  async getStats() {
+    const keys = await this.keys();
+    return {
+      type: this.type,
+      server: this.server,
+      keyPrefix: this.keyPrefix,
+      entries: keys.length,
+      maxEntries: this.maxEntries,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Close the connection
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.client.close();
+  }
+}
+
+export default RedisCache;
@@ -0,0 +1,276 @@
+/**
+ * @fileoverview Minimal Redis protocol (RESP) client
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import net from 'net';
+
+/**
+ * Encode a command as a RESP array of bulk strings
+ * @param {Array} args - Command name and arguments
+ * @returns {string} Encoded command
+ */
+const encodeCommand = (args) => {
+  const parts = args.map(arg => {
+    const value = String(arg);
+    return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  });
+  return `*${args.length}\r\n${parts.join('')}`;
+};
+
+/**
+ * Parse one RESP reply
+ * @param {Buffer} buffer - Received bytes
+ * @param {number} start - Offset of the reply
+ * @returns {Object|null} Reply value and the offset after it, null when the reply is incomplete
+ * @throws {Error} When the reply type is unknown
+ */
+const parseReply = (buffer, start) => {
+  const end = buffer.indexOf('\r\n', start);
+  if (end === -1) {
+    return null;
+  }
+
+  const type = String.fromCharCode(buffer[start]);
+  const line = buffer.toString('utf8', start + 1, end);
+  const next = end + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, next };
+    case '-':
+      return { value: new Error(line), next };
+    case ':':
+      return { value: Number(line), next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) {
+        return { value: null, next };
+      }
+      if (buffer.length < next + length + 2) {
+        return null;
+      }
+      return { value: buffer.toString('utf8', next, next + length), next: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) {
+        return { value: null, next };
+      }
+      const items = [];
+      let offset = next;
+      for (let index = 0; index < count; index++) {
+        const item = parseReply(buffer, offset);
+        if (!item) {
+          return null;
+        }
+        items.push(item.value);
+        offset = item.next;
+      }
+      return { value: items, next: offset };
+    }
+    default:
+      throw new Error(`Unexpected RESP reply type: ${type}`);
+  }
+};
+
+/**
+ * RESP Client Class
+ * Sends commands to a server speaking the Redis protocol over a single connection.
+ * The connection is opened on the first command and reopened after it is lost;
+ * replies are matched to commands in order.
+ */
+class RespClient {
+  /**
+   * Create a client
+   * @param {Object} options - Connection options
+   * @param {string} options.url - Server URL, redis://[:password@]host[:port][/db]
+   * @param {number} options.timeout - Milliseconds to wait for the connection or a reply
+   */
+  constructor({ url, timeout }) {
+    const parsed = new URL(url);
+    this.host = parsed.hostname || '127.0.0.1';
+    this.port = parseInt(parsed.port, 10) || 6379;
+    this.password = parsed.password ? decodeURIComponent(parsed.password) : null;
+    this.db = parsed.pathname && parsed.pathname !== '/' ? parseInt(parsed.pathname.slice(1), 10) : null;
+    this.timeout = timeout;
+    this.socket = null;
+    this.connecting = null;
+    this.buffer = Buffer.alloc(0);
+    this.pending = [];
+  }
+
+  /**
+   * Open the connection if needed, authenticating and selecting the database
+   * @returns {Promise<void>}
+   */
+  async connect() {
+    if (this.socket) {
+      return;
+    }
+    if (!this.connecting) {
+      this.connecting = this.open().finally(() => {
+        this.connecting = null;
+      });
+    }
+    return this.connecting;
+  }
+
+  /**
+   * Open a new connection
+   * @returns {Promise<void>}
+   */
+  async open() {
+    const socket = await new Promise((resolve, reject) => {
+      const connection = net.createConnection({ host: this.host, port: this.port });
+      const timer = setTimeout(() => {
+        connection.destroy();
+        reject(new Error(`Connection to ${this.host}:${this.port} timed out`));
+      }, this.timeout);
+
+      connection.once('connect', () => {
+        clearTimeout(timer);
+        resolve(connection);
+      });
+      connection.once('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+    });
+
+    socket.setNoDelay(true);
+    socket.on('data', chunk => this.onData(chunk));
+    socket.on('error', error => this.reset(error));
+    socket.on('close', () => this.reset(new Error('Connection closed')));
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+
+    try {
+      if (this.password) {
+        await this.send(['AUTH', this.password]);
+      }
+      if (this.db !== null) {
+        await this.send(['SELECT', this.db]);
+      }
+    } catch (error) {
+      this.reset(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a command, connecting first if needed
+   * @param {...(string|number)} args - Command name and arguments
+   * @returns {Promise<*>} Reply: string, number, null or array
+   * @throws {Error} When the server replies with an error, or the connection fails or times out
+   */
+  async command(...args) {
+    await this.connect();
+    return this.send(args);
+  }
+
+  /**
+   * Run commands in a MULTI/EXEC transaction, connecting first if needed
+   * The commands are written together so no other command of this client lands between them
+   * @param {Array<Array>} commands - Command names and arguments
+   * @returns {Promise<Array>} Reply of each command
+   * @throws {Error} When the server rejects or aborts the transaction, or a command in it fails
+   */
+  async transaction(commands) {
+    await this.connect();
+    const replies = await Promise.all([
+      this.send(['MULTI']),
+      ...commands.map(args => this.send(args)),
+      this.send(['EXEC'])
+    ]);
+
+    const results = replies.at(-1);
+    if (results === null) {
+      throw new Error('Transaction aborted');
+    }
+    const failed = results.find(result => result instanceof Error);
+    if (failed) {
+      throw failed;
+    }
+    return results;
+  }
+
+  /**
+   * Write a command on the open connection
+   * @param {Array} args - Command name and arguments
+   * @returns {Promise<*>} Reply
+   */
+  send(args) {
+    return new Promise((resolve, reject) => {
+      const entry = {
+        resolve,
+        reject,
+        timer: setTimeout(() => {
+          this.socket?.destroy(new Error(`${args[0]} timed out after ${this.timeout}ms`));
+        }, this.timeout)
+      };
+      this.pending.push(entry);
+      this.socket.write(encodeCommand(args));
+    });
+  }
+
+  /**
+   * Resolve the commands whose replies have arrived
+   * @param {Buffer} chunk - Received bytes
+   */
+  onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    let offset = 0;
+
+    try {
+      while (offset < this.buffer.length && this.pending.length > 0) {
+        const reply = parseReply(this.buffer, offset);
+        if (!reply) {
+          break;
+        }
+        offset = reply.next;
+
+        const entry = this.pending.shift();
+        clearTimeout(entry.timer);
+        if (reply.value instanceof Error) {
+          entry.reject(reply.value);
+        } else {
+          entry.resolve(reply.value);
+        }
+      }
+    } catch (error) {
+      this.socket.destroy(error);
+      return;
+    }
+
+    this.buffer = this.buffer.subarray(offset);
+  }
+
+  /**
+   * Drop the connection and fail the commands waiting on it
+   * @param {Error} error - Reason
+   */
+  reset(error) {
+    if (!this.socket) {
+      return;
+    }
+    this.socket.destroy();
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+
+    for (const entry of this.pending.splice(0)) {
+      clearTimeout(entry.timer);
+      entry.reject(error);
+    }
+  }
+
+  /**
+   * Close the connection
+   */
+  close() {
+    this.reset(new Error('Client closed'));
+  }
+}
+
+export default RespClient;
@@ -0,0 +1,47 @@
+/**
+ * @fileoverview Built-in payload codec definitions for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+/**
+ * Built-in payload codecs
+ * Each codec declares the byte layout of a device frame. Field offsets are
+ * byte offsets into the frame, the raw value is multiplied by `scale`.
+ * Downlink codecs describe the 8-byte frames sent back to devices.
+ */
+const codecs = [
+  {
+    name: 'env-float32',
+    description: 'Temperature, humidity and pressure as IEEE 754 float32 little-endian',
+    length: 12,
+    fields: [
+      { name: 'temperature', offset: 0, type: 'float32', endianness: 'little', scale: 1, unit: '°C' },
+      { name: 'humidity', offset: 4, type: 'float32', endianness: 'little', scale: 1, unit: '%' },
+      { name: 'pressure', offset: 8, type: 'float32', endianness: 'little', scale: 1, unit: 'hPa' }
+    ]
+  },
+  {
+    name: 'env-compact',
+    description: 'Compact integer frame: temperature int16, humidity uint8, pressure uint16 (big-endian)',
+    length: 5,
+    fields: [
+      { name: 'temperature', offset: 0, type: 'int16', endianness: 'big', scale: 0.01, unit: '°C' },
+      { name: 'humidity', offset: 2, type: 'uint8', endianness: 'big', scale: 0.5, unit: '%' },
+      { name: 'pressure', offset: 3, type: 'uint16', endianness: 'big', scale: 0.1, unit: 'hPa' }
+    ]
+  },
+  {
+    name: 'downlink-config',
+    description: 'Downlink configuration frame: reporting interval, sensor flags and temperature offset (big-endian)',
+    direction: 'downlink',
+    length: 8,
+    fields: [
+      { name: 'reportingInterval', offset: 0, type: 'uint16', endianness: 'big', scale: 1, unit: 'min' },
+      { name: 'sensorFlags', offset: 2, type: 'uint8', endianness: 'big', scale: 1, unit: null },
+      { name: 'temperatureOffset', offset: 3, type: 'int16', endianness: 'big', scale: 0.01, unit: '°C' }
+    ]
+  }
+];
+
+export default codecs;
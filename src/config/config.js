@@ -4,6 +4,84 @@
  * @version 1.0.0
  */
 
+import fs from 'fs';
+import path from 'path';
+
+import { normalizeDeviceId } from '../utils/deviceId.js';
+
+/**
+ * Parse a "device:codec" comma-separated list into a lookup object
+ * @param {string} value - Raw environment variable value
+ * @returns {Object} Map of device ID to codec name
+ */
+function parseDeviceCodecs(value) {
+  if (!value) {
+    return {};
+  }
+
+  return value.split(',').reduce((assignments, entry) => {
+    const [device, codec] = entry.split(':').map(part => part.trim());
+    if (device && codec) {
+      assignments[normalizeDeviceId(device)] = codec;
+    }
+    return assignments;
+  }, {});
+}
+
+/**
+ * Parse a "field:limit" comma-separated list of jump limits
+ * @param {string} value - Raw environment variable value
+ * @returns {Object} Map of sensor field to largest plausible change
+ */
+function parseMaxJumps(value) {
+  if (!value) {
+    return {};
+  }
+
+  return value.split(',').reduce((limits, entry) => {
+    const [field, limit] = entry.split(':').map(part => part.trim());
+    if (field && !isNaN(parseFloat(limit))) {
+      limits[field] = parseFloat(limit);
+    }
+    return limits;
+  }, {});
+}
+
+/**
+ * Load the upstream source definitions
+ * UPSTREAM_SOURCES holds a JSON array, UPSTREAM_SOURCES_FILE the path of a JSON file with one.
+ * Without either, the Sigfox relay is polled and Sigfox callbacks take precedence over it.
+ * @returns {Array} Source definitions
+ */
+function loadSourceDefinitions() {
+  try {
+    if (process.env.UPSTREAM_SOURCES) {
+      return JSON.parse(process.env.UPSTREAM_SOURCES);
+    }
+    if (process.env.UPSTREAM_SOURCES_FILE) {
+      return JSON.parse(fs.readFileSync(process.env.UPSTREAM_SOURCES_FILE, 'utf8'));
+    }
+  } catch (error) {
+    console.error('Configuration validation failed: invalid upstream sources:', error.message);
+    process.exit(1);
+  }
+
+  return [
+    { name: 'sigfox-callback', type: 'callback', priority: 1 },
+    {
+      name: 'sigfox-relay',
+      type: 'http',
+      url: process.env.SIGFOX_RELAY_URL || 'https://callback-iot.onrender.com/data',
+      priority: 2
+    }
+  ];
+}
+
+/**
+ * Directory for locally persisted data
+ */
+const dataDir = process.env.DATA_DIR || './data';
+
 /**
  * Application configuration object
  * Contains all configuration settings for the API
@@ -17,14 +95,61 @@ const config = {
 
   /**
    * External API configuration
-   * Sigfox IoT data endpoint
+   * enabled turns polling of the upstream sources on or off; timeout and retries are the
+   * defaults of HTTP sources
    */
   externalApi: {
-    sigfoxEndpoint: 'https://callback-iot.onrender.com/data',
+    enabled: process.env.SIGFOX_RELAY_ENABLED !== 'false',
     timeout: 10000, // 10 seconds timeout
     retries: 3
   },
 
+  /**
+   * Upstream source configuration
+   * Sources are "http" (JSON array endpoint), "file" (JSON array or NDJSON file) or "callback"
+   * (pushed to the ingestion endpoint). Priority 1 is the highest. The policy combines the
+   * polled sources: "failover" uses the first source that answers, "merge" fetches them all.
+   * The same frame from several sources is merged, the higher priority source winning.
+   */
+  sources: {
+    policy: process.env.SOURCE_POLICY || 'failover',
+    definitions: loadSourceDefinitions()
+  },
+
+  /**
+   * Upstream circuit breaker configuration
+   * A polled source is skipped after failureThreshold consecutive failed fetches and tried
+   * again resetTimeout milliseconds later. While every polled source is skipped, responses
+   * flag the stored data as stale.
+   */
+  circuitBreaker: {
+    failureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD, 10) || 3,
+    resetTimeout: parseInt(process.env.CIRCUIT_RESET_TIMEOUT, 10) || 60 * 1000
+  },
+
+  /**
+   * Background relay poller configuration
+   * Delays are in milliseconds; jitter is a fraction of the delay added or removed at random.
+   * After a failed poll the delay doubles up to maxBackoff.
+   */
+  poller: {
+    interval: parseInt(process.env.POLL_INTERVAL, 10) || 30000,
+    jitter: process.env.POLL_JITTER !== undefined ? parseFloat(process.env.POLL_JITTER) : 0.1,
+    backoffMultiplier: 2,
+    maxBackoff: parseInt(process.env.POLL_MAX_BACKOFF, 10) || 5 * 60 * 1000
+  },
+
+  /**
+   * Sigfox callback ingestion configuration
+   * Callbacks must send the shared secret in the configured header. Receptions of the same
+   * frame by several base stations less than duplicateWindow milliseconds apart are merged.
+   */
+  ingest: {
+    sharedSecret: process.env.SIGFOX_CALLBACK_SECRET || null,
+    secretHeader: 'x-callback-secret',
+    duplicateWindow: parseInt(process.env.FRAME_DUPLICATE_WINDOW, 10) || 60000
+  },
+
   /**
    * API configuration
    */
@@ -42,9 +167,168 @@ const config = {
    */
   data: {
     maxRecords: 2,
+    maxDecodedRecords: 100,
+    historyDefaultLimit: 100,
+    historyMaxLimit: 1000,
+    maxAggregationBuckets: 10000,
     cacheTimeout: 30000
   },
 
+  /**
+   * Cache configuration
+   * driver is "memory" (per process) or "redis" (any server speaking the Redis protocol,
+   * shared by every API instance). Entries expire after their TTL in milliseconds; beyond
+   * maxEntries the least recently used entries are evicted.
+   */
+  cache: {
+    driver: process.env.CACHE_DRIVER || 'memory',
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 1000,
+    defaultTtl: parseInt(process.env.CACHE_TTL, 10) || 5 * 60 * 1000,
+    redis: {
+      url: process.env.REDIS_URL || 'redis://127.0.0.1:6379',
+      keyPrefix: process.env.CACHE_KEY_PREFIX || 'iot:',
+      timeout: parseInt(process.env.REDIS_TIMEOUT, 10) || 2000
+    }
+  },
+
+  /**
+   * Local storage configuration
+   * dataDir holds the JSON files the API persists between restarts.
+   * Readings go to the record store: "file" (NDJSON segments) or "memory".
+   */
+  storage: {
+    dataDir,
+    driver: process.env.STORAGE_DRIVER || 'file',
+    recordsDir: process.env.RECORDS_DIR || path.join(dataDir, 'records'),
+    segmentMaxRecords: parseInt(process.env.SEGMENT_MAX_RECORDS, 10) || 10000
+  },
+
+  /**
+   * Device registry and health configuration
+   * Devices are offline after missing offlineAfterMissed expected intervals. Two consecutive
+   * messages further apart than gapTolerance intervals are reported as a gap; gaps are searched
+   * over the last gapLookback milliseconds unless a range is given.
+   * Callback redeliveries rejected by the record store are remembered per device
+   * (up to redeliveryLimit) for the sequence statistics.
+   */
+  devices: {
+    registryFile: process.env.DEVICE_REGISTRY_FILE || path.join(dataDir, 'devices.json'),
+    offlineAfterMissed: parseInt(process.env.OFFLINE_MISSED_INTERVALS, 10) || 3,
+    gapTolerance: 1.5,
+    gapLookback: 7 * 24 * 60 * 60 * 1000,
+    intervalSampleSize: 20,
+    maxGaps: 1000,
+    redeliveryLimit: 1000,
+    maxStatsWindows: 1000
+  },
+
+  /**
+   * Downlink queue configuration
+   * Sigfox downlink frames are always 8 bytes
+   */
+  downlinks: {
+    queueFile: process.env.DOWNLINK_QUEUE_FILE || path.join(dataDir, 'downlinks.json'),
+    defaultCodec: process.env.DOWNLINK_CODEC || 'downlink-config',
+    frameBytes: 8,
+    historyLimit: 100
+  },
+
+  /**
+   * Sensor calibration configuration
+   * Calibration profiles of every device are persisted in one JSON file
+   */
+  calibrations: {
+    file: process.env.CALIBRATIONS_FILE || path.join(dataDir, 'calibrations.json')
+  },
+
+  /**
+   * Sensor fusion configuration
+   * Plaintext and decoded readings further apart than conflictTolerance are reported as conflicts
+   */
+  fusion: {
+    conflictTolerance: process.env.FUSION_CONFLICT_TOLERANCE !== undefined
+      ? parseFloat(process.env.FUSION_CONFLICT_TOLERANCE)
+      : 0.01
+  },
+
+  /**
+   * Anomaly detection configuration
+   * A reading is an outlier when its rolling z-score or MAD score over the last windowSize
+   * readings of the device exceeds threshold (after minSamples readings). A sensor is stuck
+   * when it repeats a value for stuckMinReadings readings spanning stuckDuration milliseconds.
+   * Consecutive readings less than jumpWindow milliseconds apart may differ by maxJumps at most.
+   */
+  anomalies: {
+    method: process.env.ANOMALY_METHOD || 'mad',
+    threshold: parseFloat(process.env.ANOMALY_THRESHOLD) || 3.5,
+    windowSize: parseInt(process.env.ANOMALY_WINDOW, 10) || 30,
+    minSamples: 10,
+    stuckDuration: parseInt(process.env.ANOMALY_STUCK_DURATION, 10) || 2 * 60 * 60 * 1000,
+    stuckMinReadings: 4,
+    jumpWindow: parseInt(process.env.ANOMALY_JUMP_WINDOW, 10) || 60 * 60 * 1000,
+    maxJumps: {
+      temperature: 10,
+      humidity: 40,
+      pressure: 10,
+      ...parseMaxJumps(process.env.ANOMALY_MAX_JUMPS)
+    },
+    reportLimit: 100
+  },
+
+  /**
+   * Alerting configuration
+   * Rules and alert history are persisted as JSON files
+   */
+  alerts: {
+    rulesFile: process.env.ALERT_RULES_FILE || path.join(dataDir, 'alert-rules.json'),
+    historyFile: process.env.ALERT_HISTORY_FILE || path.join(dataDir, 'alerts.json'),
+    historyLimit: parseInt(process.env.ALERT_HISTORY_LIMIT, 10) || 1000
+  },
+
+  /**
+   * Outbound webhook configuration
+   * Failed deliveries are retried with exponential backoff, then moved to the dead-letter list
+   */
+  webhooks: {
+    file: process.env.WEBHOOKS_FILE || path.join(dataDir, 'webhooks.json'),
+    deadLetterFile: process.env.WEBHOOK_DEAD_LETTER_FILE || path.join(dataDir, 'webhook-dead-letters.json'),
+    timeout: parseInt(process.env.WEBHOOK_TIMEOUT, 10) || 5000,
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5,
+    retryBaseDelay: parseInt(process.env.WEBHOOK_RETRY_DELAY, 10) || 1000,
+    deadLetterLimit: 500,
+    signatureHeader: 'x-webhook-signature'
+  },
+
+  /**
+   * Live stream configuration
+   * The replay buffer holds the latest events for clients reconnecting with Last-Event-ID
+   */
+  stream: {
+    heartbeatInterval: parseInt(process.env.STREAM_HEARTBEAT_INTERVAL, 10) || 15000,
+    replayBufferSize: parseInt(process.env.STREAM_REPLAY_BUFFER, 10) || 500,
+    retryInterval: 5000
+  },
+
+  /**
+   * WebSocket configuration
+   * Topic buffers keep the latest alerts and decoder errors for backfill
+   */
+  websocket: {
+    path: '/api/ws',
+    pingInterval: parseInt(process.env.WS_PING_INTERVAL, 10) || 30000,
+    topicBufferSize: 100,
+    maxBackfill: 500
+  },
+
+  /**
+   * Decoder configuration
+   * DEVICE_CODECS assigns codecs to devices, e.g. "42A6DA:env-float32,1B2C3D:env-compact"
+   */
+  decoder: {
+    defaultCodec: process.env.DEFAULT_CODEC || 'env-float32',
+    deviceCodecs: parseDeviceCodecs(process.env.DEVICE_CODECS)
+  },
+
   /**
    * CORS configuration
    */
@@ -104,7 +388,7 @@ const config = {
 function validateConfig() {
   const requiredFields = [
     'port',
-    'externalApi.sigfoxEndpoint'
+    'sources.definitions'
   ];
 
   for (const field of requiredFields) {
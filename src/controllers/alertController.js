@@ -0,0 +1,202 @@
+/**
+ * @fileoverview Alerting controller for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import config from '../config/config.js';
+import alertService, { ALERT_STATE } from '../services/alertService.js';
+import { asyncHandler, createApiError } from '../middleware/errorMiddleware.js';
+import logger from '../utils/logger.js';
+import { requireStringParams } from '../utils/queryParams.js';
+
+/**
+ * Alert Controller Class
+ * Handles HTTP requests for alert rules and alert history
+ */
+class AlertController {
+
+  /**
+   * List alert rules
+   *
+   * @route GET /api/alerts/rules
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} JSON response with the rules
+   */
+  listRules = asyncHandler(async (req, res) => {
+    logger.info('Processing GET /alerts/rules request');
+
+    const rules = alertService.listRules();
+
+    res.status(200).json({
+      success: true,
+      message: `Retrieved ${rules.length} alert rules`,
+      data: rules,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Get an alert rule
+   *
+   * @route GET /api/alerts/rules/:id
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} JSON response with the rule
+   */
+  getRule = asyncHandler(async (req, res) => {
+    logger.info('Processing GET /alerts/rules/:id request', { rule: req.params.id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Alert rule retrieved successfully',
+      data: alertService.getRule(req.params.id),
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Create an alert rule
+   *
+   * @route POST /api/alerts/rules
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} JSON response with the created rule
+   */
+  createRule = asyncHandler(async (req, res) => {
+    logger.info('Processing POST /alerts/rules request', { name: req.body?.name });
+
+    const rule = await alertService.createRule(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Alert rule created successfully',
+      data: rule,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Update an alert rule
+   *
+   * @route PUT /api/alerts/rules/:id
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} JSON response with the updated rule
+   */
+  updateRule = asyncHandler(async (req, res) => {
+    logger.info('Processing PUT /alerts/rules/:id request', { rule: req.params.id });
+
+    const rule = await alertService.updateRule(req.params.id, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Alert rule updated successfully',
+      data: rule,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Delete an alert rule
+   *
+   * @route DELETE /api/alerts/rules/:id
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} JSON response with the deleted rule
+   */
+  deleteRule = asyncHandler(async (req, res) => {
+    logger.info('Processing DELETE /alerts/rules/:id request', { rule: req.params.id });
+
+    const rule = await alertService.deleteRule(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Alert rule deleted successfully',
+      data: rule,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * List alerts, newest first
+   *
+   * @route GET /api/alerts
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} JSON response with the alerts
+   */
+  listAlerts = asyncHandler(async (req, res) => {
+    logger.info('Processing GET /alerts request', { query: req.query });
+
+    requireStringParams(req.query, ['state', 'device', 'ruleId', 'limit']);
+
+    const { state, device, ruleId } = req.query;
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : undefined;
+
+    if (state !== undefined && !Object.values(ALERT_STATE).includes(state)) {
+      throw createApiError(`state must be one of: ${Object.values(ALERT_STATE).join(', ')}`, 400);
+    }
+
+    if (limit !== undefined && (isNaN(limit) || limit < 1 || limit > config.alerts.historyLimit)) {
+      throw createApiError(`limit must be an integer between 1 and ${config.alerts.historyLimit}`, 400);
+    }
+
+    const alerts = alertService.listAlerts({ state, device, ruleId, limit });
+
+    res.status(200).json({
+      success: true,
+      message: `Retrieved ${alerts.length} alerts`,
+      data: alerts,
+      metadata: {
+        ...alertService.getStats(),
+        timestamp: new Date().toISOString()
+      }
+    });
+  });
+
+  /**
+   * Get an alert
+   *
+   * @route GET /api/alerts/:id
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} JSON response with the alert
+   */
+  getAlert = asyncHandler(async (req, res) => {
+    logger.info('Processing GET /alerts/:id request', { alert: req.params.id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Alert retrieved successfully',
+      data: alertService.getAlert(req.params.id),
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Acknowledge a firing alert
+   *
+   * @route POST /api/alerts/:id/acknowledge
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} JSON response with the acknowledged alert
+   */
+  acknowledgeAlert = asyncHandler(async (req, res) => {
+    logger.info('Processing POST /alerts/:id/acknowledge request', { alert: req.params.id });
+
+    const alert = await alertService.acknowledge(req.params.id, req.body || {});
+
+    res.status(200).json({
+      success: true,
+      message: 'Alert acknowledged successfully',
+      data: alert,
+      timestamp: new Date().toISOString()
+    });
+  });
+}
+
+const alertController = new AlertController();
+
+export default alertController;
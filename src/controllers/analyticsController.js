@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Analytics controller for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import config from '../config/config.js';
+import anomalyService from '../services/anomalyService.js';
+import { asyncHandler, createApiError } from '../middleware/errorMiddleware.js';
+import { normalizeDeviceId } from '../utils/deviceId.js';
+import logger from '../utils/logger.js';
+import { requireStringParams } from '../utils/queryParams.js';
+
+/**
+ * Analytics Controller Class
+ * Handles reports computed over the stored device streams
+ */
+class AnalyticsController {
+
+  /**
+   * Get the anomaly report of a time range
+   * Defaults to the last 24 hours of every device
+   *
+   * @route GET /api/analytics/anomalies
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} JSON response with anomaly counts and the most recent anomalies
+   */
+  getAnomalies = asyncHandler(async (req, res) => {
+    logger.info('Processing GET /analytics/anomalies request', { query: req.query });
+
+    requireStringParams(req.query, ['device', 'from', 'to', 'limit']);
+
+    const { device, from, to } = req.query;
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : config.anomalies.reportLimit;
+
+    if (isNaN(limit) || limit < 0 || limit > config.anomalies.reportLimit) {
+      throw createApiError(`limit must be an integer between 0 and ${config.anomalies.reportLimit}`, 400);
+    }
+
+    const toTime = to !== undefined ? new Date(to).getTime() : Date.now();
+    const fromTime = from !== undefined ? new Date(from).getTime() : toTime - 24 * 60 * 60 * 1000;
+
+    if (isNaN(fromTime) || isNaN(toTime)) {
+      throw createApiError('Invalid from or to timestamp format', 400);
+    }
+
+    if (fromTime >= toTime) {
+      throw createApiError('from must be earlier than to', 400);
+    }
+
+    const report = await anomalyService.getReport({
+      device: device ? normalizeDeviceId(device) : undefined,
+      from: fromTime,
+      to: toTime,
+      limit
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Found ${report.totals.anomalies} anomalies in ${report.totals.flagged} of ${report.totals.records} records`,
+      data: report,
+      metadata: {
+        device: device ? normalizeDeviceId(device) : null,
+        from: new Date(fromTime).toISOString(),
+        to: new Date(toTime).toISOString(),
+        detection: anomalyService.getStats(),
+        timestamp: new Date().toISOString()
+      }
+    });
+  });
+}
+
+const analyticsController = new AnalyticsController();
+
+export default analyticsController;
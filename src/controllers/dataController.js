@@ -4,9 +4,25 @@
  * @version 1.0.0
  */
 
+import config from '../config/config.js';
+import alertService from '../services/alertService.js';
+import aggregationService from '../services/aggregationService.js';
+import anomalyService from '../services/anomalyService.js';
 import dataService from '../services/dataService.js';
+import deduplicationService from '../services/deduplicationService.js';
+import derivationService from '../services/derivationService.js';
+import deviceHealthService from '../services/deviceHealthService.js';
+import formatService, { SENSOR_FIELDS } from '../services/formatService.js';
+import ingestService from '../services/ingestService.js';
+import pollerService, { POLLER_STATE } from '../services/pollerService.js';
+import sourceService from '../services/sourceService.js';
+import storageService from '../services/storageService.js';
+import streamService from '../services/streamService.js';
+import webhookService from '../services/webhookService.js';
+import websocketService from '../services/websocketService.js';
 import { asyncHandler, createApiError } from '../middleware/errorMiddleware.js';
 import logger from '../utils/logger.js';
+import { requireStringParams } from '../utils/queryParams.js';
 
 /**
  * Data Controller Class
@@ -28,7 +44,12 @@ class DataController {
     logger.info('Processing GET /data request');
     
     try {
-      const latestRecords = await dataService.getLatestData();
+      const metrics = derivationService.parseDerive(req.query.derive);
+      const format = formatService.parseOptions(req.query);
+      const latestRecords = formatService.formatRecords(
+        derivationService.deriveRecords(await dataService.getLatestData(), metrics),
+        format
+      );
       
       const response = {
         success: true,
@@ -37,12 +58,16 @@ class DataController {
         metadata: {
           totalRecords: latestRecords.length,
           source: 'Sigfox IoT Device',
+          units: formatService.getUnits(SENSOR_FIELDS, format),
+          ...(metrics.length > 0 && { derivedUnits: formatService.getUnits(metrics, format) }),
+          ...(format.timeZone && { timeZone: format.timeZone }),
+          ...sourceService.getFreshness(),
           apiVersion: '1.0.0',
           timestamp: new Date().toISOString()
         }
       };
 
-      const cacheStats = dataService.getCacheStats();
+      const cacheStats = await dataService.getCacheStats();
       if (cacheStats.hasData) {
         response.metadata.cache = {
           used: cacheStats.isValid,
@@ -64,6 +89,135 @@ class DataController {
     }
   });
 
+  /**
+   * Get historical IoT data with time range, device filter and cursor pagination
+   * 
+   * @route GET /api/data/history
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} JSON response with a page of records
+   */
+  getHistory = asyncHandler(async (req, res) => {
+    const startTime = Date.now();
+    logger.info('Processing GET /data/history request', { query: req.query });
+    
+    try {
+      const query = this.parseHistoryQuery(req.query);
+      const page = await dataService.getHistory(query);
+      const records = formatService.formatRecords(page.records, query.format);
+
+      const duration = Date.now() - startTime;
+      logger.info('Successfully processed GET /data/history request', {
+        recordCount: page.records.length,
+        hasMore: page.hasMore,
+        duration: `${duration}ms`
+      });
+
+      res.status(200).json({
+        success: true,
+        message: `Successfully retrieved ${records.length} historical IoT records`,
+        data: records,
+        pagination: {
+          limit: query.limit,
+          hasMore: page.hasMore,
+          nextCursor: page.nextCursor
+        },
+        metadata: {
+          device: query.device || null,
+          from: query.from || null,
+          to: query.to || null,
+          fields: query.fields || null,
+          units: formatService.getUnits(SENSOR_FIELDS, query.format),
+          ...(query.derive.length > 0 && { derivedUnits: formatService.getUnits(query.derive, query.format) }),
+          ...(query.format.timeZone && { timeZone: query.format.timeZone }),
+          ...sourceService.getFreshness(),
+          apiVersion: '1.0.0',
+          timestamp: new Date().toISOString()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error in getHistory controller', { error: error.message });
+      throw error;
+    }
+  });
+
+  /**
+   * Get sensor readings aggregated into time buckets
+   * Defaults to the last 24 hours in 5 minute buckets
+   * 
+   * @route GET /api/data/aggregate
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} JSON response with the buckets
+   */
+  getAggregate = asyncHandler(async (req, res) => {
+    const startTime = Date.now();
+    logger.info('Processing GET /data/aggregate request', { query: req.query });
+    
+    try {
+      requireStringParams(req.query, ['device', 'from', 'to', 'bucket', 'fn', 'fill']);
+      const { device, from, to, bucket = '5m', fn, fill } = req.query;
+
+      const bucketMs = aggregationService.parseBucket(bucket);
+      const functions = aggregationService.parseFunctions(fn);
+      const fillMode = aggregationService.parseFill(fill);
+      const format = formatService.parseOptions(req.query);
+
+      const toTime = to !== undefined ? new Date(to).getTime() : Date.now();
+      const fromTime = from !== undefined ? new Date(from).getTime() : toTime - 24 * 60 * 60 * 1000;
+
+      if (isNaN(fromTime) || isNaN(toTime)) {
+        throw createApiError('Invalid from or to timestamp format', 400);
+      }
+
+      if (fromTime >= toTime) {
+        throw createApiError('from must be earlier than to', 400);
+      }
+
+      aggregationService.checkBucketCount(fromTime, toTime, bucketMs);
+
+      const buckets = formatService.formatBuckets(await aggregationService.aggregate({
+        device: device || undefined,
+        from: fromTime,
+        to: toTime,
+        bucketMs,
+        functions,
+        fill: fillMode
+      }), SENSOR_FIELDS, format);
+
+      const duration = Date.now() - startTime;
+      logger.info('Successfully processed GET /data/aggregate request', {
+        bucketCount: buckets.length,
+        duration: `${duration}ms`
+      });
+
+      res.status(200).json({
+        success: true,
+        message: `Successfully aggregated readings into ${buckets.length} buckets`,
+        data: buckets,
+        metadata: {
+          device: device || null,
+          from: new Date(fromTime).toISOString(),
+          to: new Date(toTime).toISOString(),
+          bucket,
+          functions,
+          fill: fillMode,
+          units: formatService.getUnits(SENSOR_FIELDS, format),
+          ...(format.timeZone && { timeZone: format.timeZone }),
+          emptyBuckets: buckets.filter(entry => entry.count === 0).length,
+          ...sourceService.getFreshness(),
+          apiVersion: '1.0.0',
+          timestamp: new Date().toISOString()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error in getAggregate controller', { error: error.message });
+      throw error;
+    }
+  });
+
   /**
    * Process and send data for visualization
    * Accepts IoT data and formats it for visualization applications
@@ -98,8 +252,10 @@ class DataController {
       });
 
       this.validateDataRecords(inputData);
+      const metrics = derivationService.parseDerive(req.query.derive);
+      const format = formatService.parseOptions(req.query);
 
-      const visualizationData = dataService.processVisualizationData(inputData);
+      const visualizationData = dataService.processVisualizationData(inputData, { derive: metrics, format });
 
       const response = {
         ...visualizationData,
@@ -141,19 +297,20 @@ class DataController {
     logger.info('Processing GET /status request');
     
     try {
-      const cacheStats = dataService.getCacheStats();
+      const cacheStats = await dataService.getCacheStats();
       
-      let externalApiStatus = 'unknown';
-      let externalApiLatency = null;
+      const poller = pollerService.getStatus();
       
-      try {
-        const startTime = Date.now();
-        await dataService.fetchExternalData();
-        externalApiLatency = Date.now() - startTime;
-        externalApiStatus = 'healthy';
-      } catch (error) {
-        externalApiStatus = 'unhealthy';
-        logger.warn('External API health check failed', { error: error.message });
+      // Relay health comes from the background poller, the status check never calls the relay
+      let externalApiStatus = 'disabled';
+      if (config.externalApi.enabled) {
+        if (poller.state === POLLER_STATE.paused) {
+          externalApiStatus = 'paused';
+        } else if (!poller.lastSuccessAt && poller.failures === 0) {
+          externalApiStatus = 'pending';
+        } else {
+          externalApiStatus = poller.consecutiveFailures === 0 ? 'healthy' : 'unhealthy';
+        }
       }
 
       const response = {
@@ -170,13 +327,31 @@ class DataController {
             hasData: cacheStats.hasData,
             isValid: cacheStats.isValid,
             recordCount: cacheStats.recordCount,
-            lastUpdated: cacheStats.timestamp
+            lastUpdated: cacheStats.timestamp,
+            hits: cacheStats.hits,
+            misses: cacheStats.misses,
+            hitRate: cacheStats.hitRate,
+            fetches: cacheStats.fetches,
+            backend: cacheStats.backend
           },
           externalApi: {
             status: externalApiStatus,
-            latency: externalApiLatency,
-            endpoint: 'https://callback-iot.onrender.com/data'
+            latency: poller.lastDuration,
+            lastSuccessAt: poller.lastSuccessAt,
+            lastError: poller.lastError,
+            stale: sourceService.getFreshness().stale,
+            ...sourceService.getStatus()
           },
+          poller,
+          alerts: alertService.getStats(),
+          devices: await deviceHealthService.getSummary(),
+          ingest: ingestService.getStats(),
+          deduplication: deduplicationService.getStats(),
+          anomalies: anomalyService.getStats(),
+          storage: await storageService.getStats(),
+          stream: streamService.getStats(),
+          websocket: websocketService.getStats(),
+          webhooks: webhookService.getStats(),
           system: {
             nodeVersion: process.version,
             platform: process.platform,
@@ -200,7 +375,8 @@ class DataController {
 
   /**
    * Clear cached data
-   * Forces refresh of cached data on next request
+   * Forces refresh of cached data on next request. A key pattern in the body or query
+   * string clears only the matching entries.
    * 
    * @route POST /api/cache/clear
    * @param {Object} req - Express request object
@@ -211,16 +387,18 @@ class DataController {
     logger.info('Processing POST /cache/clear request');
     
     try {
-      // Clear the cache
-      dataService.clearCache();
+      const pattern = req.body?.pattern ?? req.query.pattern ?? '*';
+      const cleared = await dataService.clearCache(pattern);
       
       const response = {
         success: true,
         message: 'Cache cleared successfully',
+        pattern,
+        cleared,
         timestamp: new Date().toISOString()
       };
 
-      logger.info('Cache cleared successfully');
+      logger.info('Cache cleared successfully', { pattern, cleared });
       
       res.status(200).json(response);
       
@@ -230,6 +408,58 @@ class DataController {
     }
   });
 
+  /**
+   * Parse and validate the query string of the history endpoint
+   * @param {Object} query - Express query object
+   * @returns {Object} History query (device, from, to, limit, cursor, fields, derive, format)
+   * @throws {ApiError} When a parameter is invalid
+   */
+  parseHistoryQuery(query) {
+    requireStringParams(query, ['device', 'from', 'to', 'cursor', 'fields', 'limit']);
+
+    const { device, from, to, cursor, fields } = query;
+    const limit = query.limit !== undefined ? parseInt(query.limit, 10) : config.data.historyDefaultLimit;
+
+    if (isNaN(limit) || limit < 1 || limit > config.data.historyMaxLimit) {
+      throw createApiError(`limit must be an integer between 1 and ${config.data.historyMaxLimit}`, 400);
+    }
+
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value !== undefined && isNaN(new Date(value).getTime())) {
+        throw createApiError(`Invalid ${name} timestamp format`, 400);
+      }
+    }
+
+    if (from && to && new Date(from) > new Date(to)) {
+      throw createApiError('from must be earlier than to', 400);
+    }
+
+    let selectedFields;
+    if (fields) {
+      const allowedFields = dataService.getRecordFields();
+      selectedFields = fields.split(',').map(field => field.trim()).filter(Boolean);
+      const unknownFields = selectedFields.filter(field => !allowedFields.includes(field));
+
+      if (unknownFields.length > 0) {
+        throw createApiError(
+          `Unknown fields: ${unknownFields.join(', ')}. Available fields: ${allowedFields.join(', ')}`,
+          400
+        );
+      }
+    }
+
+    return {
+      device: device || undefined,
+      from,
+      to,
+      limit,
+      cursor: cursor ? dataService.decodeCursor(cursor) : undefined,
+      fields: selectedFields,
+      derive: derivationService.parseDerive(query.derive),
+      format: formatService.parseOptions(query)
+    };
+  }
+
   /**
    * Validate structure of IoT data records
    * @param {Array} records - Array of data records to validate
@@ -290,8 +520,11 @@ class DataController {
       message: `The requested endpoint ${req.method} ${req.originalUrl} does not exist`,
       availableEndpoints: [
         'GET /api/data - Get latest IoT data',
+        'GET /api/data/history - Get historical IoT data',
+        'GET /api/data/aggregate - Get time-bucketed aggregates',
         'POST /api/visualize - Process data for visualization',
         'GET /api/status - Get system status',
+        'GET /api/poller - Get background poller status',
         'POST /api/cache/clear - Clear cached data'
       ],
       timestamp: new Date().toISOString()
@@ -5,6 +5,10 @@
  */
 
 import decoderService from '../services/decoderService.js';
+import codecRegistry from '../services/codecRegistry.js';
+import derivationService from '../services/derivationService.js';
+import formatService, { SENSOR_FIELDS } from '../services/formatService.js';
+import sourceService from '../services/sourceService.js';
 import { createApiError } from '../middleware/errorMiddleware.js';
 import logger from '../utils/logger.js';
 
@@ -23,9 +27,30 @@ class DecoderController {
     const startTime = Date.now();
     
     try {
-      logger.info('Starting hex data decoding process');
+      const { codec } = req.query;
+      const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : undefined;
+
+      if (codec !== undefined && typeof codec !== 'string') {
+        throw createApiError('codec must be a single codec name', 400);
+      }
+
+      if (limit !== undefined && (isNaN(limit) || limit < 1)) {
+        throw createApiError('limit must be a positive integer', 400);
+      }
+
+      const metrics = derivationService.parseDerive(req.query.derive);
+      const format = formatService.parseOptions(req.query);
+
+      logger.info('Starting hex data decoding process', { codec: codec || 'per-device' });
       
-      const decodedData = await decoderService.fetchAndDecodeData();
+      const decodedData = formatService.formatRecords(
+        derivationService.deriveRecords(
+          await decoderService.fetchAndDecodeData({ codec, limit }),
+          metrics,
+          record => record.calibrated || record.decoded
+        ),
+        format
+      );
       
       const duration = Date.now() - startTime;
       logger.info('Hex data decoding completed successfully', { 
@@ -40,8 +65,12 @@ class DecoderController {
         metadata: {
           totalDecoded: decodedData.length,
           processingTime: `${duration}ms`,
-          decodingFormat: 'IEEE 754 float32 little-endian',
-          dataStructure: 'temperature(4 bytes) + humidity(4 bytes) + pressure(4 bytes)',
+          codec: codec || 'per-device',
+          codecsUsed: [...new Set(decodedData.map(record => record.codec).filter(Boolean))],
+          units: formatService.getUnits(SENSOR_FIELDS, format),
+          ...(metrics.length > 0 && { derivedUnits: formatService.getUnits(metrics, format) }),
+          ...(format.timeZone && { timeZone: format.timeZone }),
+          ...sourceService.getFreshness(),
           timestamp: new Date().toISOString()
         }
       });
@@ -67,15 +96,30 @@ class DecoderController {
     const startTime = Date.now();
     
     try {
-      const { hexData } = req.body;
+      const { hexData, codec: codecName, device, timestamp } = req.body;
       
       if (!hexData || typeof hexData !== 'string') {
         throw createApiError('hexData field is required and must be a string', 400);
       }
+
+      for (const [name, value] of Object.entries({ codec: codecName, device })) {
+        if (value !== undefined && value !== null && typeof value !== 'string') {
+          throw createApiError(`${name} must be a string`, 400);
+        }
+      }
+
+      const codec = codecRegistry.resolve({ codec: codecName, device });
+      const metrics = derivationService.parseDerive(req.query.derive);
+      const format = formatService.parseOptions(req.query);
       
-      logger.info('Decoding single hex string', { hexData });
+      logger.info('Decoding single hex string', { hexData, codec: codec.name });
       
-      const decodedResult = decoderService.decodeHexString(hexData);
+      if (timestamp !== undefined && isNaN(new Date(timestamp).getTime())) {
+        throw createApiError('timestamp must be an ISO timestamp', 400);
+      }
+
+      const decodedResult = decoderService.decodeHexString(hexData, { codec: codec.name, device });
+      const calibration = decoderService.describeCalibration(device, timestamp ?? Date.now(), decodedResult);
       
       const duration = Date.now() - startTime;
       logger.info('Single hex decoding completed', { 
@@ -90,12 +134,22 @@ class DecoderController {
         input: {
           hexData,
           hexLength: hexData.length,
-          expectedBytes: 12
+          expectedBytes: codec.length
         },
-        decoded: decodedResult,
+        ...formatService.formatRecord({
+          decoded: decodedResult,
+          ...calibration,
+          ...(metrics.length > 0 && {
+            derived: derivationService.derive(calibration.calibrated || decodedResult, device, metrics)
+          })
+        }, format),
         metadata: {
           processingTime: `${duration}ms`,
-          decodingFormat: 'IEEE 754 float32 little-endian',
+          units: formatService.getUnits(Object.keys(decodedResult), format),
+          ...(metrics.length > 0 && { derivedUnits: formatService.getUnits(metrics, format) }),
+          codec: codec.name,
+          decodingFormat: codec.description,
+          dataStructure: codecRegistry.describeLayout(codec),
           timestamp: new Date().toISOString()
         }
       });
@@ -146,7 +200,7 @@ class DecoderController {
           processingTime: `${duration}ms`
         },
         metadata: {
-          decodingFormat: 'IEEE 754 float32 little-endian',
+          codec: 'per-device',
           tolerance: 0.01,
           timestamp: new Date().toISOString()
         }
@@ -172,23 +226,26 @@ class DecoderController {
   async getDecoderInfo(req, res, next) {
     try {
       logger.info('Fetching decoder information');
+
+      const defaultCodec = codecRegistry.resolve();
       
       res.status(200).json({
         success: true,
         message: 'Decoder information retrieved successfully',
         info: {
           version: '1.0.0',
-          format: 'IEEE 754 float32 little-endian',
-          dataStructure: {
-            temperature: '4 bytes (float32)',
-            humidity: '4 bytes (float32)',
-            pressure: '4 bytes (float32)'
-          },
-          totalBytes: 12,
+          defaultCodec: defaultCodec.name,
+          format: defaultCodec.description,
+          dataStructure: Object.fromEntries(
+            defaultCodec.fields.map(field => [field.name, `${field.type} at byte ${field.offset}`])
+          ),
+          totalBytes: defaultCodec.length,
+          availableCodecs: codecRegistry.list().map(codec => codec.name),
           supportedOperations: [
             'Fetch and decode all hex data',
             'Decode single hex string',
-            'Validate decoding accuracy'
+            'Validate decoding accuracy',
+            'List payload codecs'
           ],
           timestamp: new Date().toISOString()
         }
@@ -199,6 +256,34 @@ class DecoderController {
       next(error);
     }
   }
+
+  /**
+   * List the registered payload codecs and their byte layouts
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next middleware function
+   */
+  async getCodecs(req, res, next) {
+    try {
+      logger.info('Fetching payload codecs');
+
+      const codecs = codecRegistry.list();
+
+      res.status(200).json({
+        success: true,
+        message: `Retrieved ${codecs.length} payload codecs`,
+        data: codecs,
+        metadata: {
+          defaultCodec: codecRegistry.resolve().name,
+          timestamp: new Date().toISOString()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error fetching payload codecs', { error: error.message });
+      next(error);
+    }
+  }
 }
 
 const decoderController = new DecoderController();
@@ -0,0 +1,504 @@
+/**
+ * @fileoverview Device registry controller for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import config from '../config/config.js';
+import calibrationService from '../services/calibrationService.js';
+import deviceHealthService from '../services/deviceHealthService.js';
+import deviceService from '../services/deviceService.js';
+import downlinkService, { DOWNLINK_STATUS } from '../services/downlinkService.js';
+import linkQualityService from '../services/linkQualityService.js';
+import sequenceService from '../services/sequenceService.js';
+import { asyncHandler, createApiError } from '../middleware/errorMiddleware.js';
+import { parseDuration } from '../utils/duration.js';
+import logger from '../utils/logger.js';
+import { requireStringParams } from '../utils/queryParams.js';
+
+/**
+ * Device Controller Class
+ * Handles HTTP requests for the device registry
+ */
+class DeviceController {
+
+  /**
+   * List all registered devices
+   *
+   * @route GET /api/devices
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} JSON response with the device list
+   */
+  listDevices = asyncHandler(async (req, res) => {
+    logger.info('Processing GET /devices request');
+
+    const devices = deviceService.list();
+
+    res.status(200).json({
+      success: true,
+      message: `Retrieved ${devices.length} registered devices`,
+      data: devices,
+      metadata: {
+        totalDevices: devices.length,
+        timestamp: new Date().toISOString()
+      }
+    });
+  });
+
+  /**
+   * Get a single registered device
+   *
+   * @route GET /api/devices/:id
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} JSON response with the device
+   */
+  getDevice = asyncHandler(async (req, res) => {
+    logger.info('Processing GET /devices/:id request', { device: req.params.id });
+
+    const device = deviceService.get(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Device retrieved successfully',
+      data: device,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Register a new device
+   *
+   * @route POST /api/devices
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} JSON response with the created device
+   */
+  createDevice = asyncHandler(async (req, res) => {
+    logger.info('Processing POST /devices request', { device: req.body?.id });
+
+    const device = await deviceService.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Device registered successfully',
+      data: device,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Update a registered device
+   *
+   * @route PUT /api/devices/:id
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} JSON response with the updated device
+   */
+  updateDevice = asyncHandler(async (req, res) => {
+    logger.info('Processing PUT /devices/:id request', { device: req.params.id });
+
+    const device = await deviceService.update(req.params.id, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Device updated successfully',
+      data: device,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Remove a device from the registry
+   *
+   * @route DELETE /api/devices/:id
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} JSON response with the removed device
+   */
+  deleteDevice = asyncHandler(async (req, res) => {
+    logger.info('Processing DELETE /devices/:id request', { device: req.params.id });
+
+    const device = await deviceService.remove(req.params.id);
+    await calibrationService.removeDevice(device.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Device removed successfully',
+      data: device,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Get the health of every registered or seen device
+   *
+   * @route GET /api/devices/health
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} JSON response with last seen times and states
+   */
+  listDeviceHealth = asyncHandler(async (req, res) => {
+    logger.info('Processing GET /devices/health request');
+
+    const devices = await deviceHealthService.listHealth();
+
+    res.status(200).json({
+      success: true,
+      message: `Retrieved health of ${devices.length} devices`,
+      data: devices,
+      metadata: {
+        summary: await deviceHealthService.getSummary(),
+        timestamp: new Date().toISOString()
+      }
+    });
+  });
+
+  /**
+   * List the message gaps of a device
+   *
+   * @route GET /api/devices/:id/gaps
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} JSON response with the gaps, newest first
+   */
+  getDeviceGaps = asyncHandler(async (req, res) => {
+    logger.info('Processing GET /devices/:id/gaps request', { device: req.params.id, query: req.query });
+
+    requireStringParams(req.query, ['from', 'to']);
+
+    const from = req.query.from !== undefined ? new Date(req.query.from).getTime() : undefined;
+    const to = req.query.to !== undefined ? new Date(req.query.to).getTime() : undefined;
+
+    if ((from !== undefined && isNaN(from)) || (to !== undefined && isNaN(to))) {
+      throw createApiError('Invalid from or to timestamp format', 400);
+    }
+
+    const health = await deviceHealthService.getHealth(req.params.id);
+    if (health.lastSeen === null) {
+      throw createApiError(`No messages stored for device: ${req.params.id}`, 404);
+    }
+
+    const { interval, intervalSource, gaps } = await deviceHealthService.getGaps(req.params.id, { from, to });
+
+    res.status(200).json({
+      success: true,
+      message: interval
+        ? `Found ${gaps.length} gaps`
+        : 'Expected interval unknown, configure expectedInterval on the device to detect gaps',
+      data: gaps,
+      metadata: {
+        health,
+        expectedInterval: interval,
+        intervalSource,
+        timestamp: new Date().toISOString()
+      }
+    });
+  });
+
+  /**
+   * Get the sequence number statistics of every device with frames in a range
+   *
+   * @route GET /api/devices/sequence
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} JSON response with lost, duplicate and out-of-order frame counts per device
+   */
+  listSequenceStats = asyncHandler(async (req, res) => {
+    logger.info('Processing GET /devices/sequence request', { query: req.query });
+
+    const { from, to } = this.parseStatsRange(req.query);
+    const devices = await sequenceService.listDeviceStats({ from, to });
+
+    res.status(200).json({
+      success: true,
+      message: `Retrieved sequence statistics of ${devices.length} devices`,
+      data: devices,
+      metadata: {
+        from: new Date(from).toISOString(),
+        to: new Date(to).toISOString(),
+        timestamp: new Date().toISOString()
+      }
+    });
+  });
+
+  /**
+   * Get the sequence number statistics of a device, in total and per time window
+   *
+   * @route GET /api/devices/:id/sequence
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} JSON response with the totals and per-window statistics
+   */
+  getDeviceSequence = asyncHandler(async (req, res) => {
+    logger.info('Processing GET /devices/:id/sequence request', { device: req.params.id, query: req.query });
+
+    const { from, to } = this.parseStatsRange(req.query);
+    const windowMs = this.parseStatsWindow(req.query.window, from, to);
+
+    const health = await deviceHealthService.getHealth(req.params.id);
+    if (health.lastSeen === null) {
+      throw createApiError(`No messages stored for device: ${req.params.id}`, 404);
+    }
+
+    const stats = await sequenceService.getDeviceStats(req.params.id, { from, to, windowMs });
+
+    res.status(200).json({
+      success: true,
+      message: `Analyzed ${stats.totals.frames} frames in ${stats.windows.length} windows`,
+      data: stats,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Get the radio link quality of every device with link metadata in a range
+   *
+   * @route GET /api/devices/link-quality
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} JSON response with RSSI, SNR and station statistics per device, weakest first
+   */
+  listLinkQuality = asyncHandler(async (req, res) => {
+    logger.info('Processing GET /devices/link-quality request', { query: req.query });
+
+    const { from, to } = this.parseStatsRange(req.query);
+    const devices = await linkQualityService.listDeviceStats({ from, to });
+
+    res.status(200).json({
+      success: true,
+      message: `Retrieved link quality of ${devices.length} devices`,
+      data: devices,
+      metadata: {
+        from: new Date(from).toISOString(),
+        to: new Date(to).toISOString(),
+        timestamp: new Date().toISOString()
+      }
+    });
+  });
+
+  /**
+   * Get the radio link quality of a device, in total and per time window
+   *
+   * @route GET /api/devices/:id/link-quality
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} JSON response with the totals and per-window statistics
+   */
+  getDeviceLinkQuality = asyncHandler(async (req, res) => {
+    logger.info('Processing GET /devices/:id/link-quality request', { device: req.params.id, query: req.query });
+
+    const { from, to } = this.parseStatsRange(req.query);
+    const windowMs = this.parseStatsWindow(req.query.window, from, to);
+
+    const health = await deviceHealthService.getHealth(req.params.id);
+    if (health.lastSeen === null) {
+      throw createApiError(`No messages stored for device: ${req.params.id}`, 404);
+    }
+
+    const stats = await linkQualityService.getDeviceStats(req.params.id, { from, to, windowMs });
+
+    res.status(200).json({
+      success: true,
+      message: `Summarized ${stats.totals.frames} frames with link metadata in ${stats.windows.length} windows`,
+      data: stats,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Parse the time range of the device statistics, the last 24 hours by default
+   * @param {Object} query - Request query (from, to, window)
+   * @returns {Object} Range start and end (epoch ms)
+   * @throws {ApiError} When a bound is malformed or the range is empty
+   */
+  parseStatsRange(query) {
+    requireStringParams(query, ['from', 'to', 'window']);
+
+    const { from, to } = query;
+    const toTime = to !== undefined ? new Date(to).getTime() : Date.now();
+    const fromTime = from !== undefined ? new Date(from).getTime() : toTime - 24 * 60 * 60 * 1000;
+
+    if (isNaN(fromTime) || isNaN(toTime)) {
+      throw createApiError('Invalid from or to timestamp format', 400);
+    }
+
+    if (fromTime >= toTime) {
+      throw createApiError('from must be earlier than to', 400);
+    }
+
+    return { from: fromTime, to: toTime };
+  }
+
+  /**
+   * Parse the window size of the per-window device statistics
+   * @param {string} [window] - Duration such as 30m, 1h or 1d, 1h by default
+   * @param {number} from - Start of the range (epoch ms)
+   * @param {number} to - End of the range (epoch ms)
+   * @returns {number} Window size in milliseconds
+   * @throws {ApiError} When the duration is malformed or the range produces too many windows
+   */
+  parseStatsWindow(window = '1h', from, to) {
+    const windowMs = parseDuration(window);
+    if (!windowMs) {
+      throw createApiError('window must be a duration such as 30m, 1h or 1d', 400);
+    }
+
+    const windowCount = Math.ceil((to - from) / windowMs);
+    if (windowCount > config.devices.maxStatsWindows) {
+      throw createApiError(
+        `Range produces ${windowCount} windows, the maximum is ${config.devices.maxStatsWindows}. Use a larger window.`,
+        400
+      );
+    }
+
+    return windowMs;
+  }
+
+  /**
+   * Queue a downlink command for a device
+   * The command is returned in the response to the next Sigfox callback requesting an acknowledgement
+   *
+   * @route POST /api/devices/:id/downlink
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} JSON response with the queued downlink
+   */
+  queueDownlink = asyncHandler(async (req, res) => {
+    logger.info('Processing POST /devices/:id/downlink request', { device: req.params.id });
+
+    const downlink = await downlinkService.enqueue(req.params.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Downlink queued successfully',
+      data: downlink,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * List the downlinks of a device with their delivery status
+   *
+   * @route GET /api/devices/:id/downlink
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} JSON response with the downlinks
+   */
+  listDownlinks = asyncHandler(async (req, res) => {
+    logger.info('Processing GET /devices/:id/downlink request', { device: req.params.id });
+
+    const downlinks = downlinkService.list(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: `Retrieved ${downlinks.length} downlinks`,
+      data: downlinks,
+      metadata: {
+        queued: downlinks.filter(downlink => downlink.status === DOWNLINK_STATUS.queued).length,
+        timestamp: new Date().toISOString()
+      }
+    });
+  });
+
+  /**
+   * Cancel a queued downlink
+   *
+   * @route DELETE /api/devices/:id/downlink/:downlinkId
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} JSON response with the cancelled downlink
+   */
+  cancelDownlink = asyncHandler(async (req, res) => {
+    logger.info('Processing DELETE /devices/:id/downlink/:downlinkId request', {
+      device: req.params.id,
+      downlink: req.params.downlinkId
+    });
+
+    const downlink = await downlinkService.cancel(req.params.id, req.params.downlinkId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Downlink cancelled successfully',
+      data: downlink,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * List the calibration profiles of a registered device
+   *
+   * @route GET /api/devices/:id/calibrations
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} JSON response with the profiles, oldest effective date first
+   */
+  listCalibrations = asyncHandler(async (req, res) => {
+    logger.info('Processing GET /devices/:id/calibrations request', { device: req.params.id });
+
+    const device = deviceService.get(req.params.id);
+    const profiles = calibrationService.list(device.id);
+
+    res.status(200).json({
+      success: true,
+      message: `Retrieved ${profiles.length} calibration profiles`,
+      data: profiles,
+      metadata: {
+        current: calibrationService.findProfile(device.id, Date.now())?.id ?? null,
+        timestamp: new Date().toISOString()
+      }
+    });
+  });
+
+  /**
+   * Add a calibration profile to a registered device
+   *
+   * @route POST /api/devices/:id/calibrations
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} JSON response with the created profile
+   */
+  createCalibration = asyncHandler(async (req, res) => {
+    logger.info('Processing POST /devices/:id/calibrations request', { device: req.params.id });
+
+    const device = deviceService.get(req.params.id);
+    const profile = await calibrationService.create(device.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Calibration profile created successfully',
+      data: profile,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Delete a calibration profile of a device
+   *
+   * @route DELETE /api/devices/:id/calibrations/:calibrationId
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} JSON response with the deleted profile
+   */
+  deleteCalibration = asyncHandler(async (req, res) => {
+    logger.info('Processing DELETE /devices/:id/calibrations/:calibrationId request', {
+      device: req.params.id,
+      calibration: req.params.calibrationId
+    });
+
+    const device = deviceService.get(req.params.id);
+    const profile = await calibrationService.remove(device.id, req.params.calibrationId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Calibration profile deleted successfully',
+      data: profile,
+      timestamp: new Date().toISOString()
+    });
+  });
+}
+
+const deviceController = new DeviceController();
+
+export default deviceController;
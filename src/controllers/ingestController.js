@@ -0,0 +1,68 @@
+/**
+ * @fileoverview Sigfox callback ingestion controller for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import ingestService from '../services/ingestService.js';
+import { asyncHandler } from '../middleware/errorMiddleware.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Ingest Controller Class
+ * Handles callbacks pushed by the Sigfox backend
+ */
+class IngestController {
+
+  /**
+   * Receive a Sigfox data callback
+   * Decodes the payload and stores the resulting record. Callbacks with `ack: true`
+   * are answered in the Sigfox downlink format, or with 204 when nothing is queued.
+   *
+   * @route POST /api/ingest/sigfox
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} JSON response with the stored record
+   */
+  ingestSigfox = asyncHandler(async (req, res) => {
+    const startTime = Date.now();
+    logger.info('Processing POST /ingest/sigfox request', { device: req.body?.device });
+
+    const result = await ingestService.ingestSigfoxCallback(req.body);
+
+    const duration = Date.now() - startTime;
+    logger.info('Successfully processed Sigfox callback', {
+      device: result.record.device,
+      duration: `${duration}ms`
+    });
+
+    if (result.downlinkRequested) {
+      if (!result.downlink) {
+        return res.status(204).end();
+      }
+
+      return res.status(200).json({
+        [req.body.device]: {
+          downlinkData: result.downlink.downlinkData
+        }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: result.decodingSuccess
+        ? 'Callback ingested and decoded successfully'
+        : 'Callback ingested but payload could not be decoded',
+      data: result.record,
+      decodingSuccess: result.decodingSuccess,
+      duplicate: result.duplicate,
+      mergedReception: result.mergedReception,
+      ...(result.error && { decodingError: result.error }),
+      timestamp: new Date().toISOString()
+    });
+  });
+}
+
+const ingestController = new IngestController();
+
+export default ingestController;
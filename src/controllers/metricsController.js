@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Metrics controller for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import metricsService from '../services/metricsService.js';
+import { asyncHandler } from '../middleware/errorMiddleware.js';
+
+/**
+ * Prometheus text exposition format content type
+ */
+const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Metrics Controller Class
+ * Handles the Prometheus scrape endpoint
+ */
+class MetricsController {
+
+  /**
+   * Get every metric in the Prometheus text format
+   * Not logged per request, scrapes run every few seconds
+   *
+   * @route GET /metrics
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Text response with the metrics
+   */
+  getMetrics = asyncHandler(async (req, res) => {
+    res.set('Content-Type', METRICS_CONTENT_TYPE);
+    res.status(200).send(await metricsService.render());
+  });
+}
+
+const metricsController = new MetricsController();
+
+export default metricsController;
@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Background poller controller for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import pollerService from '../services/pollerService.js';
+import { asyncHandler } from '../middleware/errorMiddleware.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Poller Controller Class
+ * Handles administration of the background relay poller
+ */
+class PollerController {
+
+  /**
+   * Get the poller status
+   *
+   * @route GET /api/poller
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} JSON response with the poller status
+   */
+  getStatus = asyncHandler(async (req, res) => {
+    logger.info('Processing GET /poller request');
+
+    res.status(200).json({
+      success: true,
+      message: 'Poller status retrieved successfully',
+      data: pollerService.getStatus(),
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Pause the poller
+   *
+   * @route POST /api/poller/pause
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} JSON response with the poller status
+   */
+  pause = asyncHandler(async (req, res) => {
+    logger.info('Processing POST /poller/pause request');
+
+    const status = pollerService.pause();
+
+    res.status(200).json({
+      success: true,
+      message: 'Poller paused successfully',
+      data: status,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Resume the poller with an immediate poll
+   *
+   * @route POST /api/poller/resume
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} JSON response with the poller status
+   */
+  resume = asyncHandler(async (req, res) => {
+    logger.info('Processing POST /poller/resume request');
+
+    const status = pollerService.resume();
+
+    res.status(200).json({
+      success: true,
+      message: 'Poller resumed successfully',
+      data: status,
+      timestamp: new Date().toISOString()
+    });
+  });
+}
+
+const pollerController = new PollerController();
+
+export default pollerController;
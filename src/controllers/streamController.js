@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Live stream controller for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import streamService from '../services/streamService.js';
+import { asyncHandler, createApiError } from '../middleware/errorMiddleware.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Stream Controller Class
+ * Handles Server-Sent Events connections
+ */
+class StreamController {
+
+  /**
+   * Open a Server-Sent Events stream of new readings
+   * The Last-Event-ID header (or the lastEventId query parameter) replays buffered events
+   *
+   * @route GET /api/stream
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} Open event stream
+   */
+  openStream = asyncHandler(async (req, res) => {
+    const { device } = req.query;
+    const rawLastEventId = req.get('Last-Event-ID') ?? req.query.lastEventId;
+    let lastEventId;
+
+    if (device !== undefined && typeof device !== 'string') {
+      throw createApiError('device must be a single device ID', 400);
+    }
+
+    if (rawLastEventId !== undefined && typeof rawLastEventId !== 'string') {
+      throw createApiError('Last-Event-ID must be a non-negative integer', 400);
+    }
+
+    if (rawLastEventId !== undefined && rawLastEventId !== '') {
+      lastEventId = parseInt(rawLastEventId, 10);
+      if (isNaN(lastEventId) || lastEventId < 0) {
+        throw createApiError('Last-Event-ID must be a non-negative integer', 400);
+      }
+    }
+
+    logger.info('Processing GET /stream request', { device, lastEventId });
+
+    streamService.subscribe(req, res, { device, lastEventId });
+  });
+}
+
+const streamController = new StreamController();
+
+export default streamController;
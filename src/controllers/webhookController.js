@@ -0,0 +1,216 @@
+/**
+ * @fileoverview Outbound webhook controller for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import webhookService from '../services/webhookService.js';
+import { asyncHandler } from '../middleware/errorMiddleware.js';
+import logger from '../utils/logger.js';
+import { requireStringParams } from '../utils/queryParams.js';
+
+/**
+ * Webhook Controller Class
+ * Handles HTTP requests for webhook registration and dead-letter administration
+ */
+class WebhookController {
+
+  /**
+   * List registered webhooks
+   *
+   * @route GET /api/webhooks
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} JSON response with the webhooks
+   */
+  listWebhooks = asyncHandler(async (req, res) => {
+    logger.info('Processing GET /webhooks request');
+
+    const webhooks = webhookService.list();
+
+    res.status(200).json({
+      success: true,
+      message: `Retrieved ${webhooks.length} webhooks`,
+      data: webhooks,
+      metadata: {
+        ...webhookService.getStats(),
+        timestamp: new Date().toISOString()
+      }
+    });
+  });
+
+  /**
+   * Get a webhook
+   *
+   * @route GET /api/webhooks/:id
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} JSON response with the webhook
+   */
+  getWebhook = asyncHandler(async (req, res) => {
+    logger.info('Processing GET /webhooks/:id request', { webhook: req.params.id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook retrieved successfully',
+      data: webhookService.describe(webhookService.get(req.params.id)),
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Register a webhook
+   * The response is the only one that contains the signing secret
+   *
+   * @route POST /api/webhooks
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} JSON response with the created webhook
+   */
+  createWebhook = asyncHandler(async (req, res) => {
+    logger.info('Processing POST /webhooks request', { url: req.body?.url });
+
+    const webhook = await webhookService.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook registered successfully',
+      data: webhook,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Update a webhook
+   *
+   * @route PUT /api/webhooks/:id
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} JSON response with the updated webhook
+   */
+  updateWebhook = asyncHandler(async (req, res) => {
+    logger.info('Processing PUT /webhooks/:id request', { webhook: req.params.id });
+
+    const webhook = await webhookService.update(req.params.id, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook updated successfully',
+      data: webhook,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Remove a webhook
+   *
+   * @route DELETE /api/webhooks/:id
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} JSON response with the removed webhook
+   */
+  deleteWebhook = asyncHandler(async (req, res) => {
+    logger.info('Processing DELETE /webhooks/:id request', { webhook: req.params.id });
+
+    const webhook = await webhookService.remove(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook removed successfully',
+      data: webhook,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Send a test event to a webhook
+   *
+   * @route POST /api/webhooks/:id/test
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} JSON response with the delivery outcome
+   */
+  testWebhook = asyncHandler(async (req, res) => {
+    logger.info('Processing POST /webhooks/:id/test request', { webhook: req.params.id });
+
+    const outcome = await webhookService.test(req.params.id);
+
+    res.status(200).json({
+      success: outcome.delivered,
+      message: outcome.delivered ? 'Test event delivered' : 'Test event could not be delivered',
+      data: outcome,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * List dead-lettered deliveries
+   *
+   * @route GET /api/webhooks/dead-letters
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} JSON response with the dead letters
+   */
+  listDeadLetters = asyncHandler(async (req, res) => {
+    logger.info('Processing GET /webhooks/dead-letters request', { query: req.query });
+
+    requireStringParams(req.query, ['webhookId']);
+
+    const deadLetters = webhookService.listDeadLetters({ webhookId: req.query.webhookId });
+
+    res.status(200).json({
+      success: true,
+      message: `Retrieved ${deadLetters.length} dead letters`,
+      data: deadLetters,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Replay a dead-lettered delivery
+   *
+   * @route POST /api/webhooks/dead-letters/:id/replay
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} JSON response with the delivery outcome
+   */
+  replayDeadLetter = asyncHandler(async (req, res) => {
+    logger.info('Processing POST /webhooks/dead-letters/:id/replay request', { deadLetter: req.params.id });
+
+    const outcome = await webhookService.replayDeadLetter(req.params.id);
+
+    res.status(200).json({
+      success: outcome.delivered,
+      message: outcome.delivered
+        ? 'Dead letter delivered and removed'
+        : 'Replay failed, the delivery was dead-lettered again',
+      data: outcome,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  /**
+   * Discard a dead-lettered delivery
+   *
+   * @route DELETE /api/webhooks/dead-letters/:id
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Promise<void>} JSON response with the discarded dead letter
+   */
+  deleteDeadLetter = asyncHandler(async (req, res) => {
+    logger.info('Processing DELETE /webhooks/dead-letters/:id request', { deadLetter: req.params.id });
+
+    const deadLetter = await webhookService.removeDeadLetter(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Dead letter discarded',
+      data: deadLetter,
+      timestamp: new Date().toISOString()
+    });
+  });
+}
+
+const webhookController = new WebhookController();
+
+export default webhookController;
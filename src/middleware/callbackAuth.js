@@ -0,0 +1,50 @@
+/**
+ * @fileoverview Shared-secret authentication for Sigfox callbacks
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import crypto from 'crypto';
+import config from '../config/config.js';
+import { createApiError } from './errorMiddleware.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Compare two strings in constant time
+ * @param {string} provided - Value sent by the client
+ * @param {string} expected - Configured secret
+ * @returns {boolean} Whether both values match
+ */
+const secretsMatch = (provided, expected) => {
+  const providedBuffer = Buffer.from(provided);
+  const expectedBuffer = Buffer.from(expected);
+
+  return providedBuffer.length === expectedBuffer.length &&
+         crypto.timingSafeEqual(providedBuffer, expectedBuffer);
+};
+
+/**
+ * Require the Sigfox callback shared secret
+ * Rejects every callback while no secret is configured
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const requireCallbackSecret = (req, res, next) => {
+  const { sharedSecret, secretHeader } = config.ingest;
+
+  if (!sharedSecret) {
+    return next(createApiError('Sigfox callback ingestion is not configured', 503));
+  }
+
+  const provided = req.get(secretHeader);
+  if (!provided || !secretsMatch(provided, sharedSecret)) {
+    logger.warn('Rejected Sigfox callback with invalid shared secret', {
+      ip: req.ip,
+      device: req.body?.device
+    });
+    return next(createApiError('Invalid callback secret', 401));
+  }
+
+  next();
+};
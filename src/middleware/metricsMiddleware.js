@@ -0,0 +1,54 @@
+/**
+ * @fileoverview HTTP request metrics middleware for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import metrics from '../utils/metrics.js';
+
+const httpRequests = metrics.counter({
+  name: 'iot_http_requests_total',
+  help: 'HTTP requests by method, route and status code',
+  labelNames: ['method', 'route', 'status']
+});
+
+const httpRequestDuration = metrics.histogram({
+  name: 'iot_http_request_duration_seconds',
+  help: 'HTTP request latency in seconds by method, route and status code',
+  labelNames: ['method', 'route', 'status']
+});
+
+/**
+ * Remember the mount path of the router handling a request
+ * Express resets req.baseUrl when an error leaves the router, so the route label is built
+ * from the path recorded here. Mount it in front of each router.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const recordRouteBase = (req, res, next) => {
+  res.locals.routeBase = req.baseUrl;
+  next();
+};
+
+/**
+ * Count every request and time it until the response is sent
+ * Requests are labelled with their route template, such as /api/devices/:id, so the
+ * number of series stays bounded; requests that matched no route are "unmatched".
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const metricsMiddleware = (req, res, next) => {
+  const endTimer = httpRequestDuration.startTimer({ method: req.method });
+
+  res.on('finish', () => {
+    const base = res.locals.routeBase ?? req.baseUrl;
+    const route = req.route ? `${base}${base && req.route.path === '/' ? '' : req.route.path}` : 'unmatched';
+    const labels = { method: req.method, route, status: res.statusCode };
+    httpRequests.inc(labels);
+    endTimer(labels);
+  });
+
+  next();
+};
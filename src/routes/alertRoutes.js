@@ -0,0 +1,300 @@
+/**
+ * @fileoverview Alerting routes for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import express from 'express';
+import alertController from '../controllers/alertController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AlertRule:
+ *       type: object
+ *       required:
+ *         - name
+ *         - field
+ *         - type
+ *       properties:
+ *         id:
+ *           type: string
+ *           readOnly: true
+ *         name:
+ *           type: string
+ *           example: "Greenhouse too hot"
+ *         device:
+ *           type: string
+ *           nullable: true
+ *           description: Device the rule applies to, null for every device
+ *           example: "42A6DA"
+ *         field:
+ *           type: string
+ *           enum: [temperature, humidity, pressure]
+ *         type:
+ *           type: string
+ *           enum: [threshold, rate]
+ *         operator:
+ *           type: string
+ *           enum: [">", ">=", "<", "<="]
+ *           description: Threshold rules only
+ *         value:
+ *           type: number
+ *           description: Threshold rules only
+ *           example: 30
+ *         duration:
+ *           type: string
+ *           description: Threshold rules only, how long the condition must hold
+ *           example: "10m"
+ *         direction:
+ *           type: string
+ *           enum: [rise, drop, any]
+ *           description: Rate rules only
+ *         change:
+ *           type: number
+ *           description: Rate rules only, change that must be exceeded
+ *           example: 3
+ *         window:
+ *           type: string
+ *           description: Rate rules only, time window of the change
+ *           example: "1h"
+ *         severity:
+ *           type: string
+ *           enum: [info, warning, critical]
+ *           default: warning
+ *         enabled:
+ *           type: boolean
+ *           default: true
+ *     Alert:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         ruleId:
+ *           type: string
+ *         ruleName:
+ *           type: string
+ *         device:
+ *           type: string
+ *         field:
+ *           type: string
+ *         severity:
+ *           type: string
+ *         state:
+ *           type: string
+ *           enum: [firing, acknowledged, resolved]
+ *         message:
+ *           type: string
+ *           example: "Greenhouse too hot: temperature 31.2 > 30 for 10m on 42A6DA"
+ *         value:
+ *           type: number
+ *           description: Value that fired the alert
+ *         lastValue:
+ *           type: number
+ *         firedAt:
+ *           type: string
+ *           format: date-time
+ *         acknowledgedAt:
+ *           type: string
+ *           format: date-time
+ *         acknowledgedBy:
+ *           type: string
+ *         resolvedAt:
+ *           type: string
+ *           format: date-time
+ *         resolvedReason:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/alerts/rules:
+ *   get:
+ *     summary: List alert rules
+ *     tags: [Alerts]
+ *     responses:
+ *       200:
+ *         description: Rules retrieved successfully
+ *   post:
+ *     summary: Create an alert rule
+ *     description: |
+ *       Threshold rules fire when the value compares to `value` with `operator` on every record
+ *       for at least `duration`. Rate rules fire when the value rises or drops by more than
+ *       `change` within `window`. Rules are evaluated against every new stored record.
+ *     tags: [Alerts]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AlertRule'
+ *           examples:
+ *             threshold:
+ *               value:
+ *                 name: "Greenhouse too hot"
+ *                 device: "42A6DA"
+ *                 field: temperature
+ *                 type: threshold
+ *                 operator: ">"
+ *                 value: 30
+ *                 duration: "10m"
+ *             rate:
+ *               value:
+ *                 name: "Pressure falling"
+ *                 field: pressure
+ *                 type: rate
+ *                 direction: drop
+ *                 change: 3
+ *                 window: "1h"
+ *     responses:
+ *       201:
+ *         description: Rule created
+ *       400:
+ *         description: Invalid rule
+ */
+router.get('/rules', alertController.listRules);
+router.post('/rules', alertController.createRule);
+
+/**
+ * @swagger
+ * /api/alerts/rules/{id}:
+ *   parameters:
+ *     - in: path
+ *       name: id
+ *       required: true
+ *       schema:
+ *         type: string
+ *   get:
+ *     summary: Get an alert rule
+ *     tags: [Alerts]
+ *     responses:
+ *       200:
+ *         description: Rule retrieved successfully
+ *       404:
+ *         description: Rule not found
+ *   put:
+ *     summary: Update an alert rule
+ *     description: Only the attributes present in the body are changed. Active alerts of the rule are resolved.
+ *     tags: [Alerts]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AlertRule'
+ *     responses:
+ *       200:
+ *         description: Rule updated
+ *       400:
+ *         description: Invalid rule
+ *       404:
+ *         description: Rule not found
+ *   delete:
+ *     summary: Delete an alert rule
+ *     description: Active alerts of the rule are resolved
+ *     tags: [Alerts]
+ *     responses:
+ *       200:
+ *         description: Rule deleted
+ *       404:
+ *         description: Rule not found
+ */
+router.get('/rules/:id', alertController.getRule);
+router.put('/rules/:id', alertController.updateRule);
+router.delete('/rules/:id', alertController.deleteRule);
+
+/**
+ * @swagger
+ * /api/alerts:
+ *   get:
+ *     summary: List alerts, newest first
+ *     tags: [Alerts]
+ *     parameters:
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *           enum: [firing, acknowledged, resolved]
+ *       - in: query
+ *         name: device
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: ruleId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Alerts retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Alert'
+ */
+router.get('/', alertController.listAlerts);
+
+/**
+ * @swagger
+ * /api/alerts/{id}:
+ *   get:
+ *     summary: Get an alert
+ *     tags: [Alerts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Alert retrieved successfully
+ *       404:
+ *         description: Alert not found
+ */
+router.get('/:id', alertController.getAlert);
+
+/**
+ * @swagger
+ * /api/alerts/{id}/acknowledge:
+ *   post:
+ *     summary: Acknowledge a firing alert
+ *     description: The alert stays active until its condition clears, then it is resolved
+ *     tags: [Alerts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               by:
+ *                 type: string
+ *                 example: "operator@example.com"
+ *     responses:
+ *       200:
+ *         description: Alert acknowledged
+ *       404:
+ *         description: Alert not found
+ *       409:
+ *         description: Alert is not firing
+ */
+router.post('/:id/acknowledge', alertController.acknowledgeAlert);
+
+export default router;
@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Analytics routes for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import express from 'express';
+import analyticsController from '../controllers/analyticsController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/analytics/anomalies:
+ *   get:
+ *     summary: Get the anomaly report of the stored records
+ *     description: |
+ *       Counts the anomalies attached to records when they were stored: `outlier` (rolling MAD or
+ *       z-score beyond the threshold), `stuck` (same value repeated too long) and `jump` (implausible
+ *       change between consecutive readings). Returns totals, flagged devices (most flagged first)
+ *       and the most recent anomalies. The range defaults to the last 24 hours.
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: query
+ *         name: device
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 100
+ *         description: Most recent anomalies to list (default 100)
+ *     responses:
+ *       200:
+ *         description: Anomaly report
+ *       400:
+ *         description: Invalid query parameters
+ */
+router.get('/anomalies', analyticsController.getAnomalies);
+
+export default router;
@@ -9,13 +9,66 @@ import dataController from '../controllers/dataController.js';
 
 const router = express.Router();
 
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     Derive:
+ *       in: query
+ *       name: derive
+ *       schema:
+ *         type: string
+ *       description: |
+ *         Comma-separated derived metrics to add to each record as `derived`, or `all`:
+ *         dewPoint (°C), absoluteHumidity (g/m³), heatIndex (°C), pressureAltitude (m) and
+ *         seaLevelPressure (hPa, only for devices with `location.altitude`)
+ *       example: dewPoint,heatIndex
+ *     Units:
+ *       in: query
+ *       name: units
+ *       schema:
+ *         type: string
+ *       description: |
+ *         Output units: `metric` (default) or `imperial` (°F, inHg, gr/ft³, ft), and/or comma-separated
+ *         `field:unit` overrides applied in order. Temperatures accept °C/C, °F/F and K, pressures hPa,
+ *         kPa, inHg and mmHg, absoluteHumidity g/m3 and gr/ft3, pressureAltitude m and ft. Units are
+ *         listed in `metadata.units` and `metadata.derivedUnits`.
+ *       example: imperial,pressure:hPa
+ *     Precision:
+ *       in: query
+ *       name: precision
+ *       schema:
+ *         type: integer
+ *         minimum: 0
+ *         maximum: 6
+ *       description: Decimals of the readings. Converted readings default to 4 decimals
+ *     TimeZone:
+ *       in: query
+ *       name: tz
+ *       schema:
+ *         type: string
+ *       description: IANA time zone; record timestamps are returned as ISO 8601 local times with their UTC offset
+ *       example: America/La_Paz
+ */
+
 /**
  * @swagger
  * /api/data:
  *   get:
  *     summary: Get latest IoT data records
- *     description: Fetches the 2 most recent IoT data records from the external Sigfox API
+ *     description: |
+ *       Returns the 2 most recent complete records from the record store, which the background
+ *       poller fills from the upstream sources and Sigfox callbacks feed directly. Requests never
+ *       wait on an upstream source. While the circuit of every polled upstream source is open, the
+ *       stored records are still returned with `metadata.stale: true`, the age of the last
+ *       successful fetch in `metadata.age` (ms) and its time in `metadata.lastUpdated`;
+ *       otherwise `metadata.stale` is false.
  *     tags: [IoT Data]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Derive'
+ *       - $ref: '#/components/parameters/Units'
+ *       - $ref: '#/components/parameters/Precision'
+ *       - $ref: '#/components/parameters/TimeZone'
  *     responses:
  *       200:
  *         description: Successfully retrieved latest IoT data
@@ -23,8 +76,8 @@ const router = express.Router();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ApiResponse'
- *       503:
- *         description: External API unavailable
+ *       500:
+ *         description: Record store could not be read
  *         content:
  *           application/json:
  *             schema:
@@ -32,6 +85,117 @@ const router = express.Router();
  */
 router.get('/data', dataController.getLatestData);
 
+/**
+ * @swagger
+ * /api/data/history:
+ *   get:
+ *     summary: Get historical IoT data records
+ *     description: |
+ *       Returns stored records newest first, filtered and sorted like GET /api/data.
+ *       Pass `nextCursor` from the previous response as `cursor` to get the next page.
+ *     tags: [IoT Data]
+ *     parameters:
+ *       - in: query
+ *         name: device
+ *         schema:
+ *           type: string
+ *         description: Only records of this device
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Inclusive lower time bound
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Inclusive upper time bound
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 1000
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque cursor returned as pagination.nextCursor
+ *       - in: query
+ *         name: fields
+ *         schema:
+ *           type: string
+ *         description: Comma-separated fields to return, e.g. timestamp,temperature
+ *       - $ref: '#/components/parameters/Derive'
+ *       - $ref: '#/components/parameters/Units'
+ *       - $ref: '#/components/parameters/Precision'
+ *       - $ref: '#/components/parameters/TimeZone'
+ *     responses:
+ *       200:
+ *         description: Page of historical records
+ *       400:
+ *         description: Invalid query parameters or cursor
+ */
+router.get('/data/history', dataController.getHistory);
+
+/**
+ * @swagger
+ * /api/data/aggregate:
+ *   get:
+ *     summary: Get time-bucketed sensor aggregates
+ *     description: |
+ *       Groups temperature, humidity and pressure into fixed time buckets aligned to the bucket size.
+ *       Empty buckets have null statistics unless a fill mode is given. Filled buckets are flagged
+ *       with `filled: true` and keep a count of 0.
+ *     tags: [IoT Data]
+ *     parameters:
+ *       - in: query
+ *         name: device
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the range (defaults to 24 hours before `to`)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the range, exclusive (defaults to now)
+ *       - in: query
+ *         name: bucket
+ *         schema:
+ *           type: string
+ *           default: 5m
+ *         description: Bucket size such as 30s, 5m, 1h or 1d
+ *       - in: query
+ *         name: fn
+ *         schema:
+ *           type: string
+ *           default: avg,min,max,count
+ *         description: Comma-separated functions among avg, min, max, count, stddev
+ *       - in: query
+ *         name: fill
+ *         schema:
+ *           type: string
+ *           enum: [none, previous, linear]
+ *           default: none
+ *       - $ref: '#/components/parameters/Units'
+ *       - $ref: '#/components/parameters/Precision'
+ *       - $ref: '#/components/parameters/TimeZone'
+ *     responses:
+ *       200:
+ *         description: Aggregated buckets
+ *       400:
+ *         description: Invalid query parameters
+ */
+router.get('/data/aggregate', dataController.getAggregate);
+
 /**
  * @swagger
  * /api/visualize:
@@ -39,6 +203,11 @@ router.get('/data', dataController.getLatestData);
  *     summary: Process IoT data for visualization
  *     description: Accepts IoT data and processes it for visualization applications
  *     tags: [Data Visualization]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Derive'
+ *       - $ref: '#/components/parameters/Units'
+ *       - $ref: '#/components/parameters/Precision'
+ *       - $ref: '#/components/parameters/TimeZone'
  *     requestBody:
  *       required: true
  *       content:
@@ -98,11 +267,34 @@ router.get('/status', dataController.getSystemStatus);
  * /api/cache/clear:
  *   post:
  *     summary: Clear cached data
- *     description: Forces the API to clear its internal data cache
+ *     description: |
+ *       Forces the API to clear its internal data cache. With a key pattern only the matching
+ *       entries are cleared: `*` matches any characters, `?` a single one and `\` escapes the next.
  *     tags: [Cache Management]
+ *     parameters:
+ *       - in: query
+ *         name: pattern
+ *         schema:
+ *           type: string
+ *         description: Key pattern, also accepted as `pattern` in the JSON body (default `*`)
+ *         example: upstream:*
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               pattern:
+ *                 type: string
+ *                 example: upstream:*
  *     responses:
  *       200:
- *         description: Cache cleared successfully
+ *         description: Cache cleared successfully, with the number of entries cleared
+ *       400:
+ *         description: Invalid pattern
+ *       503:
+ *         description: Cache backend unavailable
  */
 router.post('/cache/clear', dataController.clearCache);
 
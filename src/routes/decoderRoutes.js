@@ -49,6 +49,10 @@ router.use(requestLogger);
  *               type: number
  *               description: Pressure in hPa
  *               example: 1025.9465
+ *         codec:
+ *           type: string
+ *           description: Payload codec used for decoding
+ *           example: "env-float32"
  *         hexBytes:
  *           type: number
  *           description: Number of bytes in hex data
@@ -83,14 +87,15 @@ router.use(requestLogger);
  *               type: string
  *               description: Time taken to process the request
  *               example: "245ms"
- *             decodingFormat:
- *               type: string
- *               description: Format used for decoding
- *               example: "IEEE 754 float32 little-endian"
- *             dataStructure:
+ *             codec:
  *               type: string
- *               description: Structure of the decoded data
- *               example: "temperature(4 bytes) + humidity(4 bytes) + pressure(4 bytes)"
+ *               description: Codec forced for the request, or "per-device"
+ *               example: "per-device"
+ *             codecsUsed:
+ *               type: array
+ *               items:
+ *                 type: string
+ *               description: Codecs used to decode the returned records
  *             timestamp:
  *               type: string
  *               format: date-time
@@ -104,6 +109,53 @@ router.use(requestLogger);
  *           type: string
  *           description: Hexadecimal string to decode
  *           example: "0000e840cdccc7424a3e8044"
+ *         codec:
+ *           type: string
+ *           description: Payload codec to decode with (defaults to the device codec or the default codec)
+ *           example: "env-float32"
+ *         device:
+ *           type: string
+ *           description: Device identifier used to pick its assigned codec and calibration profile
+ *           example: "42A6DA"
+ *         timestamp:
+ *           type: string
+ *           format: date-time
+ *           description: Reading time used to pick the calibration profile (defaults to now)
+ *     PayloadCodec:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "env-float32"
+ *         description:
+ *           type: string
+ *         length:
+ *           type: number
+ *           description: Frame length in bytes
+ *           example: 12
+ *         fields:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "temperature"
+ *               offset:
+ *                 type: number
+ *                 example: 0
+ *               type:
+ *                 type: string
+ *                 enum: [int8, uint8, int16, uint16, int32, uint32, float32]
+ *               endianness:
+ *                 type: string
+ *                 enum: [little, big]
+ *               scale:
+ *                 type: number
+ *                 example: 1
+ *               unit:
+ *                 type: string
+ *                 example: "°C"
  *     ValidationResult:
  *       type: object
  *       properties:
@@ -178,9 +230,28 @@ router.use(requestLogger);
  * @swagger
  * /api/decoder/hex-data:
  *   get:
- *     summary: Fetch and decode all hex data from external IoT API
- *     description: Retrieves data from external API and decodes all hexadecimal sensor data
+ *     summary: Decode the stored hex data
+ *     description: |
+ *       Decodes the newest hexadecimal sensor data in the record store (relay and Sigfox
+ *       callback records) using each device's codec. The store is kept up to date by the
+ *       background poller; `metadata.stale` is true while every polled upstream source is unreachable
  *     tags: [Decoder]
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *         description: Maximum number of records to decode, newest first
+ *       - in: query
+ *         name: codec
+ *         schema:
+ *           type: string
+ *         description: Decode every record with this codec instead of the per-device codec
+ *       - $ref: '#/components/parameters/Derive'
+ *       - $ref: '#/components/parameters/Units'
+ *       - $ref: '#/components/parameters/Precision'
+ *       - $ref: '#/components/parameters/TimeZone'
  *     responses:
  *       200:
  *         description: Successfully decoded hex data
@@ -202,8 +273,13 @@ router.get('/hex-data', asyncHandler(decoderController.decodeHexData));
  * /api/decoder/single:
  *   post:
  *     summary: Decode a single hex string
- *     description: Decodes a single hexadecimal string into sensor values
+ *     description: Decodes a single hexadecimal string into sensor values using the requested, device or default codec
  *     tags: [Decoder]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Derive'
+ *       - $ref: '#/components/parameters/Units'
+ *       - $ref: '#/components/parameters/Precision'
+ *       - $ref: '#/components/parameters/TimeZone'
  *     requestBody:
  *       required: true
  *       content:
@@ -219,6 +295,8 @@ router.get('/hex-data', asyncHandler(decoderController.decodeHexData));
  *               $ref: '#/components/schemas/DecodedHexData'
  *       400:
  *         description: Invalid hex string format
+ *       404:
+ *         description: Unknown codec
  */
 router.post('/single', asyncHandler(decoderController.decodeSingleHex));
 
@@ -297,4 +375,28 @@ router.get('/validate', asyncHandler(decoderController.validateDecoding));
  */
 router.get('/info', asyncHandler(decoderController.getDecoderInfo));
 
+/**
+ * @swagger
+ * /api/decoder/codecs:
+ *   get:
+ *     summary: List payload codecs
+ *     description: Returns every registered payload codec with its byte layout
+ *     tags: [Decoder]
+ *     responses:
+ *       200:
+ *         description: Codecs retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PayloadCodec'
+ */
+router.get('/codecs', asyncHandler(decoderController.getCodecs));
+
 export default router; 
\ No newline at end of file
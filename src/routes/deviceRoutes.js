@@ -0,0 +1,521 @@
+/**
+ * @fileoverview Device registry routes for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import express from 'express';
+import deviceController from '../controllers/deviceController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Device:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Sigfox device identifier
+ *           example: "42A6DA"
+ *         name:
+ *           type: string
+ *           description: Display name
+ *           example: "Greenhouse north"
+ *         location:
+ *           type: object
+ *           properties:
+ *             description:
+ *               type: string
+ *               example: "Greenhouse 2, north wall"
+ *             latitude:
+ *               type: number
+ *               example: -17.3935
+ *             longitude:
+ *               type: number
+ *               example: -66.157
+ *             altitude:
+ *               type: number
+ *               description: Meters above sea level, used for the sea-level pressure
+ *               example: 2558
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["greenhouse", "outdoor"]
+ *         codec:
+ *           type: string
+ *           description: Payload codec assigned to the device
+ *           example: "env-float32"
+ *         validationRanges:
+ *           type: object
+ *           description: Per-sensor accepted ranges overriding the decoder defaults
+ *           example:
+ *             temperature:
+ *               min: -20
+ *               max: 60
+ *         expectedInterval:
+ *           type: string
+ *           nullable: true
+ *           description: Reporting cadence used for offline and gap detection, inferred from history when null
+ *           example: "10m"
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/devices:
+ *   get:
+ *     summary: List registered devices
+ *     tags: [Devices]
+ *     responses:
+ *       200:
+ *         description: Devices retrieved successfully
+ *   post:
+ *     summary: Register a device
+ *     tags: [Devices]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Device'
+ *     responses:
+ *       201:
+ *         description: Device registered successfully
+ *       400:
+ *         description: Invalid device attributes
+ *       404:
+ *         description: Unknown codec
+ *       409:
+ *         description: Device already registered
+ */
+router.get('/', deviceController.listDevices);
+router.post('/', deviceController.createDevice);
+
+/**
+ * @swagger
+ * /api/devices/health:
+ *   get:
+ *     summary: Get the health of every device
+ *     description: |
+ *       Lists registered devices and devices seen in stored records with their last seen time,
+ *       expected interval and state. The expected interval comes from the registry
+ *       (`expectedInterval`) or is inferred from the median spacing of recent messages.
+ *       Devices are `late` after missing one interval and `offline` after missing
+ *       `OFFLINE_MISSED_INTERVALS` intervals; `unknown` when no interval is available.
+ *     tags: [Devices]
+ *     responses:
+ *       200:
+ *         description: Device health retrieved successfully
+ */
+router.get('/health', deviceController.listDeviceHealth);
+
+/**
+ * @swagger
+ * /api/devices/sequence:
+ *   get:
+ *     summary: Get sequence number statistics of every device
+ *     description: |
+ *       Uses the Sigfox sequence numbers of stored records to count, per device, lost frames,
+ *       duplicates (including callback redeliveries) and frames that arrived out of order.
+ *       The 12-bit counter rollover from 4095 to 0 is handled. Devices are sorted by loss rate.
+ *     tags: [Devices]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the range (defaults to 24 hours before `to`)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the range (defaults to now)
+ *     responses:
+ *       200:
+ *         description: Sequence statistics retrieved successfully
+ *       400:
+ *         description: Invalid time range
+ */
+router.get('/sequence', deviceController.listSequenceStats);
+
+/**
+ * @swagger
+ * /api/devices/link-quality:
+ *   get:
+ *     summary: Get radio link quality of every device
+ *     description: |
+ *       Summarizes the RSSI, SNR, receiving base stations and country codes kept on stored
+ *       records. Devices are sorted by average RSSI, weakest first, to find badly placed sensors.
+ *     tags: [Devices]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the range (defaults to 24 hours before `to`)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the range (defaults to now)
+ *     responses:
+ *       200:
+ *         description: Link quality retrieved successfully
+ *       400:
+ *         description: Invalid time range
+ */
+router.get('/link-quality', deviceController.listLinkQuality);
+
+/**
+ * @swagger
+ * /api/devices/{id}:
+ *   parameters:
+ *     - in: path
+ *       name: id
+ *       required: true
+ *       schema:
+ *         type: string
+ *   get:
+ *     summary: Get a registered device
+ *     tags: [Devices]
+ *     responses:
+ *       200:
+ *         description: Device retrieved successfully
+ *       404:
+ *         description: Device not found
+ *   put:
+ *     summary: Update a registered device
+ *     description: Only the attributes present in the body are changed
+ *     tags: [Devices]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Device'
+ *     responses:
+ *       200:
+ *         description: Device updated successfully
+ *       404:
+ *         description: Device not found
+ *   delete:
+ *     summary: Remove a device from the registry
+ *     tags: [Devices]
+ *     responses:
+ *       200:
+ *         description: Device removed successfully
+ *       404:
+ *         description: Device not found
+ */
+router.get('/:id', deviceController.getDevice);
+router.put('/:id', deviceController.updateDevice);
+router.delete('/:id', deviceController.deleteDevice);
+
+/**
+ * @swagger
+ * /api/devices/{id}/gaps:
+ *   get:
+ *     summary: List message gaps of a device
+ *     description: |
+ *       Returns, newest first, the stretches between consecutive messages longer than 1.5 times the
+ *       expected interval. When the device is silent at the end of the range the last gap is `ongoing`.
+ *     tags: [Devices]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the range (defaults to now)
+ *     responses:
+ *       200:
+ *         description: Gaps retrieved successfully
+ *       400:
+ *         description: Invalid time range
+ *       404:
+ *         description: No messages stored for the device
+ */
+router.get('/:id/gaps', deviceController.getDeviceGaps);
+
+/**
+ * @swagger
+ * /api/devices/{id}/sequence:
+ *   get:
+ *     summary: Get sequence number statistics of a device
+ *     description: |
+ *       Returns lost, duplicate and out-of-order frame counts for the whole range and for each
+ *       time window. Windows are aligned to the window size and each one continues from the
+ *       last sequence number of the previous one.
+ *     tags: [Devices]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the range (defaults to 24 hours before `to`)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the range (defaults to now)
+ *       - in: query
+ *         name: window
+ *         schema:
+ *           type: string
+ *           default: 1h
+ *         description: Window size such as 30m, 1h or 1d
+ *     responses:
+ *       200:
+ *         description: Sequence statistics retrieved successfully
+ *       400:
+ *         description: Invalid time range or window
+ *       404:
+ *         description: No messages stored for the device
+ */
+router.get('/:id/sequence', deviceController.getDeviceSequence);
+
+/**
+ * @swagger
+ * /api/devices/{id}/link-quality:
+ *   get:
+ *     summary: Get radio link quality of a device over time
+ *     description: |
+ *       Returns average, minimum and maximum RSSI and SNR, the average number of receiving
+ *       stations and the frames per station, for the whole range and for each time window.
+ *     tags: [Devices]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the range (defaults to 24 hours before `to`)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the range (defaults to now)
+ *       - in: query
+ *         name: window
+ *         schema:
+ *           type: string
+ *           default: 1h
+ *         description: Window size such as 30m, 1h or 1d
+ *     responses:
+ *       200:
+ *         description: Link quality retrieved successfully
+ *       400:
+ *         description: Invalid time range or window
+ *       404:
+ *         description: No messages stored for the device
+ */
+router.get('/:id/link-quality', deviceController.getDeviceLinkQuality);
+
+/**
+ * @swagger
+ * /api/devices/{id}/downlink:
+ *   parameters:
+ *     - in: path
+ *       name: id
+ *       required: true
+ *       schema:
+ *         type: string
+ *   post:
+ *     summary: Queue a downlink for a device
+ *     description: |
+ *       Queues an 8-byte downlink frame. It is returned to the Sigfox backend in the response
+ *       to the next callback of the device with `ack: true`. Send either a raw `payload` or
+ *       `values` to encode with a downlink codec.
+ *     tags: [Devices]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               payload:
+ *                 type: string
+ *                 description: Raw 16-character hex payload
+ *                 example: "003c010000000000"
+ *               values:
+ *                 type: object
+ *                 description: Values to encode with the codec
+ *                 example:
+ *                   reportingInterval: 60
+ *                   sensorFlags: 7
+ *                   temperatureOffset: -0.5
+ *               codec:
+ *                 type: string
+ *                 description: Downlink codec (defaults to downlink-config)
+ *                 example: "downlink-config"
+ *     responses:
+ *       201:
+ *         description: Downlink queued
+ *       400:
+ *         description: Invalid payload or values
+ *   get:
+ *     summary: List the downlinks of a device
+ *     description: Returns queued, sent and cancelled downlinks with their delivery status, newest first
+ *     tags: [Devices]
+ *     responses:
+ *       200:
+ *         description: Downlinks retrieved successfully
+ */
+router.post('/:id/downlink', deviceController.queueDownlink);
+router.get('/:id/downlink', deviceController.listDownlinks);
+
+/**
+ * @swagger
+ * /api/devices/{id}/downlink/{downlinkId}:
+ *   delete:
+ *     summary: Cancel a queued downlink
+ *     tags: [Devices]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: downlinkId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Downlink cancelled
+ *       404:
+ *         description: Downlink not found
+ *       409:
+ *         description: Downlink was already sent or cancelled
+ */
+router.delete('/:id/downlink/:downlinkId', deviceController.cancelDownlink);
+
+/**
+ * @swagger
+ * /api/devices/{id}/calibrations:
+ *   parameters:
+ *     - in: path
+ *       name: id
+ *       required: true
+ *       schema:
+ *         type: string
+ *   get:
+ *     summary: List the calibration profiles of a device
+ *     description: Profiles are sorted by effective date; `metadata.current` is the profile applied to new readings
+ *     tags: [Devices]
+ *     responses:
+ *       200:
+ *         description: Calibration profiles retrieved successfully
+ *       404:
+ *         description: Device not found
+ *   post:
+ *     summary: Add a calibration profile to a device
+ *     description: |
+ *       Each channel (decoded field) is corrected as `value * gain + offset` for readings taken
+ *       from `effectiveFrom` until the next profile of the device. Responses keep the
+ *       uncorrected values in `raw` (records) or `decoded` (decoder endpoints).
+ *     tags: [Devices]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - effectiveFrom
+ *               - channels
+ *             properties:
+ *               effectiveFrom:
+ *                 type: string
+ *                 format: date-time
+ *                 example: "2025-06-01T00:00:00Z"
+ *               channels:
+ *                 type: object
+ *                 description: Field name to offset (default 0) and gain (default 1)
+ *                 example:
+ *                   temperature:
+ *                     offset: -0.4
+ *                   humidity:
+ *                     gain: 1.02
+ *                     offset: -1.5
+ *               note:
+ *                 type: string
+ *                 example: "Recalibrated against reference station"
+ *     responses:
+ *       201:
+ *         description: Calibration profile created
+ *       400:
+ *         description: Invalid profile
+ *       404:
+ *         description: Device not found
+ *       409:
+ *         description: A profile of the device already starts at that date
+ */
+router.get('/:id/calibrations', deviceController.listCalibrations);
+router.post('/:id/calibrations', deviceController.createCalibration);
+
+/**
+ * @swagger
+ * /api/devices/{id}/calibrations/{calibrationId}:
+ *   delete:
+ *     summary: Delete a calibration profile
+ *     description: Readings it covered are corrected with the previous profile again, if any
+ *     tags: [Devices]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: calibrationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Calibration profile deleted
+ *       404:
+ *         description: Device or profile not found
+ */
+router.delete('/:id/calibrations/:calibrationId', deviceController.deleteCalibration);
+
+export default router;
@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Sigfox callback ingestion routes for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import express from 'express';
+import ingestController from '../controllers/ingestController.js';
+import { requireCallbackSecret } from '../middleware/callbackAuth.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SigfoxCallback:
+ *       type: object
+ *       required:
+ *         - device
+ *         - time
+ *         - data
+ *       properties:
+ *         device:
+ *           type: string
+ *           description: Sigfox device ID
+ *           example: "42A6DA"
+ *         time:
+ *           type: integer
+ *           minimum: 0
+ *           description: Unix timestamp in whole seconds
+ *           example: 1749441145
+ *         data:
+ *           type: string
+ *           description: Hexadecimal payload
+ *           example: "0000e840cdccc7424a3e8044"
+ *         seqNumber:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 4095
+ *           description: 12-bit frame counter used for the lost frame statistics
+ *           example: 1201
+ *         station:
+ *           type: string
+ *           example: "7A1B"
+ *         rssi:
+ *           type: number
+ *           example: -121.5
+ *         snr:
+ *           type: number
+ *           example: 12.3
+ *         stationCount:
+ *           type: integer
+ *           description: Number of base stations that received the frame
+ *           example: 3
+ *         countryCode:
+ *           type: string
+ *           example: "068"
+ *         ack:
+ *           type: boolean
+ *           description: Whether the device waits for a downlink
+ *           example: false
+ */
+
+/**
+ * @swagger
+ * /api/ingest/sigfox:
+ *   post:
+ *     summary: Receive a Sigfox data callback
+ *     description: |
+ *       Endpoint for Sigfox backend callbacks. The shared secret must be sent in the
+ *       `X-Callback-Secret` header. The payload is decoded with the device codec and the
+ *       record is served by the read endpoints. When `ack` is true the response is the
+ *       Sigfox downlink format `{ "<deviceId>": { "downlinkData": "<8-byte hex>" } }`, or 204
+ *       when no downlink is queued for the device.
+ *     tags: [Ingestion]
+ *     parameters:
+ *       - in: header
+ *         name: X-Callback-Secret
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SigfoxCallback'
+ *     responses:
+ *       200:
+ *         description: Callback ingested, or downlink data when `ack` is true
+ *       204:
+ *         description: Acknowledgement requested but no downlink is queued
+ *       400:
+ *         description: Malformed callback payload
+ *       401:
+ *         description: Missing or invalid shared secret
+ *       503:
+ *         description: Callback ingestion is not configured
+ */
+router.post('/sigfox', requireCallbackSecret, ingestController.ingestSigfox);
+
+export default router;
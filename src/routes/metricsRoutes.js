@@ -0,0 +1,33 @@
+/**
+ * @fileoverview Metrics routes for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import express from 'express';
+import metricsController from '../controllers/metricsController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /metrics:
+ *   get:
+ *     summary: Get Prometheus metrics
+ *     description: |
+ *       Metrics in the Prometheus text exposition format: HTTP request counts and latency
+ *       histograms by method, route and status; upstream fetch latency and errors by source;
+ *       payload decodings by device and result; cache hits, misses and errors; records and
+ *       last-seen time by device. Metric names are prefixed with `iot_`.
+ *     tags: [Monitoring]
+ *     responses:
+ *       200:
+ *         description: Metrics
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ */
+router.get('/', metricsController.getMetrics);
+
+export default router;
@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Background poller routes for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import express from 'express';
+import pollerController from '../controllers/pollerController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/poller:
+ *   get:
+ *     summary: Get the background poller status
+ *     description: Returns the poller state (running, paused or stopped), the next scheduled poll and poll statistics
+ *     tags: [Poller]
+ *     responses:
+ *       200:
+ *         description: Poller status retrieved successfully
+ */
+router.get('/', pollerController.getStatus);
+
+/**
+ * @swagger
+ * /api/poller/pause:
+ *   post:
+ *     summary: Pause the background poller
+ *     tags: [Poller]
+ *     responses:
+ *       200:
+ *         description: Poller paused
+ *       409:
+ *         description: Poller is not running
+ */
+router.post('/pause', pollerController.pause);
+
+/**
+ * @swagger
+ * /api/poller/resume:
+ *   post:
+ *     summary: Resume the background poller
+ *     description: Polls the relay immediately and resets the failure backoff
+ *     tags: [Poller]
+ *     responses:
+ *       200:
+ *         description: Poller resumed
+ *       409:
+ *         description: Poller is not paused
+ */
+router.post('/resume', pollerController.resume);
+
+export default router;
@@ -0,0 +1,50 @@
+/**
+ * @fileoverview Live stream routes for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import express from 'express';
+import streamController from '../controllers/streamController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/stream:
+ *   get:
+ *     summary: Stream new readings with Server-Sent Events
+ *     description: |
+ *       Keeps the connection open and sends a `reading` event for every record stored from the
+ *       relay or from Sigfox callbacks. Each event has an increasing `id`; reconnecting clients
+ *       send it back in the `Last-Event-ID` header to replay the events they missed, as long as
+ *       they are still in the replay buffer. Heartbeat comments are sent while the stream is idle.
+ *     tags: [Streaming]
+ *     parameters:
+ *       - in: query
+ *         name: device
+ *         schema:
+ *           type: string
+ *         description: Only stream readings of this device
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: integer
+ *         description: Id of the last event received, events after it are replayed
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: |
+ *                 id: 42
+ *                 event: reading
+ *                 data: {"device":"42A6DA","timestamp":"2025-06-09T04:05:00.000Z","temperature":"7.25","humidity":"99.9","pressure":"1025.9465"}
+ *       400:
+ *         description: Invalid Last-Event-ID
+ */
+router.get('/', streamController.openStream);
+
+export default router;
@@ -0,0 +1,204 @@
+/**
+ * @fileoverview Outbound webhook routes for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import express from 'express';
+import webhookController from '../controllers/webhookController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Webhook:
+ *       type: object
+ *       required:
+ *         - url
+ *       properties:
+ *         id:
+ *           type: string
+ *           readOnly: true
+ *         url:
+ *           type: string
+ *           example: "https://example.com/hooks/iot"
+ *         events:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [reading, alert.fired, alert.acknowledged, alert.resolved]
+ *           description: Events to deliver, all of them by default
+ *         device:
+ *           type: string
+ *           nullable: true
+ *           description: Only deliver events of this device
+ *         secret:
+ *           type: string
+ *           writeOnly: true
+ *           description: HMAC signing secret (at least 16 characters), generated when omitted
+ *         enabled:
+ *           type: boolean
+ *           default: true
+ */
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   get:
+ *     summary: List registered webhooks
+ *     tags: [Webhooks]
+ *     responses:
+ *       200:
+ *         description: Webhooks retrieved successfully
+ *   post:
+ *     summary: Register a webhook
+ *     description: |
+ *       Events are POSTed as `{ id, event, createdAt, data }`. Each request carries the
+ *       `X-Webhook-Timestamp` header and `X-Webhook-Signature: sha256=<hex>`, the HMAC-SHA256
+ *       of `<timestamp>.<raw body>` with the webhook secret. The secret is only returned here.
+ *     tags: [Webhooks]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Webhook'
+ *     responses:
+ *       201:
+ *         description: Webhook registered
+ *       400:
+ *         description: Invalid webhook
+ */
+router.get('/', webhookController.listWebhooks);
+router.post('/', webhookController.createWebhook);
+
+/**
+ * @swagger
+ * /api/webhooks/dead-letters:
+ *   get:
+ *     summary: List failed deliveries
+ *     description: Deliveries that failed after every retry, newest first
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: query
+ *         name: webhookId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Dead letters retrieved successfully
+ */
+router.get('/dead-letters', webhookController.listDeadLetters);
+
+/**
+ * @swagger
+ * /api/webhooks/dead-letters/{id}/replay:
+ *   post:
+ *     summary: Replay a failed delivery
+ *     description: Redelivers the original payload with retries. It is removed from the list once delivered.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Replay outcome
+ *       404:
+ *         description: Dead letter not found
+ *       409:
+ *         description: The webhook no longer exists
+ */
+router.post('/dead-letters/:id/replay', webhookController.replayDeadLetter);
+
+/**
+ * @swagger
+ * /api/webhooks/dead-letters/{id}:
+ *   delete:
+ *     summary: Discard a failed delivery
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Dead letter discarded
+ *       404:
+ *         description: Dead letter not found
+ */
+router.delete('/dead-letters/:id', webhookController.deleteDeadLetter);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   parameters:
+ *     - in: path
+ *       name: id
+ *       required: true
+ *       schema:
+ *         type: string
+ *   get:
+ *     summary: Get a webhook
+ *     tags: [Webhooks]
+ *     responses:
+ *       200:
+ *         description: Webhook retrieved successfully
+ *       404:
+ *         description: Webhook not found
+ *   put:
+ *     summary: Update a webhook
+ *     description: Only the attributes present in the body are changed
+ *     tags: [Webhooks]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Webhook'
+ *     responses:
+ *       200:
+ *         description: Webhook updated
+ *       404:
+ *         description: Webhook not found
+ *   delete:
+ *     summary: Remove a webhook
+ *     tags: [Webhooks]
+ *     responses:
+ *       200:
+ *         description: Webhook removed
+ *       404:
+ *         description: Webhook not found
+ */
+router.get('/:id', webhookController.getWebhook);
+router.put('/:id', webhookController.updateWebhook);
+router.delete('/:id', webhookController.deleteWebhook);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/test:
+ *   post:
+ *     summary: Send a test event
+ *     description: Delivers a signed `ping` event and returns the outcome. Failed tests are not dead-lettered.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Delivery outcome
+ *       404:
+ *         description: Webhook not found
+ */
+router.post('/:id/test', webhookController.testWebhook);
+
+export default router;
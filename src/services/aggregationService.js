@@ -0,0 +1,272 @@
+/**
+ * @fileoverview Time-bucketed aggregation service for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import config from '../config/config.js';
+import dataService from './dataService.js';
+import fusionService from './fusionService.js';
+import storageService from './storageService.js';
+import { createApiError } from '../middleware/errorMiddleware.js';
+import { parseDuration } from '../utils/duration.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Sensor fields that are aggregated
+ */
+const AGGREGATED_FIELDS = ['temperature', 'humidity', 'pressure'];
+
+/**
+ * Supported aggregation functions
+ */
+const AGGREGATION_FUNCTIONS = ['avg', 'min', 'max', 'count', 'stddev'];
+
+/**
+ * Supported gap fill modes
+ */
+const FILL_MODES = ['none', 'previous', 'linear'];
+
+/**
+ * Aggregation Service Class
+ * Groups stored sensor readings into fixed time buckets
+ */
+class AggregationService {
+  /**
+   * Aggregate stored readings into time buckets
+   * @param {Object} query - Aggregation query
+   * @param {string} [query.device] - Device identifier
+   * @param {number} query.from - Start of the range (epoch ms, rounded down to a bucket boundary)
+   * @param {number} query.to - End of the range (epoch ms, exclusive)
+   * @param {number} query.bucketMs - Bucket size in milliseconds
+   * @param {Array<string>} query.functions - Aggregation functions
+   * @param {string} query.fill - Gap fill mode (none, previous, linear)
+   * @returns {Promise<Array>} Buckets ordered by start time
+   */
+  async aggregate({ device, from, to, bucketMs, functions, fill }) {
+    // Buckets are aligned to multiples of the bucket size
+    const firstBucket = Math.floor(from / bucketMs) * bucketMs;
+
+    const records = await storageService.query({
+      device,
+      from: firstBucket,
+      to: to - 1,
+      order: 'asc',
+      filter: record => dataService.hasSensorValues(record)
+    });
+
+    const bucketCount = Math.ceil((to - firstBucket) / bucketMs);
+    const grouped = Array.from({ length: bucketCount }, () => ({
+      temperature: [],
+      humidity: [],
+      pressure: []
+    }));
+
+    for (const record of records) {
+      const index = Math.floor((new Date(record.timestamp).getTime() - firstBucket) / bucketMs);
+      const readings = fusionService.getCalibratedReadings(record);
+      for (const field of AGGREGATED_FIELDS) {
+        const value = parseFloat(readings[field]);
+        if (!isNaN(value)) {
+          grouped[index][field].push(value);
+        }
+      }
+    }
+
+    const buckets = grouped.map((values, index) => {
+      const start = firstBucket + index * bucketMs;
+      const bucket = {
+        start: new Date(start).toISOString(),
+        end: new Date(start + bucketMs).toISOString(),
+        count: Math.max(...AGGREGATED_FIELDS.map(field => values[field].length)),
+        filled: false
+      };
+
+      for (const field of AGGREGATED_FIELDS) {
+        bucket[field] = this.computeStats(values[field], functions);
+      }
+
+      return bucket;
+    });
+
+    this.fillGaps(buckets, grouped, functions, fill);
+
+    logger.debug('Aggregation completed', {
+      device,
+      recordCount: records.length,
+      bucketCount: buckets.length,
+      fill
+    });
+
+    return buckets;
+  }
+
+  /**
+   * Compute the requested statistics for a list of values
+   * Empty lists give null for every function except count
+   * @param {Array<number>} values - Values of one field in one bucket
+   * @param {Array<string>} functions - Aggregation functions
+   * @returns {Object} Statistics keyed by function name
+   */
+  computeStats(values, functions) {
+    const stats = {};
+    const count = values.length;
+    const avg = count ? values.reduce((sum, value) => sum + value, 0) / count : null;
+
+    for (const fn of functions) {
+      switch (fn) {
+        case 'count':
+          stats.count = count;
+          break;
+        case 'avg':
+          stats.avg = count ? this.round(avg) : null;
+          break;
+        case 'min':
+          stats.min = count ? this.round(values.reduce((min, value) => Math.min(min, value))) : null;
+          break;
+        case 'max':
+          stats.max = count ? this.round(values.reduce((max, value) => Math.max(max, value))) : null;
+          break;
+        case 'stddev':
+          stats.stddev = count
+            ? this.round(Math.sqrt(values.reduce((sum, value) => sum + (value - avg) ** 2, 0) / count))
+            : null;
+          break;
+      }
+    }
+
+    return stats;
+  }
+
+  /**
+   * Fill empty buckets in place
+   * previous repeats the last non-empty bucket, linear interpolates between the
+   * surrounding non-empty buckets, none leaves the statistics null. Counts stay 0.
+   * @param {Array} buckets - Buckets ordered by start time
+   * @param {Array} grouped - Raw values per bucket and field
+   * @param {Array<string>} functions - Aggregation functions
+   * @param {string} fill - Gap fill mode
+   */
+  fillGaps(buckets, grouped, functions, fill) {
+    if (fill === 'none') {
+      return;
+    }
+
+    const valueFunctions = functions.filter(fn => fn !== 'count');
+
+    for (const field of AGGREGATED_FIELDS) {
+      const hasValues = grouped.map(values => values[field].length > 0);
+
+      // Index of the next non-empty bucket, computed right to left
+      const nextIndex = new Array(buckets.length).fill(-1);
+      for (let index = buckets.length - 2; index >= 0; index--) {
+        nextIndex[index] = hasValues[index + 1] ? index + 1 : nextIndex[index + 1];
+      }
+
+      let previousIndex = -1;
+      buckets.forEach((bucket, index) => {
+        if (hasValues[index]) {
+          previousIndex = index;
+          return;
+        }
+
+        const previous = previousIndex >= 0 ? buckets[previousIndex][field] : null;
+        const next = nextIndex[index] >= 0 ? buckets[nextIndex[index]][field] : null;
+
+        if (fill === 'previous' && previous) {
+          valueFunctions.forEach(fn => { bucket[field][fn] = previous[fn]; });
+          bucket.filled = true;
+        }
+
+        if (fill === 'linear' && previous && next) {
+          const ratio = (index - previousIndex) / (nextIndex[index] - previousIndex);
+          valueFunctions.forEach(fn => {
+            bucket[field][fn] = this.round(previous[fn] + (next[fn] - previous[fn]) * ratio);
+          });
+          bucket.filled = true;
+        }
+      });
+    }
+  }
+
+  /**
+   * Parse a bucket duration such as 30s, 5m, 1h or 1d
+   * @param {string} bucket - Bucket duration
+   * @returns {number} Duration in milliseconds
+   * @throws {ApiError} When the duration is malformed
+   */
+  parseBucket(bucket) {
+    const bucketMs = parseDuration(bucket);
+    if (!bucketMs) {
+      throw createApiError('bucket must be a duration such as 30s, 5m, 1h or 1d', 400);
+    }
+    return bucketMs;
+  }
+
+  /**
+   * Parse the comma-separated aggregation functions
+   * @param {string} [fn] - Functions, e.g. avg,min,max
+   * @returns {Array<string>} Aggregation functions
+   * @throws {ApiError} When a function is not supported
+   */
+  parseFunctions(fn) {
+    if (!fn) {
+      return ['avg', 'min', 'max', 'count'];
+    }
+
+    const functions = [...new Set(String(fn).split(',').map(name => name.trim()).filter(Boolean))];
+    const unsupported = functions.filter(name => !AGGREGATION_FUNCTIONS.includes(name));
+
+    if (unsupported.length > 0 || functions.length === 0) {
+      throw createApiError(
+        `Unsupported aggregation functions: ${unsupported.join(', ')}. Supported: ${AGGREGATION_FUNCTIONS.join(', ')}`,
+        400
+      );
+    }
+    return functions;
+  }
+
+  /**
+   * Validate the gap fill mode
+   * @param {string} [fill] - Fill mode
+   * @returns {string} Fill mode
+   * @throws {ApiError} When the mode is not supported
+   */
+  parseFill(fill = 'none') {
+    if (!FILL_MODES.includes(fill)) {
+      throw createApiError(`fill must be one of: ${FILL_MODES.join(', ')}`, 400);
+    }
+    return fill;
+  }
+
+  /**
+   * Ensure a range does not produce more buckets than allowed
+   * @param {number} from - Start of the range (epoch ms)
+   * @param {number} to - End of the range (epoch ms)
+   * @param {number} bucketMs - Bucket size in milliseconds
+   * @throws {ApiError} When the range is too large for the bucket size
+   */
+  checkBucketCount(from, to, bucketMs) {
+    const bucketCount = Math.ceil((to - from) / bucketMs);
+    if (bucketCount > config.data.maxAggregationBuckets) {
+      throw createApiError(
+        `Range produces ${bucketCount} buckets, the maximum is ${config.data.maxAggregationBuckets}. Use a larger bucket.`,
+        400
+      );
+    }
+  }
+
+  /**
+   * Round a statistic to 4 decimals
+   * @param {number} value - Value to round
+   * @returns {number} Rounded value
+   */
+  round(value) {
+    return parseFloat(value.toFixed(4));
+  }
+}
+
+const aggregationService = new AggregationService();
+
+export { AGGREGATED_FIELDS, AGGREGATION_FUNCTIONS, FILL_MODES };
+export default aggregationService;
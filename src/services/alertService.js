@@ -0,0 +1,587 @@
+/**
+ * @fileoverview Alert rules engine for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import crypto from 'crypto';
+import config from '../config/config.js';
+import fusionService from './fusionService.js';
+import { createApiError } from '../middleware/errorMiddleware.js';
+import { normalizeDeviceId } from '../utils/deviceId.js';
+import { parseDuration } from '../utils/duration.js';
+import eventBus, { EVENTS } from '../utils/eventBus.js';
+import JsonFile from '../utils/jsonFile.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Sensor fields rules can watch
+ */
+const RULE_FIELDS = ['temperature', 'humidity', 'pressure'];
+
+/**
+ * Rule types
+ * threshold: the value compares to a limit, optionally for a minimum duration
+ * rate: the value changes by more than an amount within a time window
+ */
+const RULE_TYPES = ['threshold', 'rate'];
+
+/**
+ * Comparison operators of threshold rules
+ */
+const OPERATORS = {
+  '>': (value, limit) => value > limit,
+  '>=': (value, limit) => value >= limit,
+  '<': (value, limit) => value < limit,
+  '<=': (value, limit) => value <= limit
+};
+
+/**
+ * Change directions of rate rules
+ */
+const DIRECTIONS = ['rise', 'drop', 'any'];
+
+/**
+ * Alert severities
+ */
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+/**
+ * Alert states
+ */
+const ALERT_STATE = {
+  firing: 'firing',
+  acknowledged: 'acknowledged',
+  resolved: 'resolved'
+};
+
+/**
+ * Alert Service Class
+ * Evaluates alert rules against every stored record and keeps the alert history.
+ * An alert fires when a rule condition is met for a device, can be acknowledged while
+ * active and is resolved once the condition clears.
+ */
+class AlertService {
+  /**
+   * Load rules and alert history and subscribe to stored records
+   */
+  constructor() {
+    this.rulesFile = new JsonFile(config.alerts.rulesFile);
+    this.historyFile = new JsonFile(config.alerts.historyFile);
+    this.rules = new Map();
+    this.alerts = this.historyFile.load({ alerts: [] }).alerts || [];
+    // Evaluation state per rule and device, kept in memory only
+    this.states = new Map();
+
+    for (const rule of this.rulesFile.load({ rules: [] }).rules || []) {
+      this.rules.set(rule.id, rule);
+    }
+
+    eventBus.on(EVENTS.recordStored, record => this.handleRecord(record));
+
+    logger.info('Alert rules loaded', {
+      ruleCount: this.rules.size,
+      activeAlerts: this.getActiveAlerts().length
+    });
+  }
+
+  /**
+   * List all rules
+   * @returns {Array} Rules sorted by creation date
+   */
+  listRules() {
+    return [...this.rules.values()].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Get a rule
+   * @param {string} id - Rule identifier
+   * @returns {Object} Rule
+   * @throws {ApiError} When the rule does not exist
+   */
+  getRule(id) {
+    const rule = this.rules.get(id);
+    if (!rule) {
+      throw createApiError(`Alert rule not found: ${id}`, 404);
+    }
+    return rule;
+  }
+
+  /**
+   * Create a rule
+   * @param {Object} data - Rule definition
+   * @returns {Promise<Object>} Created rule
+   * @throws {ApiError} When the definition is invalid
+   */
+  async createRule(data) {
+    const now = new Date().toISOString();
+    const rule = {
+      id: crypto.randomUUID(),
+      ...this.normalizeRule(data || {}),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.rules.set(rule.id, rule);
+    await this.persistRules();
+
+    logger.info('Alert rule created', { rule: rule.id, name: rule.name });
+    return rule;
+  }
+
+  /**
+   * Update a rule
+   * Only the attributes present in the payload are changed. Active alerts of the
+   * rule are resolved and its evaluation state is reset.
+   * @param {string} id - Rule identifier
+   * @param {Object} data - Attributes to change
+   * @returns {Promise<Object>} Updated rule
+   */
+  async updateRule(id, data) {
+    const current = this.getRule(id);
+    const rule = {
+      ...current,
+      ...this.normalizeRule({ ...current, ...(data || {}) }),
+      id: current.id,
+      createdAt: current.createdAt,
+      updatedAt: new Date().toISOString()
+    };
+
+    this.rules.set(id, rule);
+    this.resetRule(id, 'rule updated');
+    await this.persistRules();
+    await this.persistHistory();
+
+    logger.info('Alert rule updated', { rule: id, fields: Object.keys(data || {}) });
+    return rule;
+  }
+
+  /**
+   * Delete a rule and resolve its active alerts
+   * @param {string} id - Rule identifier
+   * @returns {Promise<Object>} Deleted rule
+   */
+  async deleteRule(id) {
+    const rule = this.getRule(id);
+
+    this.rules.delete(id);
+    this.resetRule(id, 'rule deleted');
+    await this.persistRules();
+    await this.persistHistory();
+
+    logger.info('Alert rule deleted', { rule: id });
+    return rule;
+  }
+
+  /**
+   * Validate and normalize a rule definition
+   * @param {Object} data - Raw rule definition
+   * @returns {Object} Normalized rule attributes
+   * @throws {ApiError} When an attribute is invalid
+   */
+  normalizeRule(data) {
+    if (typeof data.name !== 'string' || !data.name.trim()) {
+      throw createApiError('Rule name is required and must be a string', 400);
+    }
+
+    if (data.device !== undefined && data.device !== null && (typeof data.device !== 'string' || !data.device)) {
+      throw createApiError('Rule device must be a device identifier or null for all devices', 400);
+    }
+
+    if (!RULE_FIELDS.includes(data.field)) {
+      throw createApiError(`Rule field must be one of: ${RULE_FIELDS.join(', ')}`, 400);
+    }
+
+    if (!RULE_TYPES.includes(data.type)) {
+      throw createApiError(`Rule type must be one of: ${RULE_TYPES.join(', ')}`, 400);
+    }
+
+    const severity = data.severity ?? 'warning';
+    if (!SEVERITIES.includes(severity)) {
+      throw createApiError(`Rule severity must be one of: ${SEVERITIES.join(', ')}`, 400);
+    }
+
+    if (data.enabled !== undefined && typeof data.enabled !== 'boolean') {
+      throw createApiError('Rule enabled must be a boolean', 400);
+    }
+
+    const rule = {
+      name: data.name.trim(),
+      device: data.device ? normalizeDeviceId(data.device) : null,
+      field: data.field,
+      type: data.type,
+      severity,
+      enabled: data.enabled ?? true
+    };
+
+    if (data.type === 'threshold') {
+      if (!OPERATORS[data.operator]) {
+        throw createApiError(`Threshold operator must be one of: ${Object.keys(OPERATORS).join(', ')}`, 400);
+      }
+      if (!Number.isFinite(data.value)) {
+        throw createApiError('Threshold value must be a finite number', 400);
+      }
+      if (data.duration !== undefined && data.duration !== null && !parseDuration(data.duration)) {
+        throw createApiError('Threshold duration must be a duration such as 30s, 10m or 1h', 400);
+      }
+
+      return {
+        ...rule,
+        operator: data.operator,
+        value: data.value,
+        duration: data.duration ?? null
+      };
+    }
+
+    if (!DIRECTIONS.includes(data.direction)) {
+      throw createApiError(`Rate direction must be one of: ${DIRECTIONS.join(', ')}`, 400);
+    }
+    if (!Number.isFinite(data.change) || data.change <= 0) {
+      throw createApiError('Rate change must be a positive number', 400);
+    }
+    if (!parseDuration(data.window)) {
+      throw createApiError('Rate window must be a duration such as 30s, 10m or 1h', 400);
+    }
+
+    return {
+      ...rule,
+      direction: data.direction,
+      change: data.change,
+      window: data.window
+    };
+  }
+
+  /**
+   * Evaluate a stored record and persist the alert history when it changed
+   * @param {Object} record - Stored record
+   */
+  handleRecord(record) {
+    const changed = this.evaluateRecord(record);
+    if (changed) {
+      this.persistHistory().catch(error => {
+        logger.error('Failed to persist alert history', { error: error.message });
+      });
+    }
+  }
+
+  /**
+   * Evaluate every enabled rule against the fused and calibrated readings of a record
+   * Records older than the last one evaluated for a rule and device are ignored
+   * @param {Object} record - Stored record
+   * @returns {boolean} Whether an alert fired or resolved
+   */
+  evaluateRecord(record) {
+    const device = normalizeDeviceId(record.device);
+    const time = new Date(record.timestamp).getTime();
+    const readings = fusionService.getCalibratedReadings(record);
+    let changed = false;
+
+    for (const rule of this.rules.values()) {
+      if (!rule.enabled || (rule.device && rule.device !== device)) {
+        continue;
+      }
+
+      const value = parseFloat(readings[rule.field]);
+      if (isNaN(value) || isNaN(time)) {
+        continue;
+      }
+
+      const key = `${rule.id}|${device}`;
+      const state = this.states.get(key) || { lastTime: null, since: null, window: [] };
+      if (state.lastTime !== null && time <= state.lastTime) {
+        continue;
+      }
+      state.lastTime = time;
+      this.states.set(key, state);
+
+      const result = rule.type === 'threshold'
+        ? this.evaluateThreshold(rule, state, value, time)
+        : this.evaluateRate(rule, state, value, time);
+
+      const active = this.findActiveAlert(rule.id, device);
+
+      if (result.met && !active) {
+        this.fireAlert(rule, device, value, record.timestamp, result.message);
+        changed = true;
+      } else if (result.met && active) {
+        active.lastValue = value;
+      } else if (!result.met && active) {
+        this.resolveAlert(active, record.timestamp, 'condition cleared', value);
+        changed = true;
+      }
+    }
+
+    return changed;
+  }
+
+  /**
+   * Evaluate a threshold rule
+   * The condition has to hold on consecutive records for the rule duration
+   * @param {Object} rule - Threshold rule
+   * @param {Object} state - Evaluation state of the rule and device
+   * @param {number} value - Current value
+   * @param {number} time - Record time (epoch ms)
+   * @returns {Object} Whether the condition is met and the alert message
+   */
+  evaluateThreshold(rule, state, value, time) {
+    if (!OPERATORS[rule.operator](value, rule.value)) {
+      state.since = null;
+      return { met: false };
+    }
+
+    state.since = state.since ?? time;
+    const durationMs = rule.duration ? parseDuration(rule.duration) : 0;
+
+    return {
+      met: time - state.since >= durationMs,
+      message: `${rule.field} ${value} ${rule.operator} ${rule.value}${rule.duration ? ` for ${rule.duration}` : ''}`
+    };
+  }
+
+  /**
+   * Evaluate a rate-of-change rule
+   * Compares the current value with the highest (drop) or lowest (rise) value of the window
+   * @param {Object} rule - Rate rule
+   * @param {Object} state - Evaluation state of the rule and device
+   * @param {number} value - Current value
+   * @param {number} time - Record time (epoch ms)
+   * @returns {Object} Whether the condition is met and the alert message
+   */
+  evaluateRate(rule, state, value, time) {
+    const windowStart = time - parseDuration(rule.window);
+    state.window = state.window.filter(point => point.time >= windowStart);
+
+    let highest = value;
+    let lowest = value;
+    for (const point of state.window) {
+      highest = Math.max(highest, point.value);
+      lowest = Math.min(lowest, point.value);
+    }
+    state.window.push({ time, value });
+
+    const drop = highest - value;
+    const rise = value - lowest;
+    const dropped = rule.direction !== 'rise' && drop > rule.change;
+    const rose = rule.direction !== 'drop' && rise > rule.change;
+
+    // Describe the change that met the rule, the larger one when a rule watching both met both
+    return {
+      met: dropped || rose,
+      message: dropped && (!rose || drop >= rise)
+        ? `${rule.field} dropped ${this.round(drop)} within ${rule.window}`
+        : `${rule.field} rose ${this.round(rise)} within ${rule.window}`
+    };
+  }
+
+  /**
+   * Record a new firing alert
+   * @param {Object} rule - Rule that fired
+   * @param {string} device - Device identifier
+   * @param {number} value - Value that triggered the alert
+   * @param {string} timestamp - Timestamp of the triggering record
+   * @param {string} message - Condition description
+   */
+  fireAlert(rule, device, value, timestamp, message) {
+    const alert = {
+      id: crypto.randomUUID(),
+      ruleId: rule.id,
+      ruleName: rule.name,
+      device,
+      field: rule.field,
+      severity: rule.severity,
+      state: ALERT_STATE.firing,
+      message: `${rule.name}: ${message} on ${device}`,
+      value,
+      lastValue: value,
+      firedAt: timestamp,
+      acknowledgedAt: null,
+      acknowledgedBy: null,
+      resolvedAt: null,
+      resolvedReason: null,
+      createdAt: new Date().toISOString()
+    };
+
+    this.alerts.push(alert);
+    this.pruneHistory();
+
+    logger.warn('Alert fired', { alert: alert.id, rule: rule.id, device, message: alert.message });
+    eventBus.publish(EVENTS.alert, { event: 'fired', alert });
+  }
+
+  /**
+   * Resolve an active alert
+   * @param {Object} alert - Active alert
+   * @param {string} timestamp - When the alert was resolved
+   * @param {string} reason - Why the alert was resolved
+   * @param {number} [value] - Value that cleared the condition
+   */
+  resolveAlert(alert, timestamp, reason, value) {
+    alert.state = ALERT_STATE.resolved;
+    alert.resolvedAt = timestamp;
+    alert.resolvedReason = reason;
+    if (value !== undefined) {
+      alert.lastValue = value;
+    }
+
+    logger.info('Alert resolved', { alert: alert.id, rule: alert.ruleId, device: alert.device, reason });
+    eventBus.publish(EVENTS.alert, { event: 'resolved', alert });
+  }
+
+  /**
+   * Acknowledge an active alert
+   * @param {string} id - Alert identifier
+   * @param {Object} [details] - Acknowledgement details
+   * @param {string} [details.by] - Who acknowledged the alert
+   * @returns {Promise<Object>} Acknowledged alert
+   * @throws {ApiError} When the alert does not exist or is not firing
+   */
+  async acknowledge(id, { by } = {}) {
+    const alert = this.getAlert(id);
+
+    if (alert.state !== ALERT_STATE.firing) {
+      throw createApiError(`Alert ${id} is ${alert.state} and cannot be acknowledged`, 409);
+    }
+
+    alert.state = ALERT_STATE.acknowledged;
+    alert.acknowledgedAt = new Date().toISOString();
+    alert.acknowledgedBy = typeof by === 'string' && by ? by : null;
+    await this.persistHistory();
+
+    logger.info('Alert acknowledged', { alert: id, by: alert.acknowledgedBy });
+    eventBus.publish(EVENTS.alert, { event: 'acknowledged', alert });
+    return alert;
+  }
+
+  /**
+   * Resolve the active alerts of a rule and forget its evaluation state
+   * @param {string} ruleId - Rule identifier
+   * @param {string} reason - Why the alerts are resolved
+   */
+  resetRule(ruleId, reason) {
+    const now = new Date().toISOString();
+    this.getActiveAlerts()
+      .filter(alert => alert.ruleId === ruleId)
+      .forEach(alert => this.resolveAlert(alert, now, reason));
+
+    for (const key of this.states.keys()) {
+      if (key.startsWith(`${ruleId}|`)) {
+        this.states.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Get an alert
+   * @param {string} id - Alert identifier
+   * @returns {Object} Alert
+   * @throws {ApiError} When the alert does not exist
+   */
+  getAlert(id) {
+    const alert = this.alerts.find(entry => entry.id === id);
+    if (!alert) {
+      throw createApiError(`Alert not found: ${id}`, 404);
+    }
+    return alert;
+  }
+
+  /**
+   * List alerts, newest first
+   * @param {Object} [criteria] - Filters
+   * @param {string} [criteria.state] - Alert state
+   * @param {string} [criteria.device] - Device identifier
+   * @param {string} [criteria.ruleId] - Rule identifier
+   * @param {number} [criteria.limit] - Maximum number of alerts
+   * @returns {Array} Alerts
+   */
+  listAlerts({ state, device, ruleId, limit } = {}) {
+    const alerts = this.alerts
+      .filter(alert =>
+        (!state || alert.state === state) &&
+        (!device || alert.device === normalizeDeviceId(device)) &&
+        (!ruleId || alert.ruleId === ruleId)
+      )
+      .reverse();
+
+    return limit ? alerts.slice(0, limit) : alerts;
+  }
+
+  /**
+   * Find the active (firing or acknowledged) alert of a rule and device
+   * @param {string} ruleId - Rule identifier
+   * @param {string} device - Device identifier
+   * @returns {Object|undefined} Active alert
+   */
+  findActiveAlert(ruleId, device) {
+    return this.alerts.find(alert =>
+      alert.ruleId === ruleId && alert.device === device && alert.state !== ALERT_STATE.resolved
+    );
+  }
+
+  /**
+   * Get every active alert
+   * @returns {Array} Firing and acknowledged alerts
+   */
+  getActiveAlerts() {
+    return this.alerts.filter(alert => alert.state !== ALERT_STATE.resolved);
+  }
+
+  /**
+   * Drop the oldest resolved alerts beyond the history limit
+   */
+  pruneHistory() {
+    const excess = this.alerts.length - config.alerts.historyLimit;
+    if (excess <= 0) {
+      return;
+    }
+
+    const dropped = new Set(
+      this.alerts.filter(alert => alert.state === ALERT_STATE.resolved).slice(0, excess)
+    );
+    this.alerts = this.alerts.filter(alert => !dropped.has(alert));
+  }
+
+  /**
+   * Get alerting statistics
+   * @returns {Object} Rule and alert counts
+   */
+  getStats() {
+    const active = this.getActiveAlerts();
+    return {
+      rules: this.rules.size,
+      enabledRules: [...this.rules.values()].filter(rule => rule.enabled).length,
+      firing: active.filter(alert => alert.state === ALERT_STATE.firing).length,
+      acknowledged: active.filter(alert => alert.state === ALERT_STATE.acknowledged).length,
+      historySize: this.alerts.length
+    };
+  }
+
+  /**
+   * Round a value to 4 decimals
+   * @param {number} value - Value to round
+   * @returns {number} Rounded value
+   */
+  round(value) {
+    return parseFloat(value.toFixed(4));
+  }
+
+  /**
+   * Write the rules to their JSON file
+   * @returns {Promise<void>}
+   */
+  async persistRules() {
+    await this.rulesFile.save({ rules: this.listRules() });
+  }
+
+  /**
+   * Write the alert history to its JSON file
+   * @returns {Promise<void>}
+   */
+  async persistHistory() {
+    await this.historyFile.save({ alerts: this.alerts });
+  }
+}
+
+const alertService = new AlertService();
+
+export { ALERT_STATE };
+export default alertService;
@@ -0,0 +1,364 @@
+/**
+ * @fileoverview Statistical anomaly detection for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import config from '../config/config.js';
+import fusionService, { FUSED_FIELDS } from './fusionService.js';
+import storageService from './storageService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Anomaly types
+ * outlier: the reading is far from the recent readings of the device
+ * stuck: the sensor has repeated the same value for too long
+ * jump: the reading changed more than physically plausible since the previous one
+ */
+const ANOMALY_TYPE = {
+  outlier: 'outlier',
+  stuck: 'stuck',
+  jump: 'jump'
+};
+
+/**
+ * Outlier scoring methods
+ * mad: distance to the median in scaled median absolute deviations, robust to the outliers themselves
+ * zscore: distance to the mean in standard deviations
+ */
+const OUTLIER_METHODS = ['mad', 'zscore'];
+
+/**
+ * Scale factor making the median absolute deviation comparable to a standard deviation
+ */
+const MAD_SCALE = 1.4826;
+
+/**
+ * Round a value to 4 decimals
+ * @param {number} value - Value
+ * @returns {number} Rounded value
+ */
+const round = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Compute the median of a list of numbers
+ * @param {Array<number>} values - Numbers
+ * @returns {number} Median
+ */
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+};
+
+/**
+ * Anomaly Service Class
+ * Inspects every new record of a device stream before it is stored and attaches the
+ * anomalies found as `anomalies`. Each device keeps, per sensor field, its latest readings,
+ * the run of identical values and the previous reading. The state is rebuilt from the
+ * record store the first time a device is seen after a restart. Readings are inspected
+ * after fusion and calibration.
+ */
+class AnomalyService {
+  /**
+   * Initialize the device states and statistics
+   */
+  constructor() {
+    // Device id -> { lastTime, fields: { field -> { window, run, previous } } }
+    this.states = new Map();
+    this.method = config.anomalies.method;
+    this.stats = {
+      inspected: 0,
+      flagged: 0,
+      byType: Object.fromEntries(Object.values(ANOMALY_TYPE).map(type => [type, 0]))
+    };
+
+    if (!OUTLIER_METHODS.includes(this.method)) {
+      logger.warn('Unknown anomaly method, using mad', { method: this.method });
+      this.method = 'mad';
+    }
+  }
+
+  /**
+   * Inspect new records and attach their anomalies
+   * Records are inspected in time order; each one gets an `anomalies` array, empty when nothing was found
+   * @param {Array} records - Prepared records about to be stored
+   * @returns {Promise<Array>} The same records
+   */
+  async inspect(records) {
+    const ordered = [...records].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    for (const record of ordered) {
+      const time = new Date(record.timestamp).getTime();
+      const state = await this.getState(record.device, time);
+      record.anomalies = this.evaluate(state, record, time);
+
+      this.stats.inspected++;
+      if (record.anomalies.length > 0) {
+        this.stats.flagged++;
+        record.anomalies.forEach(anomaly => { this.stats.byType[anomaly.type]++; });
+        logger.debug('Anomalies detected', {
+          device: record.device,
+          timestamp: record.timestamp,
+          anomalies: record.anomalies.map(anomaly => `${anomaly.type}:${anomaly.field}`)
+        });
+      }
+    }
+
+    return records;
+  }
+
+  /**
+   * Get the detection state of a device, rebuilding it from its latest stored records
+   * @param {string} device - Device identifier
+   * @param {number} before - Time of the record being inspected (epoch ms)
+   * @returns {Promise<Object>} Device state
+   */
+  async getState(device, before) {
+    if (!this.states.has(device)) {
+      const history = await storageService.query({
+        device,
+        to: before - 1,
+        order: 'desc',
+        limit: config.anomalies.windowSize
+      });
+
+      const state = { lastTime: null, fields: {} };
+      for (const record of history.reverse()) {
+        this.evaluate(state, record, new Date(record.timestamp).getTime());
+      }
+      this.states.set(device, state);
+    }
+    return this.states.get(device);
+  }
+
+  /**
+   * Check the readings of a record against the device state, then add them to it
+   * Jumps and stuck values are only checked for records newer than the latest one seen
+   * @param {Object} state - Device state (modified in place)
+   * @param {Object} record - Record
+   * @param {number} time - Record time (epoch ms)
+   * @returns {Array} Anomalies of the record
+   */
+  evaluate(state, record, time) {
+    const readings = fusionService.getCalibratedReadings(record);
+    const inOrder = state.lastTime === null || time > state.lastTime;
+    const anomalies = [];
+
+    for (const field of FUSED_FIELDS) {
+      const value = parseFloat(readings[field]);
+      if (isNaN(value)) {
+        continue;
+      }
+
+      state.fields[field] = state.fields[field] || { window: [], run: null, previous: null };
+      const fieldState = state.fields[field];
+
+      const outlier = this.checkOutlier(fieldState.window, value);
+      if (outlier) {
+        anomalies.push({ type: ANOMALY_TYPE.outlier, field, value, ...outlier });
+      }
+
+      fieldState.window.push(value);
+      if (fieldState.window.length > config.anomalies.windowSize) {
+        fieldState.window.shift();
+      }
+
+      if (!inOrder) {
+        continue;
+      }
+
+      const jump = this.checkJump(field, fieldState.previous, value, time);
+      if (jump) {
+        anomalies.push({ type: ANOMALY_TYPE.jump, field, value, ...jump });
+      }
+      // Readings are compared to the last plausible one, so the return from a spike is not a jump too
+      if (!outlier) {
+        fieldState.previous = { value, time };
+      }
+
+      fieldState.run = fieldState.run && fieldState.run.value === value
+        ? { ...fieldState.run, count: fieldState.run.count + 1 }
+        : { value, since: time, count: 1 };
+
+      const stuck = this.checkStuck(fieldState.run, time);
+      if (stuck) {
+        anomalies.push({ type: ANOMALY_TYPE.stuck, field, value, ...stuck });
+      }
+    }
+
+    if (inOrder) {
+      state.lastTime = time;
+    }
+    return anomalies;
+  }
+
+  /**
+   * Score a reading against the latest readings of its sensor
+   * @param {Array<number>} window - Latest readings, oldest first
+   * @param {number} value - Reading
+   * @returns {Object|null} Method, score, center and threshold when the reading is an outlier
+   */
+  checkOutlier(window, value) {
+    if (window.length < config.anomalies.minSamples) {
+      return null;
+    }
+
+    let center;
+    let spread;
+    if (this.method === 'mad') {
+      center = median(window);
+      spread = MAD_SCALE * median(window.map(entry => Math.abs(entry - center)));
+    } else {
+      center = window.reduce((sum, entry) => sum + entry, 0) / window.length;
+      spread = Math.sqrt(window.reduce((sum, entry) => sum + (entry - center) ** 2, 0) / window.length);
+    }
+
+    // A constant window has no spread, repeated values are reported as stuck instead
+    if (spread === 0) {
+      return null;
+    }
+
+    const score = Math.abs(value - center) / spread;
+    if (score <= config.anomalies.threshold) {
+      return null;
+    }
+
+    return {
+      method: this.method,
+      score: Math.round(score * 100) / 100,
+      center: round(center),
+      threshold: config.anomalies.threshold
+    };
+  }
+
+  /**
+   * Check the change from the previous reading of a sensor
+   * @param {string} field - Sensor field
+   * @param {Object|null} previous - Previous reading that was not an outlier ({ value, time })
+   * @param {number} value - Reading
+   * @param {number} time - Reading time (epoch ms)
+   * @returns {Object|null} Previous value, change, limit and elapsed time when the change is implausible
+   */
+  checkJump(field, previous, value, time) {
+    const limit = config.anomalies.maxJumps[field];
+    if (!previous || limit === undefined || time - previous.time > config.anomalies.jumpWindow) {
+      return null;
+    }
+
+    const change = value - previous.value;
+    if (Math.abs(change) <= limit) {
+      return null;
+    }
+
+    return {
+      previous: previous.value,
+      change: round(change),
+      limit,
+      elapsed: time - previous.time
+    };
+  }
+
+  /**
+   * Check whether a sensor has repeated the same value for too long
+   * @param {Object} run - Run of identical readings ({ value, since, count })
+   * @param {number} time - Reading time (epoch ms)
+   * @returns {Object|null} Start, length and duration of the run when the sensor looks stuck
+   */
+  checkStuck(run, time) {
+    const duration = time - run.since;
+    if (run.count < config.anomalies.stuckMinReadings || duration < config.anomalies.stuckDuration) {
+      return null;
+    }
+
+    return {
+      since: new Date(run.since).toISOString(),
+      readings: run.count,
+      duration
+    };
+  }
+
+  /**
+   * Build the anomaly report of a time range
+   * @param {Object} criteria - Report criteria
+   * @param {string} [criteria.device] - Device identifier, every device when omitted
+   * @param {number} criteria.from - Inclusive start (epoch ms)
+   * @param {number} criteria.to - Exclusive end (epoch ms)
+   * @param {number} criteria.limit - Most recent anomalies to list
+   * @returns {Promise<Object>} Totals, per-device counts and the most recent anomalies
+   */
+  async getReport({ device, from, to, limit }) {
+    const records = await storageService.query({ device, from, to: to - 1, order: 'desc' });
+    const devices = new Map();
+    const recent = [];
+    const totals = this.createCounts();
+
+    for (const record of records) {
+      const anomalies = record.anomalies || [];
+      const entry = devices.get(record.device) || { device: record.device, ...this.createCounts(), lastAnomalyAt: null };
+
+      for (const counts of [totals, entry]) {
+        counts.records++;
+        if (anomalies.length > 0) {
+          counts.flagged++;
+        }
+        for (const anomaly of anomalies) {
+          counts.anomalies++;
+          counts.byType[anomaly.type] = (counts.byType[anomaly.type] || 0) + 1;
+          counts.byField[anomaly.field] = (counts.byField[anomaly.field] || 0) + 1;
+        }
+      }
+
+      if (anomalies.length > 0) {
+        entry.lastAnomalyAt = entry.lastAnomalyAt || record.timestamp;
+        for (const anomaly of anomalies) {
+          if (recent.length < limit) {
+            recent.push({ device: record.device, timestamp: record.timestamp, ...anomaly });
+          }
+        }
+      }
+      devices.set(record.device, entry);
+    }
+
+    return {
+      totals,
+      devices: [...devices.values()]
+        .filter(entry => entry.flagged > 0)
+        .sort((a, b) => (b.flagged - a.flagged) || a.device.localeCompare(b.device)),
+      recent
+    };
+  }
+
+  /**
+   * Create empty report counters
+   * @returns {Object} Record, flagged record and anomaly counts
+   */
+  createCounts() {
+    return {
+      records: 0,
+      flagged: 0,
+      anomalies: 0,
+      byType: Object.fromEntries(Object.values(ANOMALY_TYPE).map(type => [type, 0])),
+      byField: {}
+    };
+  }
+
+  /**
+   * Get anomaly detection statistics
+   * @returns {Object} Inspected and flagged records since startup, and the detection settings
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      byType: { ...this.stats.byType },
+      method: this.method,
+      threshold: config.anomalies.threshold,
+      devices: this.states.size
+    };
+  }
+}
+
+const anomalyService = new AnomalyService();
+
+export { ANOMALY_TYPE };
+export default anomalyService;
@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Keyed cache service for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import cacheBackend from '../cache/index.js';
+import { createApiError } from '../middleware/errorMiddleware.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Cache Service Class
+ * Keyed entries with a TTL on the configured backend (memory or Redis protocol). The
+ * cache only speeds things up: a backend that cannot be reached turns reads into misses
+ * and writes into no-ops, counted as errors, instead of failing the caller.
+ */
+class CacheService {
+  /**
+   * Create the service on a backend
+   * @param {Object} backend - Cache backend (memory or redis)
+   */
+  constructor(backend) {
+    this.backend = backend;
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      errors: 0
+    };
+  }
+
+  /**
+   * Get the value of an entry
+   * @param {string} key - Entry key
+   * @returns {Promise<*>} Value, null when missing, expired or the backend failed
+   */
+  async get(key) {
+    try {
+      const value = await this.backend.get(key);
+      if (value === null) {
+        this.stats.misses++;
+      } else {
+        this.stats.hits++;
+      }
+      return value;
+    } catch (error) {
+      this.onError('get', key, error);
+      this.stats.misses++;
+      return null;
+    }
+  }
+
+  /**
+   * Check whether an entry exists, without counting a hit or marking it as used
+   * @param {string} key - Entry key
+   * @returns {Promise<boolean>} Whether the entry exists, false when the backend failed
+   */
+  async has(key) {
+    try {
+      return await this.backend.has(key);
+    } catch (error) {
+      this.onError('has', key, error);
+      return false;
+    }
+  }
+
+  /**
+   * Set an entry
+   * @param {string} key - Entry key
+   * @param {*} value - JSON-serializable value
+   * @param {number} [ttl] - Milliseconds the entry lives, the backend default when omitted
+   * @returns {Promise<void>}
+   */
+  async set(key, value, ttl) {
+    try {
+      await this.backend.set(key, value, ttl);
+    } catch (error) {
+      this.onError('set', key, error);
+    }
+  }
+
+  /**
+   * Delete the entries whose key matches a pattern
+   * @param {string} [pattern] - Glob pattern, * for any characters and ? for one; every entry when omitted
+   * @returns {Promise<number>} Deleted entries
+   * @throws {ApiError} When the pattern is invalid or the backend cannot be reached
+   */
+  async clear(pattern = '*') {
+    if (typeof pattern !== 'string' || pattern.trim() === '') {
+      throw createApiError('pattern must be a non-empty string', 400);
+    }
+
+    try {
+      const cleared = await this.backend.clear(pattern);
+      logger.info('Cache entries cleared', { pattern, cleared });
+      return cleared;
+    } catch (error) {
+      this.onError('clear', pattern, error);
+      throw createApiError(`Cache backend unavailable: ${error.message}`, 503);
+    }
+  }
+
+  /**
+   * Record a backend failure
+   * @param {string} operation - Cache operation
+   * @param {string} key - Entry key or pattern
+   * @param {Error} error - Backend error
+   */
+  onError(operation, key, error) {
+    this.stats.errors++;
+    logger.warn('Cache backend error', { backend: this.backend.type, operation, key, error: error.message });
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {Promise<Object>} Backend statistics with hit, miss and error counts
+   */
+  async getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    const counters = {
+      ...this.stats,
+      hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 10000) / 10000 : null
+    };
+
+    try {
+      return { ...(await this.backend.getStats()), available: true, ...counters };
+    } catch (error) {
+      return { type: this.backend.type, available: false, error: error.message, ...counters };
+    }
+  }
+
+  /**
+   * Close the backend
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.backend.close();
+  }
+}
+
+const cacheService = new CacheService(cacheBackend);
+
+export default cacheService;
@@ -0,0 +1,243 @@
+/**
+ * @fileoverview Per-device sensor calibration for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import crypto from 'crypto';
+import config from '../config/config.js';
+import { createApiError } from '../middleware/errorMiddleware.js';
+import { normalizeDeviceId } from '../utils/deviceId.js';
+import JsonFile from '../utils/jsonFile.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Calibration Service Class
+ * Keeps the calibration profiles of every device. A profile corrects each channel
+ * (decoded field) linearly as `value * gain + offset` from its effective date until the
+ * next profile of the device takes over, so historical readings are corrected with the
+ * profile that was valid when they were taken. Stored records keep the raw values.
+ */
+class CalibrationService {
+  /**
+   * Load the calibration profiles from their JSON file
+   */
+  constructor() {
+    this.file = new JsonFile(config.calibrations.file);
+    // Device id -> profiles sorted by effective date, oldest first
+    this.profiles = new Map();
+
+    for (const profile of this.file.load({ profiles: [] }).profiles || []) {
+      this.addProfile(profile);
+    }
+
+    logger.info('Calibration profiles loaded', {
+      deviceCount: this.profiles.size,
+      profileCount: this.listAll().length
+    });
+  }
+
+  /**
+   * List the profiles of a device
+   * @param {string} device - Device identifier
+   * @returns {Array} Profiles sorted by effective date, oldest first
+   */
+  list(device) {
+    return [...(this.profiles.get(normalizeDeviceId(device)) || [])];
+  }
+
+  /**
+   * List the profiles of every device
+   * @returns {Array} Profiles
+   */
+  listAll() {
+    return [...this.profiles.values()].flat();
+  }
+
+  /**
+   * Create a profile for a device
+   * @param {string} id - Device identifier
+   * @param {Object} data - Profile definition (effectiveFrom, channels, note)
+   * @returns {Promise<Object>} Created profile
+   * @throws {ApiError} When the definition is invalid or a profile already starts at that date
+   */
+  async create(id, data) {
+    const device = normalizeDeviceId(id);
+    const profile = {
+      id: crypto.randomUUID(),
+      device,
+      ...this.normalizeProfile(data || {}),
+      createdAt: new Date().toISOString()
+    };
+
+    if (this.list(device).some(existing => existing.effectiveFrom === profile.effectiveFrom)) {
+      throw createApiError(`A calibration profile of ${device} already starts at ${profile.effectiveFrom}`, 409);
+    }
+
+    this.addProfile(profile);
+    await this.persist();
+
+    logger.info('Calibration profile created', {
+      device,
+      profile: profile.id,
+      effectiveFrom: profile.effectiveFrom,
+      channels: Object.keys(profile.channels)
+    });
+    return profile;
+  }
+
+  /**
+   * Delete a profile of a device
+   * Readings it covered fall back to the previous profile, if any
+   * @param {string} deviceId - Device identifier
+   * @param {string} id - Profile identifier
+   * @returns {Promise<Object>} Deleted profile
+   * @throws {ApiError} When the profile does not exist
+   */
+  async remove(deviceId, id) {
+    const device = normalizeDeviceId(deviceId);
+    const profiles = this.list(device);
+    const profile = profiles.find(entry => entry.id === id);
+    if (!profile) {
+      throw createApiError(`Calibration profile not found: ${id}`, 404);
+    }
+
+    const remaining = profiles.filter(entry => entry.id !== id);
+    if (remaining.length > 0) {
+      this.profiles.set(device, remaining);
+    } else {
+      this.profiles.delete(device);
+    }
+    await this.persist();
+
+    logger.info('Calibration profile deleted', { device, profile: id });
+    return profile;
+  }
+
+  /**
+   * Delete every profile of a device
+   * @param {string} id - Device identifier
+   * @returns {Promise<number>} Number of deleted profiles
+   */
+  async removeDevice(id) {
+    const device = normalizeDeviceId(id);
+    const count = this.list(device).length;
+    if (count > 0) {
+      this.profiles.delete(device);
+      await this.persist();
+      logger.info('Calibration profiles of device deleted', { device, count });
+    }
+    return count;
+  }
+
+  /**
+   * Validate and normalize a profile definition
+   * @param {Object} data - Raw profile definition
+   * @returns {Object} Normalized profile attributes
+   * @throws {ApiError} When an attribute is invalid
+   */
+  normalizeProfile(data) {
+    const effectiveFrom = new Date(data.effectiveFrom);
+    if (data.effectiveFrom === undefined || isNaN(effectiveFrom.getTime())) {
+      throw createApiError('Calibration effectiveFrom must be an ISO timestamp', 400);
+    }
+
+    if (!data.channels || typeof data.channels !== 'object' || Array.isArray(data.channels) ||
+        Object.keys(data.channels).length === 0) {
+      throw createApiError('Calibration channels must map at least one field to { offset, gain }', 400);
+    }
+
+    const channels = {};
+    for (const [field, correction] of Object.entries(data.channels)) {
+      const { offset = 0, gain = 1 } = correction || {};
+      if (typeof offset !== 'number' || typeof gain !== 'number' || !isFinite(offset) || !isFinite(gain)) {
+        throw createApiError(`Calibration offset and gain of ${field} must be numbers`, 400);
+      }
+      channels[field] = { offset, gain };
+    }
+
+    if (data.note !== undefined && data.note !== null && typeof data.note !== 'string') {
+      throw createApiError('Calibration note must be a string', 400);
+    }
+
+    return {
+      effectiveFrom: effectiveFrom.toISOString(),
+      channels,
+      note: data.note ?? null
+    };
+  }
+
+  /**
+   * Find the profile valid for a device at a given time
+   * @param {string} device - Device identifier
+   * @param {string|number|Date} timestamp - Reading time
+   * @returns {Object|null} Latest profile effective at that time, or null
+   */
+  findProfile(device, timestamp) {
+    const time = new Date(timestamp).getTime();
+    const profiles = this.profiles.get(normalizeDeviceId(device));
+    if (!profiles || isNaN(time)) {
+      return null;
+    }
+
+    for (let index = profiles.length - 1; index >= 0; index--) {
+      if (new Date(profiles[index].effectiveFrom).getTime() <= time) {
+        return profiles[index];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Apply the profile valid at the reading time to a set of values
+   * Values keep their type: numeric strings are returned as strings
+   * @param {string} device - Device identifier
+   * @param {string|number|Date} timestamp - Reading time
+   * @param {Object} values - Field name to raw value
+   * @returns {Object|null} Calibrated values and the profile used, or null when no profile applies
+   */
+  calibrate(device, timestamp, values) {
+    const profile = this.findProfile(device, timestamp);
+    if (!profile || !values) {
+      return null;
+    }
+
+    const calibrated = { ...values };
+    for (const [field, { offset, gain }] of Object.entries(profile.channels)) {
+      const raw = parseFloat(values[field]);
+      if (isNaN(raw)) {
+        continue;
+      }
+      const value = Math.round((raw * gain + offset) * 10000) / 10000;
+      calibrated[field] = typeof values[field] === 'string' ? String(value) : value;
+    }
+
+    return {
+      values: calibrated,
+      profile: { id: profile.id, effectiveFrom: profile.effectiveFrom }
+    };
+  }
+
+  /**
+   * Insert a profile in the effective date order of its device
+   * @param {Object} profile - Profile
+   */
+  addProfile(profile) {
+    const device = normalizeDeviceId(profile.device);
+    const profiles = [...this.list(device), { ...profile, device }]
+      .sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+    this.profiles.set(device, profiles);
+  }
+
+  /**
+   * Write every profile to the JSON file
+   * @returns {Promise<void>}
+   */
+  async persist() {
+    await this.file.save({ profiles: this.listAll() });
+  }
+}
+
+const calibrationService = new CalibrationService();
+
+export default calibrationService;
@@ -0,0 +1,283 @@
+/**
+ * @fileoverview Payload codec registry for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import builtInCodecs from '../config/codecs.js';
+import config from '../config/config.js';
+import { createApiError } from '../middleware/errorMiddleware.js';
+import { normalizeDeviceId } from '../utils/deviceId.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Supported field types
+ * Maps each type name to its byte size, Buffer reader and Buffer writer
+ */
+const FIELD_TYPES = {
+  int8: {
+    size: 1,
+    integer: true,
+    read: (buffer, offset) => buffer.readInt8(offset),
+    write: (buffer, value, offset) => buffer.writeInt8(value, offset)
+  },
+  uint8: {
+    size: 1,
+    integer: true,
+    read: (buffer, offset) => buffer.readUInt8(offset),
+    write: (buffer, value, offset) => buffer.writeUInt8(value, offset)
+  },
+  int16: {
+    size: 2,
+    integer: true,
+    read: (buffer, offset, little) => little ? buffer.readInt16LE(offset) : buffer.readInt16BE(offset),
+    write: (buffer, value, offset, little) => little ? buffer.writeInt16LE(value, offset) : buffer.writeInt16BE(value, offset)
+  },
+  uint16: {
+    size: 2,
+    integer: true,
+    read: (buffer, offset, little) => little ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset),
+    write: (buffer, value, offset, little) => little ? buffer.writeUInt16LE(value, offset) : buffer.writeUInt16BE(value, offset)
+  },
+  int32: {
+    size: 4,
+    integer: true,
+    read: (buffer, offset, little) => little ? buffer.readInt32LE(offset) : buffer.readInt32BE(offset),
+    write: (buffer, value, offset, little) => little ? buffer.writeInt32LE(value, offset) : buffer.writeInt32BE(value, offset)
+  },
+  uint32: {
+    size: 4,
+    integer: true,
+    read: (buffer, offset, little) => little ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset),
+    write: (buffer, value, offset, little) => little ? buffer.writeUInt32LE(value, offset) : buffer.writeUInt32BE(value, offset)
+  },
+  float32: {
+    size: 4,
+    integer: false,
+    read: (buffer, offset, little) => little ? buffer.readFloatLE(offset) : buffer.readFloatBE(offset),
+    write: (buffer, value, offset, little) => little ? buffer.writeFloatLE(value, offset) : buffer.writeFloatBE(value, offset)
+  }
+};
+
+/**
+ * Codec Registry Class
+ * Holds the named payload codecs and resolves which one applies to a frame
+ */
+class CodecRegistry {
+  /**
+   * Initialize the registry with the built-in codecs
+   */
+  constructor() {
+    this.codecs = new Map();
+    this.deviceCodecs = {};
+
+    builtInCodecs.forEach(codec => this.register(codec));
+  }
+
+  /**
+   * Register a payload codec
+   * @param {Object} definition - Codec definition (name, length, fields)
+   * @returns {Object} The normalized codec
+   * @throws {ApiError} When the definition is invalid
+   */
+  register(definition) {
+    const codec = this.normalizeCodec(definition);
+    this.codecs.set(codec.name, codec);
+    logger.debug('Codec registered', { codec: codec.name, length: codec.length });
+    return codec;
+  }
+
+  /**
+   * Validate a codec definition and fill in field defaults
+   * @param {Object} definition - Codec definition
+   * @returns {Object} Normalized codec
+   * @throws {ApiError} When the definition is invalid
+   */
+  normalizeCodec(definition) {
+    if (!definition || typeof definition.name !== 'string' || !definition.name) {
+      throw createApiError('Codec name is required', 400);
+    }
+
+    if (!Array.isArray(definition.fields) || definition.fields.length === 0) {
+      throw createApiError(`Codec "${definition.name}" must declare at least one field`, 400);
+    }
+
+    const fields = definition.fields.map(field => {
+      const type = FIELD_TYPES[field.type];
+      if (!type) {
+        throw createApiError(
+          `Unsupported field type "${field.type}" in codec "${definition.name}". ` +
+          `Supported types: ${Object.keys(FIELD_TYPES).join(', ')}`,
+          400
+        );
+      }
+
+      if (!field.name || !Number.isInteger(field.offset) || field.offset < 0) {
+        throw createApiError(`Invalid field definition in codec "${definition.name}"`, 400);
+      }
+
+      return {
+        name: field.name,
+        offset: field.offset,
+        type: field.type,
+        endianness: field.endianness === 'big' ? 'big' : 'little',
+        scale: typeof field.scale === 'number' ? field.scale : 1,
+        unit: field.unit || null
+      };
+    });
+
+    const minimumLength = Math.max(...fields.map(field => field.offset + FIELD_TYPES[field.type].size));
+    const length = definition.length || minimumLength;
+
+    if (length < minimumLength) {
+      throw createApiError(
+        `Codec "${definition.name}" length ${length} is shorter than its fields (${minimumLength} bytes)`,
+        400
+      );
+    }
+
+    return {
+      name: definition.name,
+      description: definition.description || '',
+      direction: definition.direction === 'downlink' ? 'downlink' : 'uplink',
+      length,
+      fields
+    };
+  }
+
+  /**
+   * Get a codec by name
+   * @param {string} name - Codec name
+   * @returns {Object} Codec definition
+   * @throws {ApiError} When the codec does not exist
+   */
+  get(name) {
+    const codec = this.codecs.get(name);
+    if (!codec) {
+      throw createApiError(`Unknown codec: ${name}`, 404);
+    }
+    return codec;
+  }
+
+  /**
+   * List all registered codecs
+   * @returns {Array} Codec definitions
+   */
+  list() {
+    return [...this.codecs.values()];
+  }
+
+  /**
+   * Get the codec name assigned to a device
+   * Registry assignments take precedence over the DEVICE_CODECS configuration
+   * @param {string} device - Device identifier
+   * @returns {string|null} Codec name or null when unassigned
+   */
+  getDeviceCodec(device) {
+    if (!device) {
+      return null;
+    }
+    const id = normalizeDeviceId(device);
+    return this.deviceCodecs[id] || config.decoder.deviceCodecs[id] || null;
+  }
+
+  /**
+   * Assign a codec to a device, or remove the assignment
+   * @param {string} device - Device identifier
+   * @param {string|null} codecName - Codec name, or null to fall back to the default
+   * @throws {ApiError} When the codec does not exist
+   */
+  assignDevice(device, codecName) {
+    const id = normalizeDeviceId(device);
+    if (!codecName) {
+      delete this.deviceCodecs[id];
+      return;
+    }
+
+    this.get(codecName);
+    this.deviceCodecs[id] = codecName;
+  }
+
+  /**
+   * Resolve the codec to use for a frame
+   * An explicit codec name wins over the device assignment, which wins over the default
+   * @param {Object} options - Resolution options
+   * @param {string} [options.codec] - Explicit codec name
+   * @param {string} [options.device] - Device identifier
+   * @returns {Object} Codec definition
+   */
+  resolve({ codec, device } = {}) {
+    const name = codec || this.getDeviceCodec(device) || config.decoder.defaultCodec;
+    return this.get(name);
+  }
+
+  /**
+   * Read every field of a codec from a frame buffer
+   * @param {Object} codec - Codec definition
+   * @param {Buffer} buffer - Frame bytes
+   * @returns {Object} Field values keyed by field name
+   */
+  decode(codec, buffer) {
+    return codec.fields.reduce((values, field) => {
+      const raw = FIELD_TYPES[field.type].read(buffer, field.offset, field.endianness === 'little');
+      values[field.name] = parseFloat((raw * field.scale).toFixed(4));
+      return values;
+    }, {});
+  }
+
+  /**
+   * Write field values into a frame buffer, the inverse of decode()
+   * Bytes not covered by a field are left as zero
+   * @param {Object} codec - Codec definition
+   * @param {Object} values - Field values keyed by field name
+   * @returns {Buffer} Frame bytes
+   * @throws {ApiError} When a value is missing or does not fit its field type
+   */
+  encode(codec, values) {
+    const missing = codec.fields
+      .filter(field => typeof values?.[field.name] !== 'number' || isNaN(values[field.name]))
+      .map(field => field.name);
+
+    if (missing.length > 0) {
+      throw createApiError(
+        `Missing or non-numeric values for codec "${codec.name}": ${missing.join(', ')}`,
+        400
+      );
+    }
+
+    const buffer = Buffer.alloc(codec.length);
+
+    for (const field of codec.fields) {
+      const type = FIELD_TYPES[field.type];
+      const scaled = values[field.name] / field.scale;
+      const raw = type.integer ? Math.round(scaled) : scaled;
+
+      try {
+        type.write(buffer, raw, field.offset, field.endianness === 'little');
+      } catch (error) {
+        throw createApiError(
+          `Value ${values[field.name]} for ${field.name} does not fit ${field.type} in codec "${codec.name}"`,
+          400
+        );
+      }
+    }
+
+    return buffer;
+  }
+
+  /**
+   * Build a short human-readable description of a codec layout
+   * @param {Object} codec - Codec definition
+   * @returns {string} Layout description, e.g. "temperature(4 bytes) + humidity(4 bytes)"
+   */
+  describeLayout(codec) {
+    return codec.fields
+      .map(field => `${field.name}(${FIELD_TYPES[field.type].size} bytes)`)
+      .join(' + ');
+  }
+}
+
+const codecRegistry = new CodecRegistry();
+
+export { FIELD_TYPES };
+export default codecRegistry;
@@ -4,163 +4,194 @@
  * @version 1.0.0
  */
 
-import axios from 'axios';
 import config from '../config/config.js';
+import cacheService from './cacheService.js';
+import calibrationService from './calibrationService.js';
+import decoderService from './decoderService.js';
+import deduplicationService from './deduplicationService.js';
+import derivationService from './derivationService.js';
+import deviceService from './deviceService.js';
+import formatService from './formatService.js';
+import fusionService from './fusionService.js';
+import storageService from './storageService.js';
+import upstreamClient from './upstreamClient.js';
 import { createApiError } from '../middleware/errorMiddleware.js';
 import logger from '../utils/logger.js';
 
 /**
- * In-memory cache for storing fetched data
- * In production, consider using Redis or similar caching solution
+ * Data Service Class
+ * Handles all data-related operations including upstream refreshes
  */
-const cache = {
-  data: null,
-  timestamp: null,
-  isValid: function() {
-    if (!this.data || !this.timestamp) {
-      return false;
+class DataService {
+  /**
+   * Get the latest IoT data records
+   * Reads the latest records from the store (relay and Sigfox callback records alike).
+   * Relay records are kept up to date by the background poller.
+   * @returns {Promise<Array>} Array of the latest IoT data objects
+   */
+  async getLatestData() {
+    try {
+      const storedRecords = await storageService.query({
+        filter: record => this.hasSensorValues(record),
+        limit: config.data.maxRecords
+      });
+
+      return this.processLatestRecords(storedRecords);
+
+    } catch (error) {
+      logger.error('Error in getLatestData', { error: error.message });
+      throw error;
     }
-    const now = new Date();
-    const cacheAge = now.getTime() - this.timestamp.getTime();
-    return cacheAge < config.data.cacheTimeout;
-  },
-  set: function(data) {
-    this.data = data;
-    this.timestamp = new Date();
-  },
-  get: function() {
-    return this.isValid() ? this.data : null;
-  },
-  clear: function() {
-    this.data = null;
-    this.timestamp = null;
   }
-};
 
-/**
- * Data Service Class
- * Handles all data-related operations including external API calls
- */
-class DataService {
   /**
-   * Initialize the data service
+   * Read the upstream records through the shared client and persist the new ones
+   * Called by the background poller. The records come from the shared cache while it holds a
+   * fetch younger than config.data.cacheTimeout, so API instances sharing a cache backend call
+   * the upstream sources once per cache timeout between them.
+   * @returns {Promise<Array>} Records that were new to the store
    */
-  constructor() {
-    this.httpClient = axios.create({
-      timeout: config.externalApi.timeout,
-      headers: {
-        'Content-Type': 'application/json',
-        'User-Agent': 'IoT-DataFusionSuite/1.0.0'
-      }
-    });
+  async refreshUpstreamData() {
+    if (!config.externalApi.enabled) {
+      return [];
+    }
 
-    this.httpClient.interceptors.request.use(
-      (config) => {
-        logger.debug('Making external API request', { url: config.url });
-        return config;
-      },
-      (error) => {
-        logger.error('Request interceptor error', { error: error.message });
-        return Promise.reject(error);
-      }
-    );
+    const records = await upstreamClient.get();
 
-    this.httpClient.interceptors.response.use(
-      (response) => {
-        logger.debug('Received response from external API', { url: response.config.url });
-        return response;
-      },
-      (error) => {
-        logger.error('Response interceptor error', { error: error.message });
-        return Promise.reject(error);
-      }
-    );
+    return this.storeUpstreamRecords(records);
   }
 
   /**
-   * Fetch data from external Sigfox API with retry mechanism
-   * @param {number} retryCount - Current retry attempt
-   * @returns {Promise<Array>} Array of IoT data objects
-   * @throws {ApiError} When external API fails or returns invalid data
+   * Normalize, decode and persist raw relay records
+   * @param {Array} records - Raw relay records
+   * @returns {Promise<Array>} Records that were new to the store
    */
-  async fetchExternalData(retryCount = 0) {
-    const startTime = Date.now();
-    
-    try {
-      logger.info('Fetching data from external API', { 
-        attempt: retryCount + 1, 
-        endpoint: config.externalApi.sigfoxEndpoint 
-      });
-      
-      const response = await this.httpClient.get(config.externalApi.sigfoxEndpoint);
-      
-      if (!response.data || !Array.isArray(response.data)) {
-        throw createApiError('Invalid data format received from external API', 502);
-      }
+  async storeUpstreamRecords(records) {
+    const prepared = records.map(record => storageService.prepareRecord(
+      record,
+      record?.hexData ? decoderService.decodeRecord(record) : null,
+      'relay'
+    ));
 
-      const duration = Date.now() - startTime;
-      logger.info('Successfully fetched data from external API', { 
-        recordCount: response.data.length,
-        duration: `${duration}ms`
-      });
-      
-      return response.data;
+    const { inserted, merged } = await deduplicationService.store(prepared);
+    logger.info('Relay records stored', {
+      fetched: records.length,
+      inserted: inserted.length,
+      merged: merged.length
+    });
+    return inserted;
+  }
 
-    } catch (error) {
-      const duration = Date.now() - startTime;
-      logger.error('Error fetching external data', { 
-        attempt: retryCount + 1,
-        error: error.message,
-        duration: `${duration}ms`
-      });
+  /**
+   * Get a page of historical records, newest first
+   * Uses the same filtering and ordering rules as processLatestRecords
+   * @param {Object} query - History query
+   * @param {string} [query.device] - Device identifier
+   * @param {string} [query.from] - Inclusive lower time bound
+   * @param {string} [query.to] - Inclusive upper time bound
+   * @param {number} query.limit - Page size
+   * @param {Object} [query.cursor] - Decoded cursor ({ timestamp, device }) of the last record of the previous page
+   * @param {Array<string>} [query.fields] - Fields to keep in each record
+   * @param {Array<string>} [query.derive] - Derived metrics to add, computed before the fields are selected
+   * @returns {Promise<Object>} Page with records and the cursor of the next page
+   */
+  async getHistory({ device, from, to, limit, cursor, fields, derive = [] }) {
+    const records = await storageService.query({
+      device,
+      from,
+      to,
+      filter: record => this.hasSensorValues(record) && (!cursor || this.isAfterCursor(record, cursor)),
+      limit: limit + 1
+    });
 
-      // If we haven't exhausted retries and it's a network error, retry
-      if (retryCount < config.externalApi.retries - 1 && this.isRetryableError(error)) {
-        logger.info('Retrying external API request', { 
-          nextAttempt: retryCount + 2,
-          maxRetries: config.externalApi.retries
-        });
-        await this.delay(1000 * (retryCount + 1));
-        return this.fetchExternalData(retryCount + 1);
-      }
+    const hasMore = records.length > limit;
+    const page = records.slice(0, limit);
+    const last = page[page.length - 1];
 
-      if (error.response) {
-        throw createApiError(
-          `External API error: ${error.response.status} - ${error.response.statusText}`,
-          error.response.status === 404 ? 503 : error.response.status
-        );
-      } else if (error.request) {
-        throw createApiError('Unable to reach external API. Please try again later.', 503);
-      } else {
-        throw createApiError(`External API request failed: ${error.message}`, 503);
-      }
-    }
+    logger.debug('History page retrieved', {
+      device,
+      from,
+      to,
+      returned: page.length,
+      hasMore
+    });
+
+    return {
+      records: page.map(record => {
+        const normalized = this.normalizeDataRecord(record);
+        const selected = this.selectFields(normalized, fields);
+        return derive.length > 0
+          ? { ...selected, derived: derivationService.derive(normalized, normalized.device, derive) }
+          : selected;
+      }),
+      nextCursor: hasMore ? this.encodeCursor(last) : null,
+      hasMore
+    };
   }
 
   /**
-   * Get the latest IoT data records
-   * Returns cached data if available and valid, otherwise fetches fresh data
-   * @returns {Promise<Array>} Array of the latest IoT data objects
+   * Check whether a record comes after the cursor in newest-first order
+   * Records with the same timestamp are ordered by device
+   * @param {Object} record - Stored record
+   * @param {Object} cursor - Decoded cursor ({ timestamp, device })
+   * @returns {boolean} Whether the record belongs to a later page
    */
-  async getLatestData() {
+  isAfterCursor(record, cursor) {
+    const time = new Date(record.timestamp).getTime();
+    return time < cursor.timestamp ||
+           (time === cursor.timestamp && String(record.device).localeCompare(cursor.device) > 0);
+  }
+
+  /**
+   * Encode a pagination cursor pointing at a record
+   * @param {Object} record - Last record of a page
+   * @returns {string} Opaque base64url cursor
+   */
+  encodeCursor(record) {
+    const payload = JSON.stringify({
+      timestamp: new Date(record.timestamp).getTime(),
+      device: record.device
+    });
+    return Buffer.from(payload).toString('base64url');
+  }
+
+  /**
+   * Decode a pagination cursor
+   * @param {string} cursor - Opaque base64url cursor
+   * @returns {Object} Cursor position ({ timestamp, device })
+   * @throws {ApiError} When the cursor is malformed
+   */
+  decodeCursor(cursor) {
     try {
-      const cachedData = cache.get();
-      if (cachedData) {
-        logger.debug('Returning cached data', { recordCount: cachedData.length });
-        return this.processLatestRecords(cachedData);
+      const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      if (typeof position.timestamp !== 'number' || typeof position.device !== 'string') {
+        throw new Error('Incomplete cursor');
       }
+      return position;
+    } catch (error) {
+      throw createApiError('Invalid pagination cursor', 400);
+    }
+  }
 
-      logger.debug('Cache miss or expired, fetching fresh data');
-      const allData = await this.fetchExternalData();
-      
-      cache.set(allData);
-      
-      return this.processLatestRecords(allData);
+  /**
+   * List the fields of a normalized record, used to validate sparse field selections
+   * @returns {Array<string>} Field names
+   */
+  getRecordFields() {
+    return Object.keys(this.normalizeDataRecord({}));
+  }
 
-    } catch (error) {
-      logger.error('Error in getLatestData', { error: error.message });
-      throw error;
+  /**
+   * Keep only the requested fields of a record
+   * @param {Object} record - Normalized record
+   * @param {Array<string>} [fields] - Fields to keep, all fields when omitted
+   * @returns {Object} Record with the selected fields
+   */
+  selectFields(record, fields) {
+    if (!fields || fields.length === 0) {
+      return record;
     }
+    return Object.fromEntries(fields.filter(field => field in record).map(field => [field, record[field]]));
   }
 
   /**
@@ -174,13 +205,7 @@ class DataService {
     }
 
     const sensorRecords = data
-      .filter(record => 
-        record && 
-        record.timestamp && 
-        record.temperature && record.temperature !== null && record.temperature !== "" && record.temperature !== "0" &&
-        record.humidity && record.humidity !== null && record.humidity !== "" && record.humidity !== "0" &&
-        record.pressure && record.pressure !== null && record.pressure !== "" && record.pressure !== "0"
-      )
+      .filter(record => this.hasSensorValues(record))
       .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
       .slice(0, config.data.maxRecords);
 
@@ -193,30 +218,79 @@ class DataService {
     return sensorRecords.map(this.normalizeDataRecord);
   }
 
+  /**
+   * Check whether a record carries a timestamp and all three sensor readings
+   * Empty strings and "0" count as missing plaintext readings, which are filled from the
+   * decoded hex payload when it has them
+   * @param {Object} record - Data record
+   * @returns {boolean} Whether the record is a complete sensor reading
+   */
+  hasSensorValues(record) {
+    return fusionService.isComplete(record);
+  }
+
   /**
    * Normalize a data record to ensure consistent structure
+   * Registered devices get their registry metadata attached as `deviceInfo`. Missing plaintext
+   * readings are filled from the decoded payload, with the origin of each reading in `sources`
+   * and disagreeing values in `conflicts`. Sensor values are corrected with the calibration
+   * profile valid at the record time; the uncorrected values are kept in `raw` and the profile
+   * in `calibration`. The upstream source of the record is kept in `provenance`.
    * @param {Object} record - Raw data record
    * @returns {Object} Normalized data record
    */
   normalizeDataRecord(record) {
+    const { readings, sources, conflicts } = fusionService.fuse(record);
+    const calibration = calibrationService.calibrate(record.device, record.timestamp, readings);
+
     return {
       device: record.device || 'unknown',
       timestamp: record.timestamp || new Date().toISOString(),
-      temperature: record.temperature || null,
-      humidity: record.humidity || null,
-      pressure: record.pressure || null,
+      ...(calibration ? calibration.values : readings),
+      raw: calibration ? readings : null,
+      calibration: calibration ? calibration.profile : null,
+      sources,
+      conflicts,
+      anomalies: record.anomalies ?? [],
       hexData: record.hexData || null,
+      seqNumber: record.seqNumber ?? null,
+      rssi: record.rssi ?? null,
+      snr: record.snr ?? null,
+      station: record.station ?? null,
+      stationCount: record.stationCount ?? null,
+      countryCode: record.countryCode ?? null,
+      receptions: record.receptions ?? [],
+      provenance: record.provenance ?? null,
+      deviceInfo: deviceService.describe(record.device),
       processedAt: new Date().toISOString()
     };
   }
 
+  /**
+   * Normalize a stored record for live delivery
+   * Adds the decoding details and origin kept by the record store
+   * @param {Object} record - Stored record
+   * @returns {Object} Normalized record with codec, decoded values and origin
+   */
+  normalizeStoredRecord(record) {
+    return {
+      ...this.normalizeDataRecord(record),
+      codec: record.codec ?? null,
+      decoded: record.decoded ?? null,
+      origin: record.origin ?? null
+    };
+  }
+
   /**
    * Process data for visualization
    * Formats data specifically for visualization applications
    * @param {Array} data - Array of IoT data objects
+   * @param {Object} [options] - Processing options
+   * @param {Array<string>} [options.derive] - Derived metrics to add to each record
+   * @param {Object} [options.format] - Output units, precision and time zone (see formatService.parseOptions)
    * @returns {Object} Formatted visualization data
    */
-  processVisualizationData(data) {
+  processVisualizationData(data, { derive = [], format = formatService.parseOptions() } = {}) {
     if (!Array.isArray(data) || data.length === 0) {
       return {
         success: false,
@@ -228,22 +302,17 @@ class DataService {
 
     const processedData = data.map(record => ({
       deviceId: record.device,
-      timestamp: record.timestamp,
-      sensors: {
-        temperature: {
-          value: parseFloat(record.temperature) || 0,
-          unit: '°C'
-        },
-        humidity: {
-          value: parseFloat(record.humidity) || 0,
-          unit: '%'
-        },
-        pressure: {
-          value: parseFloat(record.pressure) || 0,
-          unit: 'hPa'
-        }
-      },
+      timestamp: formatService.formatTimestamp(record.timestamp, format),
+      sensors: this.describeReadings({
+        temperature: parseFloat(record.temperature) || 0,
+        humidity: parseFloat(record.humidity) || 0,
+        pressure: parseFloat(record.pressure) || 0
+      }, format),
+      ...(derive.length > 0 && {
+        derived: this.describeReadings(derivationService.derive(record, record.device, derive), format)
+      }),
       rawData: record.hexData,
+      anomalies: record.anomalies || [],
       quality: this.assessDataQuality(record)
     }));
 
@@ -260,8 +329,21 @@ class DataService {
     };
   }
 
+  /**
+   * Convert readings to the requested units and label them
+   * @param {Object} readings - Reading name to value in its base unit
+   * @param {Object} format - Output units and precision
+   * @returns {Object} Reading name to { value, unit }
+   */
+  describeReadings(readings, format) {
+    const values = formatService.formatReadings(readings, format);
+    const units = formatService.getUnits(Object.keys(readings), format);
+    return Object.fromEntries(Object.keys(readings).map(field => [field, { value: values[field], unit: units[field] }]));
+  }
+
   /**
    * Assess data quality of a record
+   * Records flagged by anomaly detection are rated fair at best
    * @param {Object} record - Data record to assess
    * @returns {string} Quality assessment (excellent, good, fair, poor)
    */
@@ -274,53 +356,32 @@ class DataService {
     if (record.hexData) score++;
     if (record.timestamp && new Date(record.timestamp).getTime() > 0) score++;
 
+    if (Array.isArray(record.anomalies) && record.anomalies.length > 0) {
+      return score >= 2 ? 'fair' : 'poor';
+    }
+
     if (score >= 4) return 'excellent';
     if (score >= 3) return 'good';
     if (score >= 2) return 'fair';
     return 'poor';
   }
 
-  /**
-   * Check if an error is retryable
-   * @param {Error} error - The error to check
-   * @returns {boolean} Whether the error is retryable
-   */
-  isRetryableError(error) {
-    return !error.response || 
-           error.code === 'ECONNABORTED' || 
-           error.code === 'ETIMEDOUT' ||
-           (error.response.status >= 500);
-  }
-
-  /**
-   * Delay execution for the specified time
-   * @param {number} ms - Milliseconds to delay
-   * @returns {Promise} Promise that resolves after the delay
-   */
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-
   /**
    * Clear cached data
    * Useful for testing or when fresh data is explicitly required
+   * @param {string} [pattern] - Glob pattern of the keys to clear, every entry when omitted
+   * @returns {Promise<number>} Cleared entries
    */
-  clearCache() {
-    cache.clear();
-    logger.info('Cache cleared');
+  async clearCache(pattern) {
+    return cacheService.clear(pattern);
   }
 
   /**
    * Get cache statistics
-   * @returns {Object} Cache statistics
+   * @returns {Promise<Object>} Cache state with hit and miss counts
    */
-  getCacheStats() {
-    return {
-      hasData: !!cache.data,
-      timestamp: cache.timestamp,
-      isValid: cache.isValid(),
-      recordCount: cache.data ? cache.data.length : 0
-    };
+  async getCacheStats() {
+    return upstreamClient.getStats();
   }
 }
 
@@ -4,50 +4,56 @@
  * @version 1.0.0
  */
 
-import axios from 'axios';
+import config from '../config/config.js';
+import calibrationService from './calibrationService.js';
+import codecRegistry from './codecRegistry.js';
+import deviceService from './deviceService.js';
+import storageService from './storageService.js';
 import { createApiError } from '../middleware/errorMiddleware.js';
+import { parseLinkQuality } from '../utils/linkQuality.js';
 import logger from '../utils/logger.js';
 
+/**
+ * Accepted sensor ranges used to reject implausible decodings
+ * Temperature: -50°C to +85°C typical sensor range
+ * Humidity: 0% to 100%
+ * Pressure: 300 to 1200 hPa typical range
+ */
+const SENSOR_RANGES = {
+  temperature: { min: -50, max: 85, unit: '°C' },
+  humidity: { min: 0, max: 100, unit: '%' },
+  pressure: { min: 300, max: 1200, unit: ' hPa' }
+};
+
 /**
  * IoT Data Decoder Service Class
  * Handles decoding of hexadecimal sensor data to readable values
  */
 class DecoderService {
-  constructor() {
-    this.apiUrl = 'https://callback-iot.onrender.com/data';
-    this.timeout = 10000; // 10 seconds timeout
-  }
-
   /**
-   * Fetch data from external API and decode hex values
+   * Decode the newest stored hex records
+   * Relay records are written to the store by the background poller and callback records by
+   * the ingestion endpoint, so the response never waits on the relay.
+   * Each record is decoded with the codec assigned to its device unless a codec is forced
+   * @param {Object} [options] - Decoding options
+   * @param {string} [options.codec] - Codec name to decode every record with
+   * @param {number} [options.limit] - Maximum number of records to return
    * @returns {Promise<Array>} Array of decoded sensor data
    */
-  async fetchAndDecodeData() {
-    try {
-      logger.info('Fetching data from external IoT API', { url: this.apiUrl });
-      
-      const response = await axios.get(this.apiUrl, { 
-        timeout: this.timeout,
-        headers: {
-          'Accept': 'application/json',
-          'User-Agent': 'IoT-DataFusionSuite-Decoder/1.0.0'
-        }
-      });
-
-      if (!response.data || !Array.isArray(response.data)) {
-        throw createApiError('Invalid API response format', 502);
-      }
+  async fetchAndDecodeData(options = {}) {
+    if (options.codec) {
+      codecRegistry.get(options.codec);
+    }
 
-      logger.info('External API response received', { 
-        statusCode: response.status,
-        recordCount: response.data.length 
+    try {
+      // Only records with hexData field
+      const hexDataRecords = await storageService.query({
+        filter: record => !!record.hexData,
+        limit: options.limit || config.data.maxDecodedRecords
       });
-
-      // Filter only records with hexData field
-      const hexDataRecords = response.data.filter(record => record.hexData);
       
       if (hexDataRecords.length === 0) {
-        logger.warn('No hex data records found in API response');
+        logger.warn('No hex data records found in stored data');
         return [];
       }
 
@@ -57,36 +63,37 @@ class DecoderService {
 
       // Decode each hex data record
       const decodedData = hexDataRecords.map(record => {
-        try {
-          const decoded = this.decodeHexString(record.hexData);
+        const result = this.decodeRecord(record, options);
+
+        if (result.success) {
           return {
             device: record.device,
             timestamp: record.timestamp,
             originalHex: record.hexData,
-            decoded: {
-              temperature: decoded.temperature,
-              humidity: decoded.humidity,
-              pressure: decoded.pressure
-            },
+            codec: result.codec,
+            decoded: result.decoded,
+            ...this.describeCalibration(record.device, record.timestamp, result.decoded),
             hexBytes: record.hexData.length / 2,
-            decodingSuccess: true
-          };
-        } catch (error) {
-          logger.error('Failed to decode hex data', { 
-            device: record.device,
-            hexData: record.hexData,
-            error: error.message 
-          });
-          
-          return {
-            device: record.device,
-            timestamp: record.timestamp,
-            originalHex: record.hexData,
-            decoded: null,
-            decodingSuccess: false,
-            error: error.message
+            decodingSuccess: true,
+            ...parseLinkQuality(record),
+            receptions: record.receptions ?? [],
+            deviceInfo: deviceService.describe(record.device)
           };
         }
+
+        return {
+          device: record.device,
+          timestamp: record.timestamp,
+          originalHex: record.hexData,
+          decoded: null,
+          calibrated: null,
+          calibration: null,
+          decodingSuccess: false,
+          error: result.error,
+          ...parseLinkQuality(record),
+          receptions: record.receptions ?? [],
+          deviceInfo: deviceService.describe(record.device)
+        };
       });
 
       const successfulDecodings = decodedData.filter(d => d.decodingSuccess);
@@ -99,33 +106,70 @@ class DecoderService {
       return decodedData;
 
     } catch (error) {
-      if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
-        logger.error('Network error accessing external API', { 
-          url: this.apiUrl,
-          error: error.message 
-        });
-        throw createApiError('Unable to connect to external IoT API', 503);
-      }
-      
-      if (error.code === 'ECONNABORTED') {
-        logger.error('API request timeout', { 
-          url: this.apiUrl,
-          timeout: this.timeout 
-        });
-        throw createApiError('External API request timeout', 504);
-      }
-
       logger.error('Error fetching and decoding data', { error: error.message });
       throw error;
     }
   }
 
+  /**
+   * Calibrate decoded values with the device profile valid at the reading time
+   * @param {string} device - Device identifier
+   * @param {string|number|Date} timestamp - Reading time
+   * @param {Object} decoded - Raw decoded values
+   * @returns {Object} Calibrated values and the profile used, both null when no profile applies
+   */
+  describeCalibration(device, timestamp, decoded) {
+    const calibration = calibrationService.calibrate(device, timestamp, decoded);
+    return {
+      calibrated: calibration ? calibration.values : null,
+      calibration: calibration ? calibration.profile : null
+    };
+  }
+
+  /**
+   * Decode the hex payload of a record without throwing
+   * @param {Object} record - Record with device and hexData
+   * @param {Object} [options] - Decoding options
+   * @param {string} [options.codec] - Codec name to decode with instead of the device codec
+   * @returns {Object} Decoding outcome: success, codec, decoded values and error message
+   */
+  decodeRecord(record, options = {}) {
+    const codecOptions = { codec: options.codec, device: record.device };
+
+    try {
+      const decoded = this.decodeHexString(record.hexData, codecOptions);
+      return {
+        success: true,
+        codec: codecRegistry.resolve(codecOptions).name,
+        decoded,
+        error: null
+      };
+    } catch (error) {
+      logger.error('Failed to decode hex data', { 
+        device: record.device,
+        hexData: record.hexData,
+        error: error.message 
+      });
+
+      return {
+        success: false,
+        codec: null,
+        decoded: null,
+        error: error.message
+      };
+    }
+  }
+
   /**
    * Decode a single hex string to sensor values
+   * The payload codec is picked by name, by the device assignment or falls back to the default
    * @param {string} hexString - Hexadecimal string to decode
+   * @param {Object} [options] - Decoding options
+   * @param {string} [options.codec] - Codec name to decode with
+   * @param {string} [options.device] - Device identifier used to look up its codec
    * @returns {Object} Decoded sensor values
    */
-  decodeHexString(hexString) {
+  decodeHexString(hexString, options = {}) {
     if (!hexString || typeof hexString !== 'string') {
       throw createApiError('Invalid hex string provided', 400);
     }
@@ -137,11 +181,12 @@ class DecoderService {
       throw createApiError('Invalid hexadecimal format', 400);
     }
 
-    // Each float32 requires 4 bytes (8 hex characters)
-    // Expected: temperature(4) + humidity(4) + pressure(4) = 12 bytes = 24 hex chars
-    if (cleanHex.length !== 24) {
+    const codec = codecRegistry.resolve(options);
+
+    if (cleanHex.length !== codec.length * 2) {
       throw createApiError(
-        `Invalid hex data length. Expected 24 characters (12 bytes), got ${cleanHex.length}`, 
+        `Invalid hex data length for codec "${codec.name}". ` +
+        `Expected ${codec.length * 2} characters (${codec.length} bytes), got ${cleanHex.length}`, 
         400
       );
     }
@@ -153,28 +198,18 @@ class DecoderService {
       logger.debug('Decoding hex data', { 
         originalHex: hexString,
         cleanHex: cleanHex,
+        codec: codec.name,
         bufferLength: buffer.length 
       });
 
-      // Read three 32-bit little-endian floats
-      // Bytes 0-3: Temperature
-      // Bytes 4-7: Humidity  
-      // Bytes 8-11: Pressure
-      const temperature = buffer.readFloatLE(0);
-      const humidity = buffer.readFloatLE(4);
-      const pressure = buffer.readFloatLE(8);
+      const result = codecRegistry.decode(codec, buffer);
 
       // Validate decoded values are reasonable for sensor data
-      this.validateSensorValues(temperature, humidity, pressure);
-
-      const result = {
-        temperature: parseFloat(temperature.toFixed(4)),
-        humidity: parseFloat(humidity.toFixed(4)),
-        pressure: parseFloat(pressure.toFixed(4))
-      };
+      this.validateSensorValues(result, deviceService.getValidationRanges(options.device));
 
       logger.debug('Hex decoding successful', { 
         hexData: cleanHex,
+        codec: codec.name,
         decoded: result 
       });
 
@@ -183,6 +218,7 @@ class DecoderService {
     } catch (error) {
       logger.error('Error in hex string decoding', { 
         hexString: cleanHex,
+        codec: codec.name,
         error: error.message 
       });
       
@@ -194,28 +230,55 @@ class DecoderService {
     }
   }
 
+  /**
+   * Encode values into a hex string, the inverse of decodeHexString
+   * @param {Object} values - Field values keyed by field name
+   * @param {Object} [options] - Encoding options
+   * @param {string} [options.codec] - Codec name to encode with
+   * @param {string} [options.device] - Device identifier used to look up its codec
+   * @returns {string} Lowercase hexadecimal string
+   * @throws {ApiError} When a value is missing or out of range for its field
+   */
+  encodeHexString(values, options = {}) {
+    if (!values || typeof values !== 'object') {
+      throw createApiError('Values to encode must be an object', 400);
+    }
+
+    const codec = codecRegistry.resolve(options);
+    const hexString = codecRegistry.encode(codec, values).toString('hex');
+
+    logger.debug('Hex encoding successful', {
+      codec: codec.name,
+      values,
+      hexData: hexString
+    });
+
+    return hexString;
+  }
+
   /**
    * Validate that decoded sensor values are within reasonable ranges
-   * @param {number} temperature - Temperature value in Celsius
-   * @param {number} humidity - Humidity percentage  
-   * @param {number} pressure - Pressure in hPa
+   * Only fields present in the decoded values are checked
+   * @param {Object} values - Decoded values keyed by field name
+   * @param {Object} [rangeOverrides] - Per-field { min, max } overrides, e.g. from the device registry
    */
-  validateSensorValues(temperature, humidity, pressure) {
+  validateSensorValues(values, rangeOverrides = {}) {
     const validationErrors = [];
+    const ranges = { ...SENSOR_RANGES };
 
-    // Temperature validation (-50°C to +85°C typical sensor range)
-    if (isNaN(temperature) || temperature < -50 || temperature > 85) {
-      validationErrors.push(`Invalid temperature: ${temperature}°C`);
+    for (const [field, override] of Object.entries(rangeOverrides)) {
+      ranges[field] = { unit: '', ...ranges[field], ...override };
     }
 
-    // Humidity validation (0% to 100%)
-    if (isNaN(humidity) || humidity < 0 || humidity > 100) {
-      validationErrors.push(`Invalid humidity: ${humidity}%`);
-    }
+    for (const [field, range] of Object.entries(ranges)) {
+      if (!(field in values)) {
+        continue;
+      }
 
-    // Pressure validation (300 to 1200 hPa typical range)
-    if (isNaN(pressure) || pressure < 300 || pressure > 1200) {
-      validationErrors.push(`Invalid pressure: ${pressure} hPa`);
+      const value = values[field];
+      if (isNaN(value) || value < range.min || value > range.max) {
+        validationErrors.push(`Invalid ${field}: ${value}${range.unit}`);
+      }
     }
 
     if (validationErrors.length > 0) {
@@ -228,14 +291,22 @@ class DecoderService {
 
   /**
    * Validate decoding accuracy by comparing with actual sensor values
+   * Pairs stored relay hex records with relay records of the same device that carry
+   * plaintext values and were reported within 5 seconds
    * @returns {Promise<Array>} Validation results
    */
   async validateDecodingAccuracy() {
     try {
       logger.info('Starting decoding accuracy validation');
+
+      if (!config.externalApi.enabled) {
+        throw createApiError('Decoding validation requires the Sigfox relay, which is disabled', 503);
+      }
       
-      const response = await axios.get(this.apiUrl, { timeout: this.timeout });
-      const allData = response.data;
+      const allData = await storageService.query({
+        filter: record => record.origin === 'relay',
+        order: 'asc'
+      });
 
       // Find records that have both hexData and actual sensor values
       const validationPairs = [];
@@ -244,10 +315,11 @@ class DecoderService {
         if (record.hexData) {
           // Look for a corresponding record with actual values
           const actualRecord = allData.find(r => 
+            r !== record &&
             r.device === record.device &&
-            r.temperature !== undefined &&
-            r.humidity !== undefined &&
-            r.pressure !== undefined &&
+            r.temperature != null &&
+            r.humidity != null &&
+            r.pressure != null &&
             Math.abs(new Date(r.timestamp).getTime() - new Date(record.timestamp).getTime()) < 5000 // Within 5 seconds
           );
 
@@ -264,7 +336,7 @@ class DecoderService {
 
       const validationResults = validationPairs.map(pair => {
         try {
-          const decoded = this.decodeHexString(pair.hexRecord.hexData);
+          const decoded = this.decodeHexString(pair.hexRecord.hexData, { device: pair.hexRecord.device });
           const actual = {
             temperature: parseFloat(pair.actualRecord.temperature),
             humidity: parseFloat(pair.actualRecord.humidity),
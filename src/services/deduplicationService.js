@@ -0,0 +1,256 @@
+/**
+ * @fileoverview Multi-station duplicate frame merging for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import config from '../config/config.js';
+import anomalyService from './anomalyService.js';
+import fusionService from './fusionService.js';
+import storageService from './storageService.js';
+import { recordKey } from '../storage/query.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Fields completed from another upstream source, a group is taken as a whole
+ * when its first field is missing
+ */
+const SOURCE_FIELD_GROUPS = [
+  ['temperature'],
+  ['humidity'],
+  ['pressure'],
+  ['hexData', 'codec', 'decoded', 'decodeError'],
+  ['seqNumber'],
+  ['countryCode']
+];
+
+/**
+ * Deduplication Service Class
+ * A Sigfox frame reaches the API once per base station that received it. Before records
+ * are persisted, each one is matched against the stored and incoming records of the same
+ * device within the duplicate window: on the sequence number when both records have one,
+ * otherwise on the hex payload. A match from a new station is merged into the existing
+ * record's `receptions`; a match from a known station is a redelivery and is dropped.
+ * A match fetched from another upstream source completes the existing record instead.
+ */
+class DeduplicationService {
+  /**
+   * Initialize the merge queue and statistics
+   */
+  constructor() {
+    // Batches are processed one at a time so concurrent receptions of a frame cannot both be inserted
+    this.queue = Promise.resolve();
+    this.stats = {
+      merged: 0,
+      redelivered: 0
+    };
+  }
+
+  /**
+   * Persist prepared records, merging receptions of frames that are already known
+   * Records of new frames are inspected for anomalies before they are stored
+   * @param {Array} records - Prepared records (null entries are ignored)
+   * @returns {Promise<Object>} Inserted records, stored records that gained receptions, and the dropped redeliveries
+   */
+  async store(records) {
+    const run = () => this.process(records.filter(Boolean));
+    this.queue = this.queue.then(run, run);
+    return this.queue;
+  }
+
+  /**
+   * Match, merge and persist a batch of prepared records
+   * @param {Array} records - Prepared records
+   * @returns {Promise<Object>} Inserted, merged and redelivered records
+   */
+  async process(records) {
+    if (records.length === 0) {
+      return { inserted: [], merged: [], redelivered: [] };
+    }
+
+    const times = records.map(record => new Date(record.timestamp).getTime());
+    const devices = new Set(records.map(record => record.device));
+    const stored = await storageService.query({
+      from: Math.min(...times) - config.ingest.duplicateWindow,
+      to: Math.max(...times) + config.ingest.duplicateWindow,
+      filter: record => devices.has(record.device)
+    });
+
+    // Stored records are copied before their first merge and the copy takes their place
+    const known = [...stored];
+    const fresh = [];
+    const merged = new Map();
+    const redelivered = [];
+
+    for (const record of records) {
+      const match = this.findMatch(record, [...fresh, ...known]);
+      if (!match) {
+        fresh.push(record);
+        continue;
+      }
+
+      const isFresh = fresh.includes(match);
+      const target = isFresh || merged.has(recordKey(match)) ? match : structuredClone(match);
+
+      const addedReceptions = this.mergeReceptions(target, record);
+      const addedSource = this.mergeSources(target, record);
+      if (!addedReceptions && !addedSource) {
+        redelivered.push(record);
+        continue;
+      }
+
+      if (!isFresh) {
+        known[known.indexOf(match)] = target;
+        merged.set(recordKey(target), target);
+      }
+    }
+
+    await anomalyService.inspect(fresh);
+    const inserted = await storageService.persist(fresh);
+    redelivered.push(...fresh.filter(record => !inserted.includes(record)));
+
+    for (const record of merged.values()) {
+      await storageService.replace(record);
+    }
+
+    this.stats.merged += merged.size;
+    this.stats.redelivered += redelivered.length;
+
+    if (merged.size > 0) {
+      logger.debug('Duplicate receptions merged', {
+        merged: merged.size,
+        stations: [...merged.values()].map(record => record.receptions.length)
+      });
+    }
+
+    return { inserted, merged: [...merged.values()], redelivered };
+  }
+
+  /**
+   * Find the record of the same frame closest in time
+   * @param {Object} record - Incoming prepared record
+   * @param {Array} candidates - Stored or incoming records
+   * @returns {Object|undefined} Matching record
+   */
+  findMatch(record, candidates) {
+    const time = new Date(record.timestamp).getTime();
+    const key = recordKey(record);
+    let best;
+    let bestDistance = Infinity;
+
+    for (const candidate of candidates) {
+      if (candidate === record || candidate.device !== record.device) {
+        continue;
+      }
+
+      const distance = Math.abs(new Date(candidate.timestamp).getTime() - time);
+      const sameFrame = recordKey(candidate) === key || (
+        distance <= config.ingest.duplicateWindow && this.isSameFrame(candidate, record)
+      );
+
+      if (sameFrame && distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Check whether two records of a device carry the same frame
+   * @param {Object} a - First record
+   * @param {Object} b - Second record
+   * @returns {boolean} Whether the sequence numbers, or else the hex payloads, are equal
+   */
+  isSameFrame(a, b) {
+    if (a.seqNumber !== null && a.seqNumber !== undefined && b.seqNumber !== null && b.seqNumber !== undefined) {
+      return a.seqNumber === b.seqNumber;
+    }
+    return !!a.hexData && a.hexData === b.hexData;
+  }
+
+  /**
+   * Add the receptions of a duplicate record to a record of the same frame
+   * The strongest reception becomes the record's rssi, snr and station
+   * @param {Object} target - Record to merge into (modified in place)
+   * @param {Object} duplicate - Duplicate record
+   * @returns {boolean} Whether a reception from a new station was added
+   */
+  mergeReceptions(target, duplicate) {
+    // Records stored before receptions were kept only have their top-level link metadata
+    const receptions = target.receptions ||
+      (target.station ? [{ station: target.station, rssi: target.rssi ?? null, snr: target.snr ?? null }] : []);
+    const added = (duplicate.receptions || []).filter(reception =>
+      reception.station !== null && !receptions.some(existing => existing.station === reception.station)
+    );
+
+    if (added.length === 0) {
+      return false;
+    }
+
+    target.receptions = [...receptions, ...added];
+    target.stationCount = Math.max(target.stationCount ?? 0, duplicate.stationCount ?? 0, target.receptions.length);
+    target.countryCode = target.countryCode ?? duplicate.countryCode ?? null;
+
+    const strongest = target.receptions
+      .filter(reception => reception.rssi !== null)
+      .sort((a, b) => b.rssi - a.rssi)[0];
+    if (strongest) {
+      target.rssi = strongest.rssi;
+      target.snr = strongest.snr;
+      target.station = strongest.station;
+    }
+
+    return true;
+  }
+
+  /**
+   * Merge the values of a duplicate record fetched from another upstream source
+   * Values of a higher priority source replace the record's; those of a lower priority
+   * source only fill what the record is missing. The source is added to `provenance.mergedFrom`.
+   * @param {Object} target - Record to merge into (modified in place)
+   * @param {Object} duplicate - Duplicate record
+   * @returns {boolean} Whether the duplicate came from a source not merged yet
+   */
+  mergeSources(target, duplicate) {
+    const source = duplicate.provenance?.source;
+    // Records stored before provenance was kept cannot tell which source they came from
+    if (!target.provenance || !source || source === target.provenance.source ||
+        (target.provenance.mergedFrom || []).includes(source)) {
+      return false;
+    }
+
+    const rank = (provenance) => provenance.priority ?? Infinity;
+    const preferred = rank(duplicate.provenance) < rank(target.provenance);
+
+    for (const [field, ...related] of SOURCE_FIELD_GROUPS) {
+      if (!fusionService.hasPlaintext(duplicate[field])) {
+        continue;
+      }
+      if (preferred || !fusionService.hasPlaintext(target[field])) {
+        for (const name of [field, ...related]) {
+          target[name] = duplicate[name] ?? null;
+        }
+      }
+    }
+
+    target.provenance = {
+      ...target.provenance,
+      mergedFrom: [...(target.provenance.mergedFrom || []), source]
+    };
+    return true;
+  }
+
+  /**
+   * Get deduplication statistics
+   * @returns {Object} Merged records and dropped redeliveries since startup
+   */
+  getStats() {
+    return { ...this.stats, duplicateWindow: config.ingest.duplicateWindow };
+  }
+}
+
+const deduplicationService = new DeduplicationService();
+
+export default deduplicationService;
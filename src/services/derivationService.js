@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Derived meteorological metrics for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import deviceService from './deviceService.js';
+import { createApiError } from '../middleware/errorMiddleware.js';
+import {
+  absoluteHumidity,
+  dewPoint,
+  heatIndex,
+  pressureAltitude,
+  seaLevelPressure
+} from '../utils/meteorology.js';
+
+/**
+ * Derived metrics with their unit, the readings they need and their formula
+ * seaLevelPressure also needs the altitude of the device (location.altitude in the registry)
+ */
+const DERIVED_METRICS = {
+  dewPoint: {
+    unit: '°C',
+    inputs: ['temperature', 'humidity'],
+    compute: ({ temperature, humidity }) => dewPoint(temperature, humidity)
+  },
+  absoluteHumidity: {
+    unit: 'g/m³',
+    inputs: ['temperature', 'humidity'],
+    compute: ({ temperature, humidity }) => absoluteHumidity(temperature, humidity)
+  },
+  heatIndex: {
+    unit: '°C',
+    inputs: ['temperature', 'humidity'],
+    compute: ({ temperature, humidity }) => heatIndex(temperature, humidity)
+  },
+  pressureAltitude: {
+    unit: 'm',
+    inputs: ['pressure'],
+    compute: ({ pressure }) => pressureAltitude(pressure)
+  },
+  seaLevelPressure: {
+    unit: 'hPa',
+    inputs: ['pressure', 'temperature', 'altitude'],
+    compute: ({ pressure, temperature, altitude }) => seaLevelPressure(pressure, temperature, altitude)
+  }
+};
+
+/**
+ * Derivation Service Class
+ * Computes derived values from decoded temperature, humidity and pressure readings
+ * so clients do not have to implement the formulas
+ */
+class DerivationService {
+  /**
+   * Parse the comma-separated `derive` option
+   * @param {string} [derive] - Metric names, or "all"
+   * @returns {Array<string>} Metrics to derive, empty when the option is not set
+   * @throws {ApiError} When a metric is not supported
+   */
+  parseDerive(derive) {
+    if (derive === undefined || derive === '') {
+      return [];
+    }
+
+    const metrics = String(derive).split(',').map(metric => metric.trim()).filter(Boolean);
+    if (metrics.includes('all')) {
+      return Object.keys(DERIVED_METRICS);
+    }
+
+    const unsupported = metrics.filter(metric => !DERIVED_METRICS[metric]);
+    if (unsupported.length > 0 || metrics.length === 0) {
+      throw createApiError(
+        `Unsupported derived metrics: ${unsupported.join(', ')}. Supported: ${Object.keys(DERIVED_METRICS).join(', ')}, all`,
+        400
+      );
+    }
+    return [...new Set(metrics)];
+  }
+
+  /**
+   * Compute derived metrics from sensor readings
+   * A metric is null when one of its readings is missing
+   * @param {Object} readings - Temperature (°C), humidity (%) and pressure (hPa), as numbers or numeric strings
+   * @param {string} [device] - Device identifier, used to look up its altitude
+   * @param {Array<string>} metrics - Metrics to derive
+   * @returns {Object} Metric name to value, rounded to 2 decimals
+   */
+  derive(readings, device, metrics) {
+    const altitude = deviceService.find(device)?.location?.altitude;
+    const inputs = {
+      temperature: parseFloat(readings?.temperature),
+      humidity: parseFloat(readings?.humidity),
+      pressure: parseFloat(readings?.pressure),
+      altitude: typeof altitude === 'number' ? altitude : NaN
+    };
+
+    const derived = {};
+    for (const metric of metrics) {
+      const definition = DERIVED_METRICS[metric];
+      const available = definition.inputs.every(input => !isNaN(inputs[input]));
+      const value = available ? definition.compute(inputs) : null;
+      derived[metric] = value !== null && isFinite(value) ? Math.round(value * 100) / 100 : null;
+    }
+    return derived;
+  }
+
+  /**
+   * Attach the derived metrics to a list of records as `derived`
+   * @param {Array} records - Records
+   * @param {Array<string>} metrics - Metrics to derive, records are returned unchanged when empty
+   * @param {Function} [readingsOf] - Returns the readings of a record, the record itself by default
+   * @returns {Array} Records with their derived metrics
+   */
+  deriveRecords(records, metrics, readingsOf = record => record) {
+    if (metrics.length === 0) {
+      return records;
+    }
+    return records.map(record => ({
+      ...record,
+      derived: this.derive(readingsOf(record), record.device, metrics)
+    }));
+  }
+
+  /**
+   * Get the units of derived metrics
+   * @param {Array<string>} metrics - Metric names
+   * @returns {Object} Metric name to unit
+   */
+  getUnits(metrics) {
+    return Object.fromEntries(metrics.map(metric => [metric, DERIVED_METRICS[metric].unit]));
+  }
+}
+
+const derivationService = new DerivationService();
+
+export { DERIVED_METRICS };
+export default derivationService;
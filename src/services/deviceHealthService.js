@@ -0,0 +1,279 @@
+/**
+ * @fileoverview Device offline and message-gap detection for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import config from '../config/config.js';
+import deviceService from './deviceService.js';
+import storageService from './storageService.js';
+import { normalizeDeviceId } from '../utils/deviceId.js';
+import { parseDuration } from '../utils/duration.js';
+import eventBus, { EVENTS } from '../utils/eventBus.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Device health states
+ * online: the last message is less than one expected interval old
+ * late: at least one interval was missed, but fewer than the offline threshold
+ * offline: the offline threshold of missed intervals was reached
+ * unknown: the device has no configured interval and too little history to infer one
+ */
+const DEVICE_HEALTH = {
+  online: 'online',
+  late: 'late',
+  offline: 'offline',
+  unknown: 'unknown'
+};
+
+/**
+ * Device Health Service Class
+ * Tracks when every device was last seen and the spacing of its recent messages.
+ * The expected interval comes from the device registry or, when not configured,
+ * from the median spacing of the latest messages.
+ */
+class DeviceHealthService {
+  /**
+   * Initialize tracking and subscribe to stored records
+   */
+  constructor() {
+    // Device id -> { lastSeen, recent } with recent message times in ascending order
+    this.devices = new Map();
+    this.ready = null;
+
+    eventBus.on(EVENTS.recordStored, record => this.track(record));
+  }
+
+  /**
+   * Seed the tracking state from the record store
+   * Runs once, every public method waits for it
+   * @returns {Promise<void>}
+   */
+  init() {
+    if (!this.ready) {
+      this.ready = (async () => {
+        const records = await storageService.query({ order: 'asc' });
+
+        // Records stored while loading were already tracked from their events
+        const live = this.devices;
+        this.devices = new Map();
+        records.forEach(record => this.track(record));
+
+        for (const [id, entry] of live) {
+          const loaded = this.devices.get(id) || { lastSeen: null, recent: [] };
+          const recent = [...new Set([...loaded.recent, ...entry.recent])].sort((a, b) => a - b);
+          this.devices.set(id, {
+            lastSeen: Math.max(loaded.lastSeen ?? -Infinity, entry.lastSeen),
+            recent: recent.slice(-(config.devices.intervalSampleSize + 1))
+          });
+        }
+
+        logger.info('Device health tracking loaded', { deviceCount: this.devices.size });
+      })();
+    }
+    return this.ready;
+  }
+
+  /**
+   * Record that a device sent a message
+   * Messages older than the last one seen do not change the interval sample
+   * @param {Object} record - Stored record
+   */
+  track(record) {
+    const time = new Date(record.timestamp).getTime();
+    const device = normalizeDeviceId(record.device);
+    if (!device || isNaN(time)) {
+      return;
+    }
+
+    const entry = this.devices.get(device) || { lastSeen: null, recent: [] };
+    if (entry.lastSeen === null || time > entry.lastSeen) {
+      entry.lastSeen = time;
+      entry.recent.push(time);
+      if (entry.recent.length > config.devices.intervalSampleSize + 1) {
+        entry.recent.shift();
+      }
+    }
+    this.devices.set(device, entry);
+  }
+
+  /**
+   * Get the expected reporting interval of a device
+   * @param {string} id - Device identifier
+   * @returns {Object} Interval in milliseconds (null when unknown) and its source
+   */
+  getExpectedInterval(id) {
+    const configured = deviceService.find(id)?.expectedInterval;
+    if (configured) {
+      return { interval: parseDuration(configured), source: 'configured' };
+    }
+
+    const recent = this.devices.get(id)?.recent || [];
+    const deltas = [];
+    for (let index = 1; index < recent.length; index++) {
+      deltas.push(recent[index] - recent[index - 1]);
+    }
+
+    if (deltas.length < 2) {
+      return { interval: null, source: null };
+    }
+
+    deltas.sort((a, b) => a - b);
+    return { interval: deltas[Math.floor(deltas.length / 2)], source: 'inferred' };
+  }
+
+  /**
+   * Get the health of a device
+   * @param {string} id - Device identifier
+   * @param {number} [now] - Reference time (epoch ms)
+   * @returns {Promise<Object>} Last seen time, expected interval, missed intervals and state
+   */
+  async getHealth(id, now = Date.now()) {
+    await this.init();
+    return this.describeHealth(normalizeDeviceId(id), now);
+  }
+
+  /**
+   * Build the health entry of a device from the tracking state
+   * @param {string} id - Device identifier
+   * @param {number} now - Reference time (epoch ms)
+   * @returns {Object} Device health
+   */
+  describeHealth(id, now) {
+    const lastSeen = this.devices.get(id)?.lastSeen ?? null;
+    const { interval, source } = this.getExpectedInterval(id);
+
+    let status = DEVICE_HEALTH.unknown;
+    let missedIntervals = null;
+
+    if (lastSeen !== null && interval) {
+      missedIntervals = Math.max(0, Math.floor((now - lastSeen) / interval));
+      if (missedIntervals >= config.devices.offlineAfterMissed) {
+        status = DEVICE_HEALTH.offline;
+      } else if (missedIntervals > 0) {
+        status = DEVICE_HEALTH.late;
+      } else {
+        status = DEVICE_HEALTH.online;
+      }
+    }
+
+    return {
+      device: id,
+      status,
+      lastSeen: lastSeen !== null ? new Date(lastSeen).toISOString() : null,
+      expectedInterval: interval,
+      intervalSource: source,
+      missedIntervals,
+      offlineAfterMissed: config.devices.offlineAfterMissed
+    };
+  }
+
+  /**
+   * Get the health of every registered or seen device
+   * @returns {Promise<Array>} Device health entries sorted by device
+   */
+  async listHealth() {
+    await this.init();
+
+    const now = Date.now();
+    const ids = new Set([
+      ...this.devices.keys(),
+      ...deviceService.list().map(device => device.id)
+    ]);
+
+    return [...ids]
+      .sort((a, b) => a.localeCompare(b))
+      .map(id => this.describeHealth(id, now));
+  }
+
+  /**
+   * Count devices per health state
+   * @returns {Promise<Object>} Device counts
+   */
+  async getSummary() {
+    const devices = await this.listHealth();
+    const summary = { total: devices.length };
+
+    for (const status of Object.values(DEVICE_HEALTH)) {
+      summary[status] = devices.filter(device => device.status === status).length;
+    }
+    summary.healthy = summary[DEVICE_HEALTH.online];
+
+    return summary;
+  }
+
+  /**
+   * List the message gaps of a device
+   * A gap is a stretch between two consecutive messages longer than the gap tolerance
+   * times the expected interval. A device that is silent now gets a final open gap, starting at
+   * its last message or, when it has been silent since before the range, at the range start.
+   * @param {string} deviceId - Device identifier
+   * @param {Object} [range] - Time range
+   * @param {number} [range.from] - Start (epoch ms), defaults to config.devices.gapLookback before the end
+   * @param {number} [range.to] - End (epoch ms), defaults to now
+   * @returns {Promise<Object>} Expected interval and gaps, newest first
+   */
+  async getGaps(deviceId, { from, to } = {}) {
+    await this.init();
+
+    const id = normalizeDeviceId(deviceId);
+    const { interval, source } = this.getExpectedInterval(id);
+    if (!interval) {
+      return { interval: null, intervalSource: null, gaps: [] };
+    }
+
+    const end = to ?? Date.now();
+    const start = from ?? end - config.devices.gapLookback;
+    const records = await storageService.query({
+      device: id,
+      from: start,
+      to: end,
+      order: 'asc'
+    });
+    const times = records.map(record => new Date(record.timestamp).getTime());
+    const threshold = interval * config.devices.gapTolerance;
+    const gaps = [];
+
+    for (let index = 1; index < times.length; index++) {
+      if (times[index] - times[index - 1] > threshold) {
+        gaps.push(this.describeGap(times[index - 1], times[index], interval, false));
+      }
+    }
+
+    // A device silent since before the range has no records in it, so its gap starts with the range
+    const lastSeen = this.devices.get(id)?.lastSeen ?? null;
+    const lastMessage = times.length > 0 ? times[times.length - 1] : (lastSeen !== null && lastSeen < start ? lastSeen : null);
+    if (lastMessage !== null && end - lastMessage > threshold) {
+      gaps.push(this.describeGap(Math.max(lastMessage, start), end, interval, true));
+    }
+
+    return {
+      interval,
+      intervalSource: source,
+      gaps: gaps.reverse().slice(0, config.devices.maxGaps)
+    };
+  }
+
+  /**
+   * Describe a gap between two messages
+   * @param {number} start - Time of the message before the gap, or the range start (epoch ms)
+   * @param {number} end - Time of the message after the gap, or the range end (epoch ms)
+   * @param {number} interval - Expected interval (ms)
+   * @param {boolean} ongoing - Whether the device is still silent
+   * @returns {Object} Gap
+   */
+  describeGap(start, end, interval, ongoing) {
+    return {
+      start: new Date(start).toISOString(),
+      end: new Date(end).toISOString(),
+      duration: end - start,
+      missedIntervals: Math.round((end - start) / interval) - 1,
+      ongoing
+    };
+  }
+}
+
+const deviceHealthService = new DeviceHealthService();
+
+export { DEVICE_HEALTH };
+export default deviceHealthService;
@@ -0,0 +1,303 @@
+/**
+ * @fileoverview Device registry service for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import config from '../config/config.js';
+import codecRegistry from './codecRegistry.js';
+import { createApiError } from '../middleware/errorMiddleware.js';
+import { normalizeDeviceId } from '../utils/deviceId.js';
+import { parseDuration } from '../utils/duration.js';
+import JsonFile from '../utils/jsonFile.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Device Service Class
+ * Keeps device metadata (name, location, tags, codec, validation ranges, expected interval)
+ * in memory and persists it to a local JSON file
+ */
+class DeviceService {
+  /**
+   * Initialize the registry from its JSON file
+   */
+  constructor() {
+    this.file = new JsonFile(config.devices.registryFile);
+    this.devices = new Map();
+
+    const stored = this.file.load({ devices: [] });
+    for (const entry of stored.devices || []) {
+      const device = { ...entry, id: normalizeDeviceId(entry.id) };
+      this.devices.set(device.id, device);
+      this.syncCodecAssignment(device);
+    }
+
+    logger.info('Device registry loaded', {
+      file: this.file.filePath,
+      deviceCount: this.devices.size
+    });
+  }
+
+  /**
+   * List all registered devices
+   * @returns {Array} Device entries sorted by ID
+   */
+  list() {
+    return [...this.devices.values()].sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Find a device without failing when it is not registered
+   * @param {string} id - Device identifier
+   * @returns {Object|null} Device entry or null
+   */
+  find(id) {
+    return (id && this.devices.get(normalizeDeviceId(id))) || null;
+  }
+
+  /**
+   * Get a registered device
+   * @param {string} id - Device identifier
+   * @returns {Object} Device entry
+   * @throws {ApiError} When the device is not registered
+   */
+  get(id) {
+    const device = this.find(id);
+    if (!device) {
+      throw createApiError(`Device not found: ${id}`, 404);
+    }
+    return device;
+  }
+
+  /**
+   * Register a new device
+   * @param {Object} data - Device attributes, `id` is required
+   * @returns {Promise<Object>} Created device entry
+   * @throws {ApiError} When the payload is invalid or the device already exists
+   */
+  async create(data) {
+    if (!data || typeof data.id !== 'string' || !data.id.trim()) {
+      throw createApiError('Device id is required and must be a string', 400);
+    }
+
+    const id = normalizeDeviceId(data.id);
+    if (this.devices.has(id)) {
+      throw createApiError(`Device already registered: ${id}`, 409);
+    }
+
+    const now = new Date().toISOString();
+    const device = {
+      id,
+      ...this.normalizeAttributes(data),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.devices.set(id, device);
+    this.syncCodecAssignment(device);
+    await this.persist();
+
+    logger.info('Device registered', { device: id, codec: device.codec });
+    return device;
+  }
+
+  /**
+   * Update an existing device
+   * Only the attributes present in the payload are changed
+   * @param {string} id - Device identifier
+   * @param {Object} data - Attributes to change
+   * @returns {Promise<Object>} Updated device entry
+   */
+  async update(id, data) {
+    const current = this.get(id);
+    const changes = this.normalizeAttributes(data || {}, current);
+
+    const device = {
+      ...current,
+      ...changes,
+      id: current.id,
+      createdAt: current.createdAt,
+      updatedAt: new Date().toISOString()
+    };
+
+    this.devices.set(device.id, device);
+    this.syncCodecAssignment(device);
+    await this.persist();
+
+    logger.info('Device updated', { device: device.id, fields: Object.keys(data || {}) });
+    return device;
+  }
+
+  /**
+   * Remove a device from the registry
+   * @param {string} id - Device identifier
+   * @returns {Promise<Object>} Removed device entry
+   */
+  async remove(id) {
+    const device = this.get(id);
+
+    this.devices.delete(device.id);
+    codecRegistry.assignDevice(device.id, null);
+    await this.persist();
+
+    logger.info('Device removed', { device: device.id });
+    return device;
+  }
+
+  /**
+   * Validate and normalize device attributes
+   * @param {Object} data - Raw attributes
+   * @param {Object} [current] - Current entry, used as base for partial updates
+   * @returns {Object} Normalized attributes
+   * @throws {ApiError} When an attribute is invalid
+   */
+  normalizeAttributes(data, current = {}) {
+    const attributes = {
+      name: current.name ?? null,
+      location: current.location ?? null,
+      tags: current.tags ?? [],
+      codec: current.codec ?? null,
+      validationRanges: current.validationRanges ?? {},
+      expectedInterval: current.expectedInterval ?? null
+    };
+
+    if (data.name !== undefined) {
+      if (data.name !== null && typeof data.name !== 'string') {
+        throw createApiError('Device name must be a string', 400);
+      }
+      attributes.name = data.name;
+    }
+
+    if (data.location !== undefined) {
+      if (data.location !== null && (typeof data.location !== 'object' || Array.isArray(data.location))) {
+        throw createApiError('Device location must be an object', 400);
+      }
+      const { latitude, longitude, altitude } = data.location || {};
+      if ((latitude !== undefined && typeof latitude !== 'number') ||
+          (longitude !== undefined && typeof longitude !== 'number')) {
+        throw createApiError('Device location latitude and longitude must be numbers', 400);
+      }
+      if (altitude !== undefined && altitude !== null && typeof altitude !== 'number') {
+        throw createApiError('Device location altitude must be a number of meters', 400);
+      }
+      attributes.location = data.location;
+    }
+
+    if (data.tags !== undefined) {
+      if (!Array.isArray(data.tags) || data.tags.some(tag => typeof tag !== 'string')) {
+        throw createApiError('Device tags must be an array of strings', 400);
+      }
+      attributes.tags = [...new Set(data.tags)];
+    }
+
+    if (data.codec !== undefined) {
+      if (data.codec !== null) {
+        codecRegistry.get(data.codec);
+      }
+      attributes.codec = data.codec;
+    }
+
+    if (data.validationRanges !== undefined) {
+      attributes.validationRanges = this.normalizeValidationRanges(data.validationRanges);
+    }
+
+    if (data.expectedInterval !== undefined) {
+      if (data.expectedInterval !== null && !parseDuration(data.expectedInterval)) {
+        throw createApiError('Device expectedInterval must be a duration such as 10m or 1h', 400);
+      }
+      attributes.expectedInterval = data.expectedInterval;
+    }
+
+    return attributes;
+  }
+
+  /**
+   * Validate per-sensor validation ranges
+   * @param {Object} ranges - Ranges keyed by field, e.g. { temperature: { min: -20, max: 60 } }
+   * @returns {Object} Validated ranges
+   * @throws {ApiError} When a range is malformed
+   */
+  normalizeValidationRanges(ranges) {
+    if (ranges === null) {
+      return {};
+    }
+
+    if (typeof ranges !== 'object' || Array.isArray(ranges)) {
+      throw createApiError('validationRanges must be an object keyed by sensor field', 400);
+    }
+
+    const normalized = {};
+    for (const [field, range] of Object.entries(ranges)) {
+      if (!range || typeof range !== 'object' || Array.isArray(range)) {
+        throw createApiError(`Validation range for ${field} must be an object with min and/or max`, 400);
+      }
+      const { min, max } = range;
+      if (min === undefined && max === undefined) {
+        throw createApiError(`Validation range for ${field} must have a min or a max`, 400);
+      }
+      if ((min !== undefined && !Number.isFinite(min)) || (max !== undefined && !Number.isFinite(max))) {
+        throw createApiError(`Validation range for ${field} must have numeric min/max`, 400);
+      }
+      if (min !== undefined && max !== undefined && min > max) {
+        throw createApiError(`Validation range for ${field} has min greater than max`, 400);
+      }
+      normalized[field] = {
+        ...(min !== undefined && { min }),
+        ...(max !== undefined && { max })
+      };
+    }
+    return normalized;
+  }
+
+  /**
+   * Get the validation range overrides of a device
+   * @param {string} id - Device identifier
+   * @returns {Object} Ranges keyed by field (empty when the device is unregistered)
+   */
+  getValidationRanges(id) {
+    return this.find(id)?.validationRanges || {};
+  }
+
+  /**
+   * Build the metadata attached to records of a device
+   * @param {string} id - Device identifier
+   * @returns {Object|null} Device metadata or null when the device is unregistered
+   */
+  describe(id) {
+    const device = this.find(id);
+    if (!device) {
+      return null;
+    }
+
+    return {
+      name: device.name,
+      location: device.location,
+      tags: device.tags,
+      codec: device.codec
+    };
+  }
+
+  /**
+   * Push the codec assignment of a device to the codec registry
+   * @param {Object} device - Device entry
+   */
+  syncCodecAssignment(device) {
+    try {
+      codecRegistry.assignDevice(device.id, device.codec);
+    } catch (error) {
+      logger.warn('Device references an unknown codec', { device: device.id, codec: device.codec });
+    }
+  }
+
+  /**
+   * Write the registry to its JSON file
+   * @returns {Promise<void>}
+   */
+  async persist() {
+    await this.file.save({ devices: this.list() });
+  }
+}
+
+const deviceService = new DeviceService();
+
+export default deviceService;
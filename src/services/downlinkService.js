@@ -0,0 +1,240 @@
+/**
+ * @fileoverview Sigfox downlink queue service for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import crypto from 'crypto';
+import config from '../config/config.js';
+import codecRegistry from './codecRegistry.js';
+import decoderService from './decoderService.js';
+import { createApiError } from '../middleware/errorMiddleware.js';
+import { normalizeDeviceId } from '../utils/deviceId.js';
+import JsonFile from '../utils/jsonFile.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Downlink delivery states
+ */
+const DOWNLINK_STATUS = {
+  queued: 'queued',
+  sent: 'sent',
+  cancelled: 'cancelled'
+};
+
+/**
+ * Downlink Service Class
+ * Queues 8-byte downlink frames per device and hands them out when a
+ * Sigfox callback requests an acknowledgement
+ */
+class DownlinkService {
+  /**
+   * Initialize the queue from its JSON file
+   */
+  constructor() {
+    this.file = new JsonFile(config.downlinks.queueFile);
+    this.downlinks = this.file.load({ downlinks: [] }).downlinks || [];
+  }
+
+  /**
+   * Queue a downlink for a device
+   * Either a raw 8-byte hex payload or values to encode with a downlink codec must be given
+   * @param {string} device - Device identifier
+   * @param {Object} command - Downlink command
+   * @param {string} [command.payload] - Raw 16-character hex payload
+   * @param {Object} [command.values] - Values to encode
+   * @param {string} [command.codec] - Codec used to encode the values
+   * @returns {Promise<Object>} Queued downlink entry
+   * @throws {ApiError} When the command is invalid
+   */
+  async enqueue(device, { payload, values, codec } = {}) {
+    const deviceId = this.normalizeDevice(device);
+    let downlinkData;
+    let codecName = null;
+
+    if (payload !== undefined) {
+      downlinkData = this.validatePayload(payload);
+    } else if (values !== undefined) {
+      codecName = codec || config.downlinks.defaultCodec;
+      const resolved = codecRegistry.get(codecName);
+      if (resolved.length !== config.downlinks.frameBytes) {
+        throw createApiError(
+          `Codec "${codecName}" encodes ${resolved.length} bytes, downlinks must be ${config.downlinks.frameBytes} bytes`,
+          400
+        );
+      }
+      downlinkData = decoderService.encodeHexString(values, { codec: codecName });
+    } else {
+      throw createApiError('Either payload or values is required', 400);
+    }
+
+    const entry = {
+      id: crypto.randomUUID(),
+      device: deviceId,
+      downlinkData,
+      codec: codecName,
+      values: values ?? null,
+      status: DOWNLINK_STATUS.queued,
+      createdAt: new Date().toISOString(),
+      sentAt: null,
+      seqNumber: null
+    };
+
+    this.downlinks.push(entry);
+    await this.persist();
+
+    logger.info('Downlink queued', { device: deviceId, id: entry.id, downlinkData });
+    return entry;
+  }
+
+  /**
+   * Take the oldest queued downlink of a device and mark it as sent
+   * @param {string} device - Device identifier
+   * @param {Object} [callback] - Details of the callback that carried the downlink
+   * @param {number} [callback.seqNumber] - Sequence number of the requesting uplink
+   * @returns {Promise<Object|null>} Sent downlink entry or null when nothing is queued
+   */
+  async takeNext(device, { seqNumber = null } = {}) {
+    const deviceId = this.normalizeDevice(device);
+    const entry = this.downlinks.find(
+      downlink => downlink.device === deviceId && downlink.status === DOWNLINK_STATUS.queued
+    );
+
+    if (!entry) {
+      logger.debug('No queued downlink for device', { device: deviceId });
+      return null;
+    }
+
+    entry.status = DOWNLINK_STATUS.sent;
+    entry.sentAt = new Date().toISOString();
+    entry.seqNumber = seqNumber;
+
+    this.pruneHistory(deviceId);
+    await this.persist();
+
+    logger.info('Downlink sent in callback response', {
+      device: deviceId,
+      id: entry.id,
+      seqNumber
+    });
+    return entry;
+  }
+
+  /**
+   * Find the downlink already sent in answer to a frame
+   * Used for callbacks Sigfox redelivers, which must get the same downlink again
+   * @param {string} device - Device identifier
+   * @param {number|null} seqNumber - Sequence number of the frame
+   * @returns {Object|null} Sent downlink entry, null when the frame got none or has no sequence number
+   */
+  findSent(device, seqNumber) {
+    if (seqNumber === null || seqNumber === undefined) {
+      return null;
+    }
+    const deviceId = this.normalizeDevice(device);
+    return this.downlinks.find(downlink =>
+      downlink.device === deviceId &&
+      downlink.status === DOWNLINK_STATUS.sent &&
+      downlink.seqNumber === seqNumber
+    ) || null;
+  }
+
+  /**
+   * Cancel a queued downlink
+   * @param {string} device - Device identifier
+   * @param {string} id - Downlink identifier
+   * @returns {Promise<Object>} Cancelled downlink entry
+   * @throws {ApiError} When the downlink does not exist or was already sent
+   */
+  async cancel(device, id) {
+    const deviceId = this.normalizeDevice(device);
+    const entry = this.downlinks.find(downlink => downlink.device === deviceId && downlink.id === id);
+
+    if (!entry) {
+      throw createApiError(`Downlink not found: ${id}`, 404);
+    }
+
+    if (entry.status !== DOWNLINK_STATUS.queued) {
+      throw createApiError(`Downlink ${id} is already ${entry.status}`, 409);
+    }
+
+    entry.status = DOWNLINK_STATUS.cancelled;
+    await this.persist();
+
+    logger.info('Downlink cancelled', { device: deviceId, id });
+    return entry;
+  }
+
+  /**
+   * List the downlinks of a device, newest first
+   * @param {string} device - Device identifier
+   * @returns {Array} Downlink entries
+   */
+  list(device) {
+    const deviceId = this.normalizeDevice(device);
+    return this.downlinks
+      .filter(downlink => downlink.device === deviceId)
+      .reverse();
+  }
+
+  /**
+   * Validate a raw downlink payload
+   * @param {string} payload - Hex payload
+   * @returns {string} Lowercase hex payload
+   * @throws {ApiError} When the payload is not exactly 8 bytes of hex
+   */
+  validatePayload(payload) {
+    const hexLength = config.downlinks.frameBytes * 2;
+
+    if (typeof payload !== 'string' || !new RegExp(`^[0-9A-Fa-f]{${hexLength}}$`).test(payload)) {
+      throw createApiError(
+        `Downlink payload must be ${hexLength} hexadecimal characters (${config.downlinks.frameBytes} bytes)`,
+        400
+      );
+    }
+
+    return payload.toLowerCase();
+  }
+
+  /**
+   * Validate and normalize a device identifier
+   * @param {string} device - Device identifier
+   * @returns {string} Uppercase device identifier
+   * @throws {ApiError} When the identifier is missing
+   */
+  normalizeDevice(device) {
+    if (typeof device !== 'string' || !device) {
+      throw createApiError('Device identifier is required', 400);
+    }
+    return normalizeDeviceId(device);
+  }
+
+  /**
+   * Drop the oldest delivered or cancelled downlinks of a device beyond the history limit
+   * @param {string} deviceId - Device identifier
+   */
+  pruneHistory(deviceId) {
+    const finished = this.downlinks.filter(
+      downlink => downlink.device === deviceId && downlink.status !== DOWNLINK_STATUS.queued
+    );
+    const excess = finished.length - config.downlinks.historyLimit;
+
+    if (excess > 0) {
+      const dropped = new Set(finished.slice(0, excess));
+      this.downlinks = this.downlinks.filter(downlink => !dropped.has(downlink));
+    }
+  }
+
+  /**
+   * Write the queue to its JSON file
+   * @returns {Promise<void>}
+   */
+  async persist() {
+    await this.file.save({ downlinks: this.downlinks });
+  }
+}
+
+const downlinkService = new DownlinkService();
+
+export { DOWNLINK_STATUS };
+export default downlinkService;
@@ -0,0 +1,298 @@
+/**
+ * @fileoverview Output units, precision and time zone for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import { DERIVED_METRICS } from './derivationService.js';
+import { createApiError } from '../middleware/errorMiddleware.js';
+import { formatInTimeZone, isValidTimeZone } from '../utils/timezone.js';
+import { QUANTITIES, convertUnit, quantityOf, resolveUnit } from '../utils/units.js';
+
+/**
+ * Sensor readings of every record, labelled with their output units in responses
+ */
+const SENSOR_FIELDS = ['temperature', 'humidity', 'pressure'];
+
+/**
+ * Base unit of every reading, sensors as decoded and derived metrics as computed
+ */
+const FIELD_UNITS = {
+  temperature: '°C',
+  humidity: '%',
+  pressure: 'hPa',
+  ...Object.fromEntries(Object.entries(DERIVED_METRICS).map(([metric, { unit }]) => [metric, unit]))
+};
+
+/**
+ * Record properties holding a set of readings
+ */
+const READING_GROUPS = ['raw', 'decoded', 'calibrated', 'derived'];
+
+/**
+ * Largest number of decimals accepted by the precision option
+ */
+const MAX_PRECISION = 6;
+
+/**
+ * Format Service Class
+ * Applies the output preferences of a request to the readings it returns: unit system
+ * or per-field units, number of decimals and the time zone of the timestamps. Readings
+ * are stored, calibrated and derived in their base units and only converted on output.
+ */
+class FormatService {
+  /**
+   * Parse the units, precision and tz options of a request
+   * @param {Object} query - Express query object
+   * @param {string} [query.units] - "metric" or "imperial" and/or field:unit overrides, comma-separated
+   * @param {string} [query.precision] - Decimals of the readings, 0 to 6
+   * @param {string} [query.tz] - IANA time zone of the timestamps
+   * @returns {Object} Format options (units, precision, timeZone)
+   * @throws {ApiError} When an option is invalid
+   */
+  parseOptions({ units, precision, tz } = {}) {
+    const options = {
+      units: this.parseUnits(units),
+      precision: null,
+      timeZone: null
+    };
+
+    if (precision !== undefined && precision !== '') {
+      const decimals = Number(precision);
+      if (!Number.isInteger(decimals) || decimals < 0 || decimals > MAX_PRECISION) {
+        throw createApiError(`precision must be an integer between 0 and ${MAX_PRECISION}`, 400);
+      }
+      options.precision = decimals;
+    }
+
+    if (tz !== undefined && tz !== '') {
+      if (!isValidTimeZone(tz)) {
+        throw createApiError(`Unknown time zone: ${tz}. Use an IANA name such as Europe/Madrid`, 400);
+      }
+      options.timeZone = tz;
+    }
+
+    return options;
+  }
+
+  /**
+   * Parse the units option
+   * @param {string} [value] - Unit system and/or field:unit overrides, applied in order
+   * @returns {Object} Field name to output unit
+   * @throws {ApiError} When a system, field or unit is not supported
+   */
+  parseUnits(value) {
+    const units = { ...FIELD_UNITS };
+    if (value === undefined || value === '') {
+      return units;
+    }
+
+    for (const token of String(value).split(',').map(entry => entry.trim()).filter(Boolean)) {
+      const [field, unit] = token.split(':').map(part => part.trim());
+
+      if (unit === undefined) {
+        if (field !== 'metric' && field !== 'imperial') {
+          throw createApiError(`Unsupported unit system: ${field}. Supported: metric, imperial`, 400);
+        }
+        for (const [name, base] of Object.entries(FIELD_UNITS)) {
+          units[name] = field === 'imperial' ? QUANTITIES[quantityOf(base)].imperial : base;
+        }
+        continue;
+      }
+
+      if (!FIELD_UNITS[field]) {
+        throw createApiError(
+          `Unsupported unit field: ${field}. Supported: ${Object.keys(FIELD_UNITS).join(', ')}`,
+          400
+        );
+      }
+
+      const quantity = quantityOf(FIELD_UNITS[field]);
+      const resolved = resolveUnit(quantity, unit);
+      if (!resolved) {
+        throw createApiError(
+          `Unsupported unit for ${field}: ${unit}. Supported: ${Object.keys(QUANTITIES[quantity].units).join(', ')}`,
+          400
+        );
+      }
+      units[field] = resolved;
+    }
+
+    return units;
+  }
+
+  /**
+   * Check whether format options leave the output as it is stored
+   * @param {Object} options - Format options
+   * @returns {boolean} Whether there is nothing to convert, round or shift
+   */
+  isDefault(options) {
+    return options.precision === null && options.timeZone === null &&
+      Object.entries(FIELD_UNITS).every(([field, base]) => options.units[field] === base);
+  }
+
+  /**
+   * Get the output units of readings
+   * @param {Array<string>} fields - Reading names
+   * @param {Object} options - Format options
+   * @returns {Object} Reading name to unit label, readings without a known unit are left out
+   */
+  getUnits(fields, options) {
+    return Object.fromEntries(fields.filter(field => options.units[field]).map(field => [field, options.units[field]]));
+  }
+
+  /**
+   * Convert and round a reading
+   * Converted values are rounded to 4 decimals unless a precision is requested
+   * @param {string} field - Reading name
+   * @param {number|string} value - Value in the base unit, numeric strings stay strings
+   * @param {Object} options - Format options
+   * @returns {number|string|*} Formatted value, unchanged when it is not a known numeric reading
+   */
+  formatValue(field, value, options) {
+    const number = typeof value === 'number' ? value : parseFloat(value);
+    if (!FIELD_UNITS[field] || value === null || value === '' || isNaN(number)) {
+      return value;
+    }
+
+    const base = FIELD_UNITS[field];
+    const unit = options.units[field];
+    if (unit === base && options.precision === null) {
+      return value;
+    }
+
+    const converted = unit === base ? number : convertUnit(quantityOf(base), number, unit);
+    const rounded = this.round(converted, options);
+    return typeof value === 'string' ? String(rounded) : rounded;
+  }
+
+  /**
+   * Round a converted value to the requested precision, 4 decimals by default
+   * @param {number} value - Converted value
+   * @param {Object} options - Format options
+   * @returns {number} Rounded value
+   */
+  round(value, options) {
+    const factor = 10 ** (options.precision ?? 4);
+    return Math.round(value * factor) / factor;
+  }
+
+  /**
+   * Convert and round an aggregate statistic of a reading
+   * Averages, minimums and maximums convert like readings. A standard deviation is a
+   * spread, so only the scale of the conversion applies to it, not its offset (°C to °F).
+   * @param {string} field - Reading name
+   * @param {string} fn - Aggregation function
+   * @param {number|null} value - Statistic in the base unit
+   * @param {Object} options - Format options
+   * @returns {number|null} Formatted statistic
+   */
+  formatStatistic(field, fn, value, options) {
+    if (fn === 'count' || value === null) {
+      return value;
+    }
+    if (fn !== 'stddev') {
+      return this.formatValue(field, value, options);
+    }
+
+    const base = FIELD_UNITS[field];
+    const unit = options.units[field];
+    if (unit === base && options.precision === null) {
+      return value;
+    }
+
+    const quantity = quantityOf(base);
+    const spread = unit === base ? value : convertUnit(quantity, value, unit) - convertUnit(quantity, 0, unit);
+    return this.round(spread, options);
+  }
+
+  /**
+   * Format the statistics and bounds of aggregation buckets
+   * @param {Array} buckets - Buckets with statistics per reading
+   * @param {Array<string>} fields - Aggregated readings
+   * @param {Object} options - Format options
+   * @returns {Array} Formatted buckets, the same list when the options change nothing
+   */
+  formatBuckets(buckets, fields, options) {
+    if (this.isDefault(options)) {
+      return buckets;
+    }
+
+    return buckets.map(bucket => {
+      const formatted = {
+        ...bucket,
+        start: this.formatTimestamp(bucket.start, options),
+        end: this.formatTimestamp(bucket.end, options)
+      };
+      for (const field of fields) {
+        formatted[field] = Object.fromEntries(
+          Object.entries(bucket[field]).map(([fn, value]) => [fn, this.formatStatistic(field, fn, value, options)])
+        );
+      }
+      return formatted;
+    });
+  }
+
+  /**
+   * Format a set of readings
+   * @param {Object|null} readings - Reading name to value
+   * @param {Object} options - Format options
+   * @returns {Object|null} Formatted readings
+   */
+  formatReadings(readings, options) {
+    if (!readings || typeof readings !== 'object') {
+      return readings;
+    }
+    return Object.fromEntries(
+      Object.entries(readings).map(([field, value]) => [field, this.formatValue(field, value, options)])
+    );
+  }
+
+  /**
+   * Format a timestamp in the requested time zone
+   * @param {string|number|Date} value - Time
+   * @param {Object} options - Format options
+   * @returns {string|*} ISO 8601 time with the zone offset, unchanged when no time zone is requested
+   */
+  formatTimestamp(value, options) {
+    return options.timeZone ? formatInTimeZone(value, options.timeZone) : value;
+  }
+
+  /**
+   * Format the readings and timestamp of a record
+   * Handles top-level readings (records) as well as raw, decoded, calibrated and derived groups
+   * @param {Object} record - Record
+   * @param {Object} options - Format options
+   * @returns {Object} Formatted record
+   */
+  formatRecord(record, options) {
+    const formatted = this.formatReadings(record, options);
+    for (const group of READING_GROUPS) {
+      if (group in formatted) {
+        formatted[group] = this.formatReadings(formatted[group], options);
+      }
+    }
+    if ('timestamp' in formatted) {
+      formatted.timestamp = this.formatTimestamp(formatted.timestamp, options);
+    }
+    return formatted;
+  }
+
+  /**
+   * Format a list of records
+   * @param {Array} records - Records
+   * @param {Object} options - Format options
+   * @returns {Array} Formatted records, the same list when the options change nothing
+   */
+  formatRecords(records, options) {
+    if (this.isDefault(options)) {
+      return records;
+    }
+    return records.map(record => this.formatRecord(record, options));
+  }
+}
+
+const formatService = new FormatService();
+
+export { FIELD_UNITS, SENSOR_FIELDS };
+export default formatService;
@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Plaintext and hex-decoded reading fusion for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import config from '../config/config.js';
+import calibrationService from './calibrationService.js';
+
+/**
+ * Sensor fields filled from the decoded payload when their plaintext value is missing
+ */
+const FUSED_FIELDS = ['temperature', 'humidity', 'pressure'];
+
+/**
+ * Origin of a fused reading
+ */
+const READING_SOURCE = {
+  plaintext: 'plaintext',
+  decoded: 'decoded'
+};
+
+/**
+ * Fusion Service Class
+ * Relay records carry the sensor readings twice: as plaintext fields and as the hex
+ * payload decoded when the record was stored. Plaintext readings win; a missing one
+ * (null, empty or "0") is taken from the decoded payload instead of dropping the record.
+ */
+class FusionService {
+  /**
+   * Check whether a plaintext reading is present
+   * Empty strings and "0" are what the relay sends for readings it does not have
+   * @param {*} value - Plaintext reading
+   * @returns {boolean} Whether the reading is present
+   */
+  hasPlaintext(value) {
+    return value !== null && value !== undefined && value !== '' && value !== '0';
+  }
+
+  /**
+   * Fuse the plaintext and decoded readings of a record
+   * @param {Object} record - Stored record
+   * @returns {Object} Fused readings (as strings, null when missing from both), the source
+   *   of each reading, and the fields whose plaintext and decoded values disagree
+   */
+  fuse(record) {
+    const decoded = record?.decoded || {};
+    const readings = {};
+    const sources = {};
+    const conflicts = [];
+
+    for (const field of FUSED_FIELDS) {
+      const plaintext = record?.[field];
+      const decodedValue = typeof decoded[field] === 'number' && isFinite(decoded[field]) ? decoded[field] : null;
+
+      if (this.hasPlaintext(plaintext)) {
+        readings[field] = String(plaintext);
+        sources[field] = READING_SOURCE.plaintext;
+
+        const difference = parseFloat(plaintext) - decodedValue;
+        if (decodedValue !== null && !(Math.abs(difference) <= config.fusion.conflictTolerance)) {
+          conflicts.push({
+            field,
+            plaintext: String(plaintext),
+            decoded: decodedValue,
+            difference: isNaN(difference) ? null : Math.round(difference * 10000) / 10000
+          });
+        }
+      } else if (decodedValue !== null) {
+        readings[field] = String(decodedValue);
+        sources[field] = READING_SOURCE.decoded;
+      } else {
+        readings[field] = null;
+        sources[field] = null;
+      }
+    }
+
+    return { readings, sources, conflicts };
+  }
+
+  /**
+   * Check whether a record has a timestamp and every sensor reading after fusion
+   * @param {Object} record - Stored record
+   * @returns {boolean} Whether the record is a complete sensor reading
+   */
+  isComplete(record) {
+    if (!record || !record.timestamp) {
+      return false;
+    }
+    const { sources } = this.fuse(record);
+    return FUSED_FIELDS.every(field => sources[field] !== null);
+  }
+
+  /**
+   * Get the fused readings of a record corrected with its calibration profile
+   * @param {Object} record - Stored record
+   * @returns {Object} Field name to reading
+   */
+  getCalibratedReadings(record) {
+    const { readings } = this.fuse(record);
+    return calibrationService.calibrate(record.device, record.timestamp, readings)?.values || readings;
+  }
+}
+
+const fusionService = new FusionService();
+
+export { FUSED_FIELDS, READING_SOURCE };
+export default fusionService;
@@ -0,0 +1,187 @@
+/**
+ * @fileoverview Sigfox callback ingestion service for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import config from '../config/config.js';
+import decoderService from './decoderService.js';
+import deduplicationService from './deduplicationService.js';
+import downlinkService from './downlinkService.js';
+import sequenceService from './sequenceService.js';
+import sourceService from './sourceService.js';
+import storageService from './storageService.js';
+import { createApiError } from '../middleware/errorMiddleware.js';
+import { normalizeDeviceId } from '../utils/deviceId.js';
+import { parseLinkQuality } from '../utils/linkQuality.js';
+import logger from '../utils/logger.js';
+import { SEQUENCE_MODULO, parseSequenceNumber } from '../utils/sequence.js';
+
+/**
+ * Latest instant a JavaScript Date can hold, in milliseconds since the epoch
+ */
+const MAX_TIMESTAMP_MS = 8.64e15;
+
+/**
+ * Ingest Service Class
+ * Accepts Sigfox backend callbacks, decodes their payload and writes the
+ * resulting records to the record store so the read endpoints can serve them
+ */
+class IngestService {
+  /**
+   * Initialize ingestion statistics
+   */
+  constructor() {
+    this.stats = {
+      received: 0,
+      decoded: 0,
+      decodeFailures: 0,
+      duplicates: 0,
+      mergedReceptions: 0,
+      lastReceivedAt: null
+    };
+  }
+
+  /**
+   * Ingest a single Sigfox callback payload
+   * When the callback requests an acknowledgement the next queued downlink is taken for the device;
+   * a redelivered callback is answered with the downlink already sent for its frame.
+   * A reception of an already stored frame by another base station is merged into that record.
+   * @param {Object} payload - Callback body (device, time, data, seqNumber, station, rssi, snr, stationCount, countryCode, ack)
+   * @returns {Promise<Object>} Stored record with decoding and deduplication outcome, and the downlink to answer with
+   * @throws {ApiError} When the payload is malformed
+   */
+  async ingestSigfoxCallback(payload) {
+    this.validateCallback(payload);
+
+    const record = {
+      device: normalizeDeviceId(payload.device),
+      timestamp: new Date(Number(payload.time) * 1000).toISOString(),
+      hexData: payload.data,
+      seqNumber: parseSequenceNumber(payload.seqNumber),
+      ...parseLinkQuality(payload),
+      temperature: null,
+      humidity: null,
+      pressure: null,
+      provenance: sourceService.getCallbackProvenance()
+    };
+
+    const decoding = decoderService.decodeRecord(record);
+
+    if (decoding.success) {
+      for (const [field, value] of Object.entries(decoding.decoded)) {
+        record[field] = String(value);
+      }
+      this.stats.decoded++;
+    } else {
+      this.stats.decodeFailures++;
+    }
+
+    const preparedRecord = storageService.prepareRecord(record, decoding, 'callback');
+    const { inserted, merged } = await deduplicationService.store([preparedRecord]);
+    const duplicate = inserted.length === 0;
+    const storedRecord = merged[0] || preparedRecord;
+
+    this.stats.received++;
+    if (merged.length > 0) {
+      this.stats.mergedReceptions++;
+    } else if (duplicate) {
+      this.stats.duplicates++;
+      sequenceService.trackRedelivery(preparedRecord);
+    }
+    this.stats.lastReceivedAt = new Date().toISOString();
+
+    const downlinkRequested = this.isAckRequested(payload);
+    const downlink = downlinkRequested
+      ? await this.takeDownlink(record, duplicate || merged.length > 0)
+      : null;
+
+    logger.info('Sigfox callback ingested', {
+      device: record.device,
+      seqNumber: payload.seqNumber,
+      decodingSuccess: decoding.success,
+      duplicate,
+      mergedReception: merged.length > 0,
+      downlinkRequested,
+      downlinkSent: !!downlink
+    });
+
+    return {
+      record: storedRecord,
+      decodingSuccess: decoding.success,
+      error: decoding.error,
+      duplicate,
+      mergedReception: merged.length > 0,
+      downlinkRequested,
+      downlink
+    };
+  }
+
+  /**
+   * Get the downlink answering an acknowledged callback
+   * A frame that is already stored (a redelivery or another base station's reception) is
+   * answered with the downlink sent for it, if any, so redeliveries do not consume the queue
+   * @param {Object} record - Callback record
+   * @param {boolean} known - Whether the frame was already stored
+   * @returns {Promise<Object|null>} Downlink entry or null when there is none to send
+   */
+  async takeDownlink(record, known) {
+    if (known) {
+      return downlinkService.findSent(record.device, record.seqNumber);
+    }
+    return downlinkService.takeNext(record.device, { seqNumber: record.seqNumber });
+  }
+
+  /**
+   * Check whether a callback asks for a downlink acknowledgement
+   * Sigfox sends `ack` as a boolean, custom templates may send it as a string
+   * @param {Object} payload - Callback body
+   * @returns {boolean} Whether a downlink response is expected
+   */
+  isAckRequested(payload) {
+    return payload.ack === true || payload.ack === 'true';
+  }
+
+  /**
+   * Validate the structure of a Sigfox callback payload
+   * @param {Object} payload - Callback body
+   * @throws {ApiError} When a required field is missing or malformed
+   */
+  validateCallback(payload) {
+    if (!payload || typeof payload !== 'object') {
+      throw createApiError('Callback body must be a JSON object', 400);
+    }
+
+    if (typeof payload.device !== 'string' || !/^[0-9A-Fa-f]+$/.test(payload.device)) {
+      throw createApiError('Callback device must be a hexadecimal device ID', 400);
+    }
+
+    if (typeof payload.data !== 'string' || !/^[0-9A-Fa-f]*$/.test(payload.data)) {
+      throw createApiError('Callback data must be a hexadecimal string', 400);
+    }
+
+    const time = typeof payload.time === 'string' && payload.time.trim() !== '' ? Number(payload.time) : payload.time;
+    if (!Number.isInteger(time) || time < 0 || time * 1000 > MAX_TIMESTAMP_MS) {
+      throw createApiError('Callback time must be a Unix timestamp in whole seconds', 400);
+    }
+
+    if (payload.seqNumber !== undefined && parseSequenceNumber(payload.seqNumber) === null) {
+      throw createApiError(`Callback seqNumber must be an integer between 0 and ${SEQUENCE_MODULO - 1}`, 400);
+    }
+  }
+
+  /**
+   * Get ingestion statistics
+   * @returns {Object} Ingestion statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      enabled: !!config.ingest.sharedSecret
+    };
+  }
+}
+
+const ingestService = new IngestService();
+
+export default ingestService;
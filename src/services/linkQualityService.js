@@ -0,0 +1,156 @@
+/**
+ * @fileoverview Radio link quality statistics for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import storageService from './storageService.js';
+import { normalizeDeviceId } from '../utils/deviceId.js';
+
+/**
+ * Link Quality Service Class
+ * Summarizes the RSSI, SNR and receiving base stations of stored records so badly
+ * placed devices can be found
+ */
+class LinkQualityService {
+  /**
+   * Summarize the link metadata of a set of records
+   * @param {Array} records - Stored records
+   * @returns {Object} Frame count, RSSI and SNR statistics, average station count and stations
+   */
+  summarize(records) {
+    const withLink = records.filter(record => record.rssi !== null && record.rssi !== undefined);
+    const stations = new Map();
+
+    for (const record of withLink) {
+      if (!record.station) {
+        continue;
+      }
+      const entry = stations.get(record.station) || { station: record.station, frames: 0, rssi: [] };
+      entry.frames++;
+      entry.rssi.push(record.rssi);
+      stations.set(record.station, entry);
+    }
+
+    const stationCounts = withLink
+      .map(record => record.stationCount)
+      .filter(count => count !== null && count !== undefined);
+    const countryCodes = [...new Set(withLink.map(record => record.countryCode).filter(Boolean))];
+
+    return {
+      frames: withLink.length,
+      rssi: this.describe(withLink.map(record => record.rssi)),
+      snr: this.describe(withLink.map(record => record.snr).filter(snr => snr !== null && snr !== undefined)),
+      avgStationCount: stationCounts.length > 0 ? this.round(this.mean(stationCounts)) : null,
+      countryCodes,
+      stations: [...stations.values()]
+        .map(entry => ({ station: entry.station, frames: entry.frames, avgRssi: this.round(this.mean(entry.rssi)) }))
+        .sort((a, b) => (b.frames - a.frames) || a.station.localeCompare(b.station))
+    };
+  }
+
+  /**
+   * Compute the average, minimum and maximum of link values
+   * @param {Array<number>} values - Link values
+   * @returns {Object} Average, minimum and maximum, null when there are no values
+   */
+  describe(values) {
+    if (values.length === 0) {
+      return { avg: null, min: null, max: null };
+    }
+    return {
+      avg: this.round(this.mean(values)),
+      min: Math.min(...values),
+      max: Math.max(...values)
+    };
+  }
+
+  /**
+   * Compute the mean of a list of numbers
+   * @param {Array<number>} values - Numbers
+   * @returns {number} Mean
+   */
+  mean(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+  }
+
+  /**
+   * Round a statistic to 2 decimals
+   * @param {number} value - Value to round
+   * @returns {number} Rounded value
+   */
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Compute the link quality of a device over a range, in total and per time window
+   * @param {string} deviceId - Device identifier
+   * @param {Object} range - Time range
+   * @param {number} range.from - Inclusive start (epoch ms)
+   * @param {number} range.to - Exclusive end (epoch ms)
+   * @param {number} range.windowMs - Window size in milliseconds
+   * @returns {Promise<Object>} Totals and per-window statistics
+   */
+  async getDeviceStats(deviceId, { from, to, windowMs }) {
+    const id = normalizeDeviceId(deviceId);
+    const firstWindow = Math.floor(from / windowMs) * windowMs;
+    const records = await storageService.query({
+      device: id,
+      from: firstWindow,
+      to: to - 1,
+      order: 'asc'
+    });
+
+    const windowCount = Math.ceil((to - firstWindow) / windowMs);
+    const grouped = Array.from({ length: windowCount }, () => []);
+    for (const record of records) {
+      grouped[Math.floor((new Date(record.timestamp).getTime() - firstWindow) / windowMs)].push(record);
+    }
+
+    return {
+      device: id,
+      from: new Date(firstWindow).toISOString(),
+      to: new Date(to).toISOString(),
+      totals: this.summarize(records),
+      windows: grouped.map((windowRecords, index) => {
+        const start = firstWindow + index * windowMs;
+        return {
+          start: new Date(start).toISOString(),
+          end: new Date(start + windowMs).toISOString(),
+          ...this.summarize(windowRecords)
+        };
+      })
+    };
+  }
+
+  /**
+   * Compute the link quality totals of every device with link metadata in a range
+   * @param {Object} range - Time range
+   * @param {number} range.from - Inclusive start (epoch ms)
+   * @param {number} range.to - Exclusive end (epoch ms)
+   * @returns {Promise<Array>} Device totals sorted by average RSSI, weakest first
+   */
+  async listDeviceStats({ from, to }) {
+    const records = await storageService.query({
+      from,
+      to: to - 1,
+      filter: record => record.rssi !== null && record.rssi !== undefined
+    });
+
+    const grouped = new Map();
+    for (const record of records) {
+      const deviceRecords = grouped.get(record.device) || [];
+      deviceRecords.push(record);
+      grouped.set(record.device, deviceRecords);
+    }
+
+    return [...grouped.entries()]
+      .map(([device, deviceRecords]) => ({ device, ...this.summarize(deviceRecords) }))
+      .sort((a, b) => (a.rssi.avg - b.rssi.avg) || a.device.localeCompare(b.device));
+  }
+}
+
+const linkQualityService = new LinkQualityService();
+
+export default linkQualityService;
@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Prometheus metrics for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import deviceHealthService from './deviceHealthService.js';
+import storageService from './storageService.js';
+import upstreamClient from './upstreamClient.js';
+import { recordKey } from '../storage/query.js';
+import eventBus, { EVENTS } from '../utils/eventBus.js';
+import logger from '../utils/logger.js';
+import metrics from '../utils/metrics.js';
+
+/**
+ * Metrics Service Class
+ * Exposes the metrics registry in the Prometheus text format. HTTP and upstream metrics are
+ * recorded where they happen; this service counts decodings and records per device from
+ * stored record events, and reads the cache statistics and device last-seen times on each
+ * scrape. Records per device are seeded from the record store on the first scrape.
+ */
+class MetricsService {
+  /**
+   * Register the metrics and subscribe to stored records
+   */
+  constructor() {
+    this.decodings = metrics.counter({
+      name: 'iot_decodings_total',
+      help: 'Hex payload decodings of stored records by device and result (success or failure)',
+      labelNames: ['device', 'result']
+    });
+    this.deviceRecords = metrics.gauge({
+      name: 'iot_device_records',
+      help: 'Records in the record store by device',
+      labelNames: ['device']
+    });
+    this.deviceLastSeen = metrics.gauge({
+      name: 'iot_device_last_seen_timestamp_seconds',
+      help: 'Time of the latest message of each device, in seconds since the epoch',
+      labelNames: ['device']
+    });
+    this.cacheHits = metrics.counter({
+      name: 'iot_cache_hits_total',
+      help: 'Upstream record lookups answered from the cache or by joining a fetch in flight'
+    });
+    this.cacheMisses = metrics.counter({
+      name: 'iot_cache_misses_total',
+      help: 'Upstream record lookups that started an upstream fetch'
+    });
+    this.cacheErrors = metrics.counter({
+      name: 'iot_cache_errors_total',
+      help: 'Cache backend operations that failed'
+    });
+    this.cacheEntries = metrics.gauge({
+      name: 'iot_cache_entries',
+      help: 'Live entries in the cache backend',
+      labelNames: ['backend']
+    });
+
+    // Device id -> stored record count
+    this.recordCounts = new Map();
+    // Records stored while the counts are being seeded
+    this.pending = null;
+    this.ready = null;
+
+    eventBus.on(EVENTS.recordStored, record => this.track(record));
+  }
+
+  /**
+   * Seed the record counts from the record store
+   * Runs once, on the first scrape
+   * @returns {Promise<void>}
+   */
+  init() {
+    if (!this.ready) {
+      this.pending = [];
+      this.ready = (async () => {
+        const records = await storageService.query({});
+        const loaded = new Set(records.map(record => recordKey(record)));
+        const live = this.pending;
+
+        this.pending = null;
+        this.recordCounts = new Map();
+        records.forEach(record => this.countRecord(record));
+        // Records stored while loading are counted unless the query already returned them
+        live.filter(record => !loaded.has(recordKey(record))).forEach(record => this.countRecord(record));
+
+        logger.info('Metrics record counts loaded', { deviceCount: this.recordCounts.size });
+      })();
+    }
+    return this.ready;
+  }
+
+  /**
+   * Count a stored record and its decoding
+   * @param {Object} record - Stored record
+   */
+  track(record) {
+    if (record.hexData) {
+      this.decodings.inc({
+        device: record.device,
+        result: record.decoded && !record.decodeError ? 'success' : 'failure'
+      });
+    }
+
+    if (this.pending) {
+      this.pending.push(record);
+    } else {
+      this.countRecord(record);
+    }
+  }
+
+  /**
+   * Add a record to the count of its device
+   * @param {Object} record - Stored record
+   */
+  countRecord(record) {
+    this.recordCounts.set(record.device, (this.recordCounts.get(record.device) || 0) + 1);
+  }
+
+  /**
+   * Refresh the metrics read from other services
+   * @returns {Promise<void>}
+   */
+  async collect() {
+    await this.init();
+
+    this.deviceRecords.reset();
+    for (const [device, count] of this.recordCounts) {
+      this.deviceRecords.set({ device }, count);
+    }
+
+    this.deviceLastSeen.reset();
+    for (const health of await deviceHealthService.listHealth()) {
+      if (health.lastSeen) {
+        this.deviceLastSeen.set({ device: health.device }, new Date(health.lastSeen).getTime() / 1000);
+      }
+    }
+
+    const cache = await upstreamClient.getStats();
+    this.cacheHits.set({}, cache.hits);
+    this.cacheMisses.set({}, cache.misses);
+    this.cacheErrors.set({}, cache.backend.errors);
+    this.cacheEntries.reset();
+    if (cache.backend.available) {
+      this.cacheEntries.set({ backend: cache.backend.type }, cache.backend.entries);
+    }
+  }
+
+  /**
+   * Render every metric in the Prometheus text exposition format
+   * @returns {Promise<string>} Exposition text
+   */
+  async render() {
+    await this.collect();
+    return metrics.render();
+  }
+}
+
+const metricsService = new MetricsService();
+
+export default metricsService;
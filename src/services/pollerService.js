@@ -0,0 +1,223 @@
+/**
+ * @fileoverview Background relay poller for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import config from '../config/config.js';
+import dataService from './dataService.js';
+import { createApiError } from '../middleware/errorMiddleware.js';
+import eventBus, { EVENTS } from '../utils/eventBus.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Poller states
+ */
+const POLLER_STATE = {
+  stopped: 'stopped',
+  running: 'running',
+  paused: 'paused'
+};
+
+/**
+ * Poller Service Class
+ * Fetches the relay on a schedule so request handlers only read the record store.
+ * Each poll is followed by the configured interval with random jitter; consecutive
+ * failures back off exponentially up to the maximum delay.
+ */
+class PollerService {
+  /**
+   * Initialize the poller state
+   */
+  constructor() {
+    this.state = POLLER_STATE.stopped;
+    this.timer = null;
+    this.polling = null;
+    this.consecutiveFailures = 0;
+    this.nextPollAt = null;
+    this.stats = {
+      polls: 0,
+      failures: 0,
+      recordsInserted: 0,
+      lastPollAt: null,
+      lastSuccessAt: null,
+      lastDuration: null,
+      lastError: null
+    };
+  }
+
+  /**
+   * Start polling immediately
+   * Does nothing when the relay is disabled
+   */
+  start() {
+    if (!config.externalApi.enabled) {
+      logger.info('Relay disabled, background poller not started');
+      return;
+    }
+
+    if (this.state !== POLLER_STATE.stopped) {
+      return;
+    }
+
+    this.state = POLLER_STATE.running;
+    logger.info('Background poller started', {
+      interval: config.poller.interval,
+      jitter: config.poller.jitter
+    });
+    this.schedule(0);
+  }
+
+  /**
+   * Stop polling and cancel the scheduled poll
+   */
+  stop() {
+    this.clearTimer();
+    this.state = POLLER_STATE.stopped;
+    logger.info('Background poller stopped');
+  }
+
+  /**
+   * Pause polling until resumed
+   * @returns {Object} Poller status
+   * @throws {ApiError} When the poller is not running
+   */
+  pause() {
+    if (this.state !== POLLER_STATE.running) {
+      throw createApiError(`Poller cannot be paused while ${this.state}`, 409);
+    }
+
+    this.clearTimer();
+    this.state = POLLER_STATE.paused;
+    logger.info('Background poller paused');
+    return this.getStatus();
+  }
+
+  /**
+   * Resume a paused poller with an immediate poll
+   * The backoff is reset
+   * @returns {Object} Poller status
+   * @throws {ApiError} When the poller is not paused
+   */
+  resume() {
+    if (this.state !== POLLER_STATE.paused) {
+      throw createApiError(`Poller cannot be resumed while ${this.state}`, 409);
+    }
+
+    this.state = POLLER_STATE.running;
+    this.consecutiveFailures = 0;
+    logger.info('Background poller resumed');
+
+    // A poll still in flight from before the pause schedules the next one when it ends
+    if (!this.polling) {
+      this.schedule(0);
+    }
+    return this.getStatus();
+  }
+
+  /**
+   * Run one poll and schedule the next one
+   * @returns {Promise<void>}
+   */
+  async poll() {
+    const startTime = Date.now();
+    this.stats.polls++;
+    this.stats.lastPollAt = new Date().toISOString();
+
+    try {
+      const inserted = await dataService.refreshUpstreamData();
+
+      this.consecutiveFailures = 0;
+      this.stats.recordsInserted += inserted.length;
+      this.stats.lastSuccessAt = new Date().toISOString();
+      this.stats.lastDuration = Date.now() - startTime;
+      this.stats.lastError = null;
+
+      eventBus.publish(EVENTS.pollCompleted, {
+        inserted: inserted.length,
+        duration: this.stats.lastDuration
+      });
+      logger.debug('Relay poll completed', { inserted: inserted.length, duration: `${this.stats.lastDuration}ms` });
+    } catch (error) {
+      this.consecutiveFailures++;
+      this.stats.failures++;
+      this.stats.lastDuration = Date.now() - startTime;
+      this.stats.lastError = error.message;
+
+      eventBus.publish(EVENTS.pollFailed, {
+        error: error.message,
+        consecutiveFailures: this.consecutiveFailures
+      });
+      logger.warn('Relay poll failed', {
+        error: error.message,
+        consecutiveFailures: this.consecutiveFailures
+      });
+    }
+
+    if (this.state === POLLER_STATE.running) {
+      this.schedule(this.getNextDelay());
+    }
+  }
+
+  /**
+   * Schedule the next poll
+   * @param {number} delay - Delay in milliseconds
+   */
+  schedule(delay) {
+    this.clearTimer();
+    this.nextPollAt = new Date(Date.now() + delay).toISOString();
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.nextPollAt = null;
+      this.polling = this.poll().finally(() => {
+        this.polling = null;
+      });
+    }, delay);
+    this.timer.unref();
+  }
+
+  /**
+   * Cancel the scheduled poll
+   */
+  clearTimer() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.nextPollAt = null;
+  }
+
+  /**
+   * Compute the delay before the next poll
+   * The interval grows exponentially with consecutive failures, then jitter is applied
+   * @returns {number} Delay in milliseconds
+   */
+  getNextDelay() {
+    const { interval, backoffMultiplier, maxBackoff, jitter } = config.poller;
+    const base = this.consecutiveFailures > 0
+      ? Math.min(interval * backoffMultiplier ** this.consecutiveFailures, maxBackoff)
+      : interval;
+    const offset = base * jitter * (Math.random() * 2 - 1);
+
+    return Math.max(0, Math.round(base + offset));
+  }
+
+  /**
+   * Get the poller status
+   * @returns {Object} Poller state, schedule and statistics
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      polling: !!this.polling,
+      interval: config.poller.interval,
+      jitter: config.poller.jitter,
+      consecutiveFailures: this.consecutiveFailures,
+      nextPollAt: this.nextPollAt,
+      ...this.stats
+    };
+  }
+}
+
+const pollerService = new PollerService();
+
+export { POLLER_STATE };
+export default pollerService;
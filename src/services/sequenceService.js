@@ -0,0 +1,242 @@
+/**
+ * @fileoverview Sigfox sequence number statistics for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import config from '../config/config.js';
+import storageService from './storageService.js';
+import { normalizeDeviceId } from '../utils/deviceId.js';
+import { SEQUENCE_MODULO } from '../utils/sequence.js';
+
+/**
+ * Sequence numbers less than half the counter ahead of the highest one seen are
+ * new frames, the others are frames arriving late
+ */
+const FORWARD_RANGE = SEQUENCE_MODULO / 2;
+
+/**
+ * Sequence Service Class
+ * Computes lost frames, duplicates and out-of-order arrivals from the sequence numbers
+ * of stored records. Sequence numbers are unwrapped across the 12-bit rollover relative
+ * to the highest one seen, so a jump of more than half the counter cannot be told apart
+ * from a late frame.
+ */
+class SequenceService {
+  /**
+   * Initialize the redelivery tracking
+   */
+  constructor() {
+    // Device id -> message times of callbacks the record store rejected as already stored
+    this.redeliveries = new Map();
+  }
+
+  /**
+   * Remember a callback that the record store rejected as already stored
+   * Sigfox redelivers callbacks it considers failed, each one counts as a duplicate frame
+   * @param {Object} record - Prepared record
+   */
+  trackRedelivery(record) {
+    const times = this.redeliveries.get(record.device) || [];
+    times.push(new Date(record.timestamp).getTime());
+    if (times.length > config.devices.redeliveryLimit) {
+      times.shift();
+    }
+    this.redeliveries.set(record.device, times);
+  }
+
+  /**
+   * Count the redeliveries of a device whose message time falls in a range
+   * @param {string} id - Device identifier
+   * @param {number} from - Inclusive start (epoch ms)
+   * @param {number} to - Exclusive end (epoch ms)
+   * @returns {number} Redelivery count
+   */
+  countRedeliveries(id, from, to) {
+    return (this.redeliveries.get(id) || []).filter(time => time >= from && time < to).length;
+  }
+
+  /**
+   * Analyze sequence numbers in arrival order
+   * @param {Array<number>} seqNumbers - Sequence numbers in the order the frames arrived
+   * @param {number|null} [anchor] - Sequence number of the last frame before the range
+   * @returns {Object} Frame, loss, duplicate, out-of-order and rollover counts
+   */
+  analyze(seqNumbers, anchor = null) {
+    const seen = new Set();
+    let highestRaw = anchor;
+    let highest = anchor;
+    let lowest = anchor !== null ? anchor + 1 : null;
+    let duplicates = 0;
+    let outOfOrder = 0;
+    let rollovers = 0;
+
+    if (anchor !== null) {
+      seen.add(anchor);
+    }
+
+    for (const seqNumber of seqNumbers) {
+      if (highest === null) {
+        highestRaw = seqNumber;
+        highest = seqNumber;
+        lowest = seqNumber;
+        seen.add(seqNumber);
+        continue;
+      }
+
+      const ahead = (seqNumber - highestRaw + SEQUENCE_MODULO) % SEQUENCE_MODULO;
+      const unwrapped = ahead < FORWARD_RANGE
+        ? highest + ahead
+        : highest - (SEQUENCE_MODULO - ahead);
+
+      if (seen.has(unwrapped)) {
+        duplicates++;
+        continue;
+      }
+      seen.add(unwrapped);
+
+      if (ahead < FORWARD_RANGE) {
+        if (seqNumber < highestRaw) {
+          rollovers++;
+        }
+        highestRaw = seqNumber;
+        highest = unwrapped;
+      } else {
+        outOfOrder++;
+      }
+    }
+
+    // Late frames older than the range start were expected in an earlier range
+    const expected = highest !== null ? highest - lowest + 1 : 0;
+    const received = [...seen].filter(value => value >= lowest).length;
+    const lost = expected - received;
+
+    return {
+      frames: seqNumbers.length,
+      expected,
+      received,
+      lost,
+      lossRate: expected > 0 ? Math.round((lost / expected) * 10000) / 10000 : 0,
+      duplicates,
+      outOfOrder,
+      rollovers,
+      lastSeqNumber: seqNumbers.length > 0 ? highestRaw : null
+    };
+  }
+
+  /**
+   * Sort records in arrival order
+   * Records fetched in the same relay poll share their storage time and keep their message order
+   * @param {Array} records - Stored records
+   * @returns {Array<number>} Sequence numbers in arrival order
+   */
+  getArrivalOrder(records) {
+    return records
+      .map(record => ({
+        seqNumber: record.seqNumber,
+        storedAt: new Date(record.storedAt || record.timestamp).getTime(),
+        time: new Date(record.timestamp).getTime()
+      }))
+      .sort((a, b) => (a.storedAt - b.storedAt) || (a.time - b.time))
+      .map(frame => frame.seqNumber);
+  }
+
+  /**
+   * Find the sequence number of the last frame of a device before a time
+   * @param {string} id - Device identifier
+   * @param {number} before - Exclusive bound (epoch ms)
+   * @returns {Promise<number|null>} Sequence number, or null when there is none
+   */
+  async getAnchor(id, before) {
+    const [record] = await storageService.query({
+      device: id,
+      to: before - 1,
+      order: 'desc',
+      limit: 1,
+      filter: record => record.seqNumber !== null && record.seqNumber !== undefined
+    });
+    return record ? record.seqNumber : null;
+  }
+
+  /**
+   * Compute the sequence statistics of a device over a range
+   * @param {string} deviceId - Device identifier
+   * @param {Object} range - Time range
+   * @param {number} range.from - Inclusive start (epoch ms)
+   * @param {number} range.to - Exclusive end (epoch ms)
+   * @param {number} [range.windowMs] - Window size for the per-window statistics
+   * @returns {Promise<Object>} Totals and, when a window size is given, per-window statistics
+   */
+  async getDeviceStats(deviceId, { from, to, windowMs }) {
+    const id = normalizeDeviceId(deviceId);
+    const firstWindow = windowMs ? Math.floor(from / windowMs) * windowMs : from;
+    const records = await storageService.query({
+      device: id,
+      from: firstWindow,
+      to: to - 1,
+      order: 'asc',
+      filter: record => record.seqNumber !== null && record.seqNumber !== undefined
+    });
+
+    const anchor = await this.getAnchor(id, firstWindow);
+    const totals = this.analyze(this.getArrivalOrder(records), anchor);
+    totals.duplicates += this.countRedeliveries(id, firstWindow, to);
+
+    const range = { device: id, from: new Date(firstWindow).toISOString(), to: new Date(to).toISOString() };
+    if (!windowMs) {
+      return { ...range, totals };
+    }
+
+    const windowCount = Math.ceil((to - firstWindow) / windowMs);
+    const grouped = Array.from({ length: windowCount }, () => []);
+    for (const record of records) {
+      grouped[Math.floor((new Date(record.timestamp).getTime() - firstWindow) / windowMs)].push(record);
+    }
+
+    let previous = anchor;
+    const windows = grouped.map((windowRecords, index) => {
+      const start = firstWindow + index * windowMs;
+      const stats = this.analyze(this.getArrivalOrder(windowRecords), previous);
+      stats.duplicates += this.countRedeliveries(id, start, start + windowMs);
+      previous = stats.lastSeqNumber ?? previous;
+
+      return {
+        start: new Date(start).toISOString(),
+        end: new Date(start + windowMs).toISOString(),
+        ...stats
+      };
+    });
+
+    return { ...range, totals, windows };
+  }
+
+  /**
+   * Compute the sequence totals of every device with frames in a range
+   * @param {Object} range - Time range
+   * @param {number} range.from - Inclusive start (epoch ms)
+   * @param {number} range.to - Exclusive end (epoch ms)
+   * @returns {Promise<Array>} Device totals sorted by loss rate, highest first
+   */
+  async listDeviceStats({ from, to }) {
+    const records = await storageService.query({
+      from,
+      to: to - 1,
+      filter: record => record.seqNumber !== null && record.seqNumber !== undefined
+    });
+    const ids = new Set([...records.map(record => record.device), ...this.redeliveries.keys()]);
+
+    const devices = [];
+    for (const id of ids) {
+      const { totals } = await this.getDeviceStats(id, { from, to });
+      if (totals.frames > 0 || totals.duplicates > 0) {
+        devices.push({ device: id, ...totals });
+      }
+    }
+
+    return devices.sort((a, b) => (b.lossRate - a.lossRate) || a.device.localeCompare(b.device));
+  }
+}
+
+const sequenceService = new SequenceService();
+
+export default sequenceService;
@@ -0,0 +1,259 @@
+/**
+ * @fileoverview Upstream source management for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import config from '../config/config.js';
+import { createSource } from '../sources/index.js';
+import { createApiError } from '../middleware/errorMiddleware.js';
+import { CircuitBreaker } from '../utils/circuitBreaker.js';
+import logger from '../utils/logger.js';
+import metrics from '../utils/metrics.js';
+
+/**
+ * Ways of combining the polled sources
+ * failover: sources are tried in priority order, the first one that answers is used
+ * merge: every source is fetched and their records are combined
+ */
+const SOURCE_POLICIES = ['failover', 'merge'];
+
+const fetchDuration = metrics.histogram({
+  name: 'iot_upstream_fetch_duration_seconds',
+  help: 'Upstream source fetch latency in seconds by source and result, retries included',
+  labelNames: ['source', 'result']
+});
+
+const fetchErrors = metrics.counter({
+  name: 'iot_upstream_fetch_errors_total',
+  help: 'Failed upstream source fetches by source and reason (error or circuit_open)',
+  labelNames: ['source', 'reason']
+});
+
+/**
+ * Source Service Class
+ * Holds the configured upstream sources and fetches records from the polled ones
+ * according to the source policy. Every fetched record gets a `provenance` naming the
+ * source it came from and its priority, used to merge the same frame from several sources.
+ * Each polled source has a circuit breaker, so a source that keeps failing is skipped
+ * without waiting on its retries until its reset timeout has passed.
+ */
+class SourceService {
+  /**
+   * Create the configured sources
+   * @throws {Error} When the policy is unknown, or a source is invalid or defined twice
+   */
+  constructor() {
+    if (!SOURCE_POLICIES.includes(config.sources.policy)) {
+      throw new Error(`Unknown source policy: ${config.sources.policy}. Supported: ${SOURCE_POLICIES.join(', ')}`);
+    }
+    if (!Array.isArray(config.sources.definitions)) {
+      throw new Error('Upstream sources must be a JSON array of source definitions');
+    }
+
+    this.policy = config.sources.policy;
+    this.sources = config.sources.definitions
+      .map(definition => createSource(definition))
+      .sort((a, b) => a.priority - b.priority);
+    // Source name -> fetch statistics
+    this.stats = new Map();
+    // Source name -> circuit breaker of a polled source
+    this.breakers = new Map();
+
+    for (const source of this.sources) {
+      if (!source.name || this.stats.has(source.name)) {
+        throw new Error(`Upstream sources need a unique name: ${source.name}`);
+      }
+      this.stats.set(source.name, {
+        fetches: 0,
+        failures: 0,
+        consecutiveFailures: 0,
+        lastRecordCount: null,
+        lastSuccessAt: null,
+        lastError: null
+      });
+      if (source.pull) {
+        this.breakers.set(source.name, new CircuitBreaker({ name: source.name, ...config.circuitBreaker }));
+      }
+    }
+
+    logger.info('Upstream sources configured', {
+      policy: this.policy,
+      sources: this.sources.map(source => `${source.name} (${source.type}, priority ${source.priority})`)
+    });
+  }
+
+  /**
+   * Get the sources that are polled, highest priority first
+   * @returns {Array} Polled sources
+   */
+  getPullSources() {
+    return this.sources.filter(source => source.pull);
+  }
+
+  /**
+   * Build the provenance of a record fetched from or pushed by a source
+   * @param {Object} source - Upstream source
+   * @returns {Object} Source name, type and priority, and the time the record was received
+   */
+  describeProvenance(source) {
+    return {
+      source: source.name,
+      type: source.type,
+      priority: source.priority,
+      receivedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Get the provenance of a record pushed to the callback endpoint
+   * @returns {Object} Provenance of the configured callback source, a lowest priority one when none is configured
+   */
+  getCallbackProvenance() {
+    const source = this.sources.find(entry => entry.type === 'callback');
+    return source
+      ? this.describeProvenance(source)
+      : { source: 'callback', type: 'callback', priority: null, receivedAt: new Date().toISOString() };
+  }
+
+  /**
+   * Fetch records from the polled sources according to the policy
+   * @returns {Promise<Object>} Records with their provenance, the sources used and the sources that failed
+   * @throws {ApiError} When every polled source failed
+   */
+  async fetch() {
+    const sources = this.getPullSources();
+    const failed = [];
+
+    if (sources.length === 0) {
+      return { records: [], used: [], failed };
+    }
+
+    if (this.policy === 'failover') {
+      for (const source of sources) {
+        try {
+          const records = await this.fetchSource(source);
+          return { records, used: [source.name], failed };
+        } catch (error) {
+          failed.push({ source: source.name, error: error.message });
+          logger.warn('Upstream source failed, trying the next one', { source: source.name, error: error.message });
+        }
+      }
+    } else {
+      const results = await Promise.allSettled(sources.map(source => this.fetchSource(source)));
+      const records = [];
+      const used = [];
+
+      results.forEach((result, index) => {
+        if (result.status === 'fulfilled') {
+          records.push(...result.value);
+          used.push(sources[index].name);
+        } else {
+          failed.push({ source: sources[index].name, error: result.reason.message });
+        }
+      });
+
+      if (used.length > 0) {
+        return { records, used, failed };
+      }
+    }
+
+    throw createApiError(
+      `All upstream sources failed: ${failed.map(entry => `${entry.source}: ${entry.error}`).join('; ')}`,
+      503
+    );
+  }
+
+  /**
+   * Fetch one source through its circuit breaker and tag its records with their provenance
+   * @param {Object} source - Upstream source
+   * @returns {Promise<Array>} Records of the source
+   * @throws {ApiError} When the fetch fails or the circuit of the source is open
+   */
+  async fetchSource(source) {
+    const stats = this.stats.get(source.name);
+    const breaker = this.breakers.get(source.name);
+    const rejected = breaker.stats.rejected;
+    const endTimer = fetchDuration.startTimer({ source: source.name });
+    stats.fetches++;
+
+    try {
+      const records = await breaker.execute(async () => {
+        const fetched = await source.fetch();
+        if (!Array.isArray(fetched)) {
+          throw createApiError(`Source ${source.name} did not return a list of records`, 502);
+        }
+        return fetched;
+      });
+
+      endTimer({ result: 'success' });
+      stats.consecutiveFailures = 0;
+      stats.lastRecordCount = records.length;
+      stats.lastSuccessAt = new Date().toISOString();
+      stats.lastError = null;
+
+      const provenance = this.describeProvenance(source);
+      return records
+        .filter(record => record && typeof record === 'object')
+        .map(record => ({ ...record, provenance }));
+    } catch (error) {
+      const circuitOpen = breaker.stats.rejected > rejected;
+      if (!circuitOpen) {
+        endTimer({ result: 'error' });
+      }
+      fetchErrors.inc({ source: source.name, reason: circuitOpen ? 'circuit_open' : 'error' });
+      stats.failures++;
+      stats.consecutiveFailures++;
+      stats.lastError = error.message;
+      throw error;
+    }
+  }
+
+  /**
+   * Tell whether the stored data is stale because no polled source can be reached
+   * The data is stale while the circuit of every polled source is open or half-open
+   * @returns {Object} stale flag, and when stale the age in milliseconds of the last successful fetch
+   */
+  getFreshness() {
+    const sources = this.getPullSources();
+    if (!config.externalApi.enabled || sources.length === 0 ||
+        !sources.every(source => this.breakers.get(source.name).isOpen())) {
+      return { stale: false };
+    }
+
+    const lastSuccess = sources
+      .map(source => this.stats.get(source.name).lastSuccessAt)
+      .filter(Boolean)
+      .sort()
+      .pop();
+
+    return {
+      stale: true,
+      age: lastSuccess ? Date.now() - new Date(lastSuccess).getTime() : null,
+      lastUpdated: lastSuccess || null
+    };
+  }
+
+  /**
+   * Get the sources with their fetch statistics and circuit state
+   * @returns {Object} Policy and sources, highest priority first
+   */
+  getStatus() {
+    return {
+      policy: this.policy,
+      sources: this.sources.map(source => ({
+        name: source.name,
+        priority: source.priority,
+        polled: source.pull,
+        ...source.describe(),
+        ...this.stats.get(source.name),
+        circuit: this.breakers.get(source.name)?.getStatus() ?? null
+      }))
+    };
+  }
+}
+
+const sourceService = new SourceService();
+
+export { SOURCE_POLICIES };
+export default sourceService;
@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Record storage service for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import recordStore from '../storage/index.js';
+import { normalizeDeviceId } from '../utils/deviceId.js';
+import eventBus, { EVENTS } from '../utils/eventBus.js';
+import { parseLinkQuality } from '../utils/linkQuality.js';
+import { parseSequenceNumber } from '../utils/sequence.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Storage Service Class
+ * Converts fetched and ingested records to the stored form and reads them back
+ */
+class StorageService {
+  /**
+   * Initialize the service on top of the configured record store
+   * @param {Object} store - Record store (file or memory)
+   */
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Build the stored form of a record
+   * @param {Object} record - Raw upstream or callback record
+   * @param {Object|null} decoding - Result of DecoderService.decodeRecord, null when there is no hex payload
+   * @param {string} origin - Where the record came from (relay, callback)
+   * @returns {Object|null} Stored record, or null when the record has no valid timestamp
+   */
+  prepareRecord(record, decoding, origin) {
+    if (!record || !record.timestamp || isNaN(new Date(record.timestamp).getTime())) {
+      return null;
+    }
+
+    const link = parseLinkQuality(record);
+
+    return {
+      device: normalizeDeviceId(record.device) || 'unknown',
+      timestamp: record.timestamp,
+      temperature: record.temperature ?? null,
+      humidity: record.humidity ?? null,
+      pressure: record.pressure ?? null,
+      hexData: record.hexData || null,
+      seqNumber: parseSequenceNumber(record.seqNumber),
+      ...link,
+      receptions: link.station !== null || link.rssi !== null
+        ? [{ station: link.station, rssi: link.rssi, snr: link.snr }]
+        : [],
+      codec: decoding?.codec ?? null,
+      decoded: decoding?.decoded ?? null,
+      decodeError: decoding?.error ?? null,
+      anomalies: [],
+      origin,
+      provenance: record.provenance ?? null,
+      storedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Persist prepared records, deduplicated on device and timestamp
+   * Every new record is published on the event bus, failed decodings also as decoder errors
+   * @param {Array} records - Prepared records (null entries are ignored)
+   * @returns {Promise<Array>} Records that were new to the store
+   */
+  async persist(records) {
+    const valid = records.filter(Boolean);
+    if (valid.length === 0) {
+      return [];
+    }
+
+    const inserted = await this.store.append(valid);
+
+    logger.debug('Records persisted', {
+      received: valid.length,
+      inserted: inserted.length,
+      duplicates: valid.length - inserted.length
+    });
+
+    for (const record of inserted) {
+      eventBus.publish(EVENTS.recordStored, record);
+      if (record.decodeError) {
+        eventBus.publish(EVENTS.decoderError, {
+          device: record.device,
+          timestamp: record.timestamp,
+          hexData: record.hexData,
+          error: record.decodeError,
+          origin: record.origin
+        });
+      }
+    }
+
+    return inserted;
+  }
+
+  /**
+   * Replace a stored record with a new version for the same device and timestamp
+   * @param {Object} record - New version of the record
+   * @returns {Promise<boolean>} Whether a stored record was replaced
+   */
+  async replace(record) {
+    const replaced = await this.store.replace(record);
+    logger.debug('Record replaced', { device: record.device, timestamp: record.timestamp, replaced });
+    return replaced;
+  }
+
+  /**
+   * Query stored records
+   * @param {Object} criteria - Query criteria (device, from, to, filter, order, limit)
+   * @returns {Promise<Array>} Matching records
+   */
+  async query(criteria = {}) {
+    return this.store.query(criteria);
+  }
+
+  /**
+   * Get record store statistics
+   * @returns {Promise<Object>} Store statistics
+   */
+  async getStats() {
+    return this.store.getStats();
+  }
+}
+
+const storageService = new StorageService(recordStore);
+
+export default storageService;
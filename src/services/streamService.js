@@ -0,0 +1,175 @@
+/**
+ * @fileoverview Server-Sent Events stream service for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import config from '../config/config.js';
+import dataService from './dataService.js';
+import { normalizeDeviceId } from '../utils/deviceId.js';
+import eventBus, { EVENTS } from '../utils/eventBus.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Stream Service Class
+ * Pushes every newly stored record to connected SSE clients. The latest events are
+ * kept in memory so reconnecting clients can replay what they missed via Last-Event-ID.
+ */
+class StreamService {
+  /**
+   * Initialize the replay buffer and subscribe to stored records
+   */
+  constructor() {
+    this.clients = new Map();
+    this.buffer = [];
+    this.lastEventId = 0;
+    this.nextClientId = 1;
+    this.heartbeatTimer = null;
+    this.eventsPublished = 0;
+
+    eventBus.on(EVENTS.recordStored, record => this.publishRecord(record));
+  }
+
+  /**
+   * Turn a stored record into a stream event and send it to matching clients
+   * @param {Object} record - Stored record
+   */
+  publishRecord(record) {
+    const event = {
+      id: ++this.lastEventId,
+      type: 'reading',
+      device: record.device,
+      data: dataService.normalizeStoredRecord(record)
+    };
+
+    this.buffer.push(event);
+    if (this.buffer.length > config.stream.replayBufferSize) {
+      this.buffer.shift();
+    }
+    this.eventsPublished++;
+
+    for (const client of this.clients.values()) {
+      if (this.matchesClient(event, client)) {
+        this.writeEvent(client.res, event);
+      }
+    }
+  }
+
+  /**
+   * Register an SSE client and replay the events it missed
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Object} [options] - Subscription options
+   * @param {string} [options.device] - Only send events of this device
+   * @param {number} [options.lastEventId] - Last event the client received
+   * @returns {number} Client identifier
+   */
+  subscribe(req, res, { device, lastEventId } = {}) {
+    const client = {
+      id: this.nextClientId++,
+      res,
+      device: device ? normalizeDeviceId(device) : null,
+      connectedAt: new Date().toISOString()
+    };
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${config.stream.retryInterval}\n\n`);
+
+    if (lastEventId !== undefined) {
+      const missed = this.buffer.filter(event => event.id > lastEventId && this.matchesClient(event, client));
+      missed.forEach(event => this.writeEvent(res, event));
+      logger.debug('Replayed missed stream events', { client: client.id, count: missed.length });
+    }
+
+    this.clients.set(client.id, client);
+    this.startHeartbeat();
+
+    req.on('close', () => this.unsubscribe(client.id));
+
+    logger.info('Stream client connected', {
+      client: client.id,
+      device: client.device,
+      clients: this.clients.size
+    });
+    return client.id;
+  }
+
+  /**
+   * Remove a disconnected client
+   * @param {number} clientId - Client identifier
+   */
+  unsubscribe(clientId) {
+    if (this.clients.delete(clientId)) {
+      logger.info('Stream client disconnected', { client: clientId, clients: this.clients.size });
+    }
+    if (this.clients.size === 0) {
+      this.stopHeartbeat();
+    }
+  }
+
+  /**
+   * Check whether an event should be sent to a client
+   * @param {Object} event - Stream event
+   * @param {Object} client - Connected client
+   * @returns {boolean} Whether the client receives the event
+   */
+  matchesClient(event, client) {
+    return !client.device || normalizeDeviceId(event.device) === client.device;
+  }
+
+  /**
+   * Write an event in SSE wire format
+   * @param {Object} res - Express response object
+   * @param {Object} event - Stream event
+   */
+  writeEvent(res, event) {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  }
+
+  /**
+   * Start sending heartbeat comments so proxies keep idle connections open
+   */
+  startHeartbeat() {
+    if (this.heartbeatTimer) {
+      return;
+    }
+
+    this.heartbeatTimer = setInterval(() => {
+      for (const client of this.clients.values()) {
+        client.res.write(': heartbeat\n\n');
+      }
+    }, config.stream.heartbeatInterval);
+    this.heartbeatTimer.unref();
+  }
+
+  /**
+   * Stop the heartbeat timer
+   */
+  stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Get stream statistics
+   * @returns {Object} Stream statistics
+   */
+  getStats() {
+    return {
+      clients: this.clients.size,
+      eventsPublished: this.eventsPublished,
+      lastEventId: this.lastEventId,
+      bufferedEvents: this.buffer.length
+    };
+  }
+}
+
+const streamService = new StreamService();
+
+export default streamService;
@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Shared upstream client for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import config from '../config/config.js';
+import cacheService from './cacheService.js';
+import sourceService from './sourceService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Cache key of the records of the last upstream fetch
+ */
+const RECORDS_KEY = 'upstream:records';
+
+/**
+ * Upstream Client Class
+ * The single entry point for reading the upstream sources. The records of the last fetch
+ * are kept in the shared cache for config.data.cacheTimeout milliseconds, where every API
+ * instance using the same cache backend finds them. A call answered from the cache is a
+ * hit; a call that fetches the upstream sources is a miss.
+ */
+class UpstreamClient {
+  /**
+   * Initialize statistics
+   */
+  constructor() {
+    // Time and size of the last fetch made by this instance
+    this.lastFetch = null;
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      fetches: 0,
+      failures: 0
+    };
+  }
+
+  /**
+   * Get the upstream records, from the cache while it is valid
+   * @returns {Promise<Array>} Records with their provenance
+   * @throws {ApiError} When every polled source failed
+   */
+  async get() {
+    const cached = await cacheService.get(RECORDS_KEY);
+    if (cached) {
+      this.stats.hits++;
+      return cached.records;
+    }
+
+    this.stats.misses++;
+    return this.fetch();
+  }
+
+  /**
+   * Fetch the polled sources and cache their records
+   * @returns {Promise<Array>} Records with their provenance
+   */
+  async fetch() {
+    this.stats.fetches++;
+
+    try {
+      const { records, used, failed } = await sourceService.fetch();
+      if (failed.length > 0) {
+        logger.warn('Some upstream sources failed', { used, failed });
+      }
+
+      const fetchedAt = new Date().toISOString();
+      await cacheService.set(RECORDS_KEY, { records, fetchedAt }, config.data.cacheTimeout);
+      this.lastFetch = { fetchedAt, recordCount: records.length };
+      return records;
+    } catch (error) {
+      this.stats.failures++;
+      throw error;
+    }
+  }
+
+  /**
+   * Get cache and fetch statistics
+   * @returns {Promise<Object>} Cache state, hit and miss counts, the fetches made and the cache backend
+   */
+  async getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    const isValid = await cacheService.has(RECORDS_KEY);
+    return {
+      hasData: isValid,
+      timestamp: this.lastFetch?.fetchedAt ?? null,
+      isValid,
+      recordCount: this.lastFetch?.recordCount ?? 0,
+      ...this.stats,
+      hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 10000) / 10000 : null,
+      backend: await cacheService.getStats()
+    };
+  }
+}
+
+const upstreamClient = new UpstreamClient();
+
+export default upstreamClient;
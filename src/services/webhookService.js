@@ -0,0 +1,485 @@
+/**
+ * @fileoverview Outbound webhook notification service for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import axios from 'axios';
+import crypto from 'crypto';
+import config from '../config/config.js';
+import dataService from './dataService.js';
+import { createApiError } from '../middleware/errorMiddleware.js';
+import { normalizeDeviceId } from '../utils/deviceId.js';
+import eventBus, { EVENTS } from '../utils/eventBus.js';
+import JsonFile from '../utils/jsonFile.js';
+import logger from '../utils/logger.js';
+import { delay, isRetryableError } from '../utils/retry.js';
+
+/**
+ * Events webhooks can subscribe to
+ */
+const WEBHOOK_EVENTS = ['reading', 'alert.fired', 'alert.acknowledged', 'alert.resolved'];
+
+/**
+ * Webhook Service Class
+ * POSTs new readings and alert changes to registered URLs. Every request body is
+ * signed with HMAC-SHA256 using the webhook secret. Failed deliveries are retried
+ * with exponential backoff and end up in a dead-letter list that can be replayed.
+ *
+ * Signature header: `sha256=<hex HMAC of "<timestamp>.<body>">`, where the timestamp
+ * is sent in the X-Webhook-Timestamp header.
+ */
+class WebhookService {
+  /**
+   * Load webhooks and dead letters and subscribe to readings and alerts
+   */
+  constructor() {
+    this.file = new JsonFile(config.webhooks.file);
+    this.deadLetterFile = new JsonFile(config.webhooks.deadLetterFile);
+    this.webhooks = new Map();
+    this.deadLetters = this.deadLetterFile.load({ deadLetters: [] }).deadLetters || [];
+    this.stats = {
+      delivered: 0,
+      retries: 0,
+      failed: 0
+    };
+
+    for (const webhook of this.file.load({ webhooks: [] }).webhooks || []) {
+      this.webhooks.set(webhook.id, webhook);
+    }
+
+    this.httpClient = axios.create({
+      timeout: config.webhooks.timeout,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'IoT-DataFusionSuite-Webhooks/1.0.0'
+      }
+    });
+
+    eventBus.on(EVENTS.recordStored, record => {
+      this.dispatch('reading', dataService.normalizeStoredRecord(record), record.device);
+    });
+    eventBus.on(EVENTS.alert, ({ event, alert }) => {
+      this.dispatch(`alert.${event}`, alert, alert.device);
+    });
+  }
+
+  /**
+   * List webhooks without their secrets
+   * @returns {Array} Webhooks sorted by creation date
+   */
+  list() {
+    return [...this.webhooks.values()]
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .map(webhook => this.describe(webhook));
+  }
+
+  /**
+   * Get a webhook entry
+   * @param {string} id - Webhook identifier
+   * @returns {Object} Webhook entry including its secret
+   * @throws {ApiError} When the webhook does not exist
+   */
+  get(id) {
+    const webhook = this.webhooks.get(id);
+    if (!webhook) {
+      throw createApiError(`Webhook not found: ${id}`, 404);
+    }
+    return webhook;
+  }
+
+  /**
+   * Register a webhook
+   * A signing secret is generated when none is given; it is only returned here
+   * @param {Object} data - Webhook definition (url, events, device, secret, enabled)
+   * @returns {Promise<Object>} Created webhook including its secret
+   */
+  async create(data) {
+    const now = new Date().toISOString();
+    const webhook = {
+      id: crypto.randomUUID(),
+      ...this.normalizeWebhook(data || {}),
+      secret: this.normalizeSecret(data?.secret) ?? crypto.randomBytes(32).toString('hex'),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.webhooks.set(webhook.id, webhook);
+    await this.persist();
+
+    logger.info('Webhook registered', { webhook: webhook.id, url: webhook.url, events: webhook.events });
+    return { ...this.describe(webhook), secret: webhook.secret };
+  }
+
+  /**
+   * Update a webhook
+   * Only the attributes present in the payload are changed
+   * @param {string} id - Webhook identifier
+   * @param {Object} data - Attributes to change
+   * @returns {Promise<Object>} Updated webhook without its secret
+   */
+  async update(id, data) {
+    const current = this.get(id);
+    const webhook = {
+      ...current,
+      ...this.normalizeWebhook({ ...current, ...(data || {}) }),
+      secret: this.normalizeSecret(data?.secret) ?? current.secret,
+      updatedAt: new Date().toISOString()
+    };
+
+    this.webhooks.set(id, webhook);
+    await this.persist();
+
+    logger.info('Webhook updated', { webhook: id, fields: Object.keys(data || {}) });
+    return this.describe(webhook);
+  }
+
+  /**
+   * Remove a webhook
+   * Its dead letters are kept so they can still be inspected
+   * @param {string} id - Webhook identifier
+   * @returns {Promise<Object>} Removed webhook without its secret
+   */
+  async remove(id) {
+    const webhook = this.get(id);
+
+    this.webhooks.delete(id);
+    await this.persist();
+
+    logger.info('Webhook removed', { webhook: id });
+    return this.describe(webhook);
+  }
+
+  /**
+   * Validate and normalize a webhook definition
+   * @param {Object} data - Raw definition
+   * @returns {Object} Normalized attributes (url, events, device, enabled)
+   * @throws {ApiError} When an attribute is invalid
+   */
+  normalizeWebhook(data) {
+    let url;
+    try {
+      url = new URL(data.url);
+    } catch (error) {
+      throw createApiError('Webhook url must be an absolute http(s) URL', 400);
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw createApiError('Webhook url must be an absolute http(s) URL', 400);
+    }
+
+    const events = data.events ?? WEBHOOK_EVENTS;
+    if (!Array.isArray(events) || events.length === 0 || events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+      throw createApiError(`Webhook events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}`, 400);
+    }
+
+    if (data.device !== undefined && data.device !== null && (typeof data.device !== 'string' || !data.device)) {
+      throw createApiError('Webhook device must be a device identifier or null for all devices', 400);
+    }
+
+    if (data.enabled !== undefined && typeof data.enabled !== 'boolean') {
+      throw createApiError('Webhook enabled must be a boolean', 400);
+    }
+
+    return {
+      url: url.toString(),
+      events: [...new Set(events)],
+      device: data.device ? normalizeDeviceId(data.device) : null,
+      enabled: data.enabled ?? true
+    };
+  }
+
+  /**
+   * Validate a signing secret
+   * @param {string} [secret] - Secret given by the client
+   * @returns {string|null} Secret, or null when none was given
+   * @throws {ApiError} When the secret is too short
+   */
+  normalizeSecret(secret) {
+    if (secret === undefined || secret === null) {
+      return null;
+    }
+    if (typeof secret !== 'string' || secret.length < 16) {
+      throw createApiError('Webhook secret must be a string of at least 16 characters', 400);
+    }
+    return secret;
+  }
+
+  /**
+   * Send an event to every enabled webhook subscribed to it
+   * Deliveries run in the background
+   * @param {string} event - Event name
+   * @param {Object} data - Event payload
+   * @param {string} [device] - Device the event belongs to
+   */
+  dispatch(event, data, device) {
+    const deviceId = device ? normalizeDeviceId(device) : null;
+
+    for (const webhook of this.webhooks.values()) {
+      if (!webhook.enabled || !webhook.events.includes(event) || (webhook.device && webhook.device !== deviceId)) {
+        continue;
+      }
+
+      // Snapshot the data, alerts keep changing while a delivery is retried
+      const payload = {
+        id: crypto.randomUUID(),
+        event,
+        createdAt: new Date().toISOString(),
+        data: structuredClone(data)
+      };
+
+      this.deliver(webhook, payload).catch(error => {
+        logger.error('Webhook delivery crashed', { webhook: webhook.id, error: error.message });
+      });
+    }
+  }
+
+  /**
+   * Deliver a payload, retrying retryable failures with exponential backoff
+   * Deliveries that still fail are moved to the dead-letter list
+   * @param {Object} webhook - Webhook entry
+   * @param {Object} payload - Payload to deliver
+   * @param {Object} [options] - Delivery options
+   * @param {boolean} [options.deadLetter=true] - Whether a failed delivery is dead-lettered
+   * @param {number} [options.replays=0] - Times the payload was already replayed
+   * @returns {Promise<Object>} Delivery outcome: delivered, attempts, status and error
+   */
+  async deliver(webhook, payload, { deadLetter = true, replays = 0 } = {}) {
+    let attempts = 0;
+
+    while (true) {
+      attempts++;
+      try {
+        const response = await this.send(webhook, payload);
+        this.stats.delivered++;
+
+        logger.debug('Webhook delivered', {
+          webhook: webhook.id,
+          event: payload.event,
+          status: response.status,
+          attempts
+        });
+        return { delivered: true, attempts, status: response.status, error: null };
+
+      } catch (error) {
+        const status = error.response?.status ?? null;
+        const retryable = isRetryableError(error);
+
+        if (retryable && attempts < config.webhooks.maxAttempts) {
+          this.stats.retries++;
+          const retryDelay = config.webhooks.retryBaseDelay * 2 ** (attempts - 1);
+          logger.warn('Webhook delivery failed, retrying', {
+            webhook: webhook.id,
+            event: payload.event,
+            attempt: attempts,
+            nextAttemptIn: `${retryDelay}ms`,
+            error: error.message
+          });
+          await delay(retryDelay);
+          continue;
+        }
+
+        this.stats.failed++;
+        if (deadLetter) {
+          await this.addDeadLetter(webhook, payload, { attempts, status, error: error.message, replays });
+        }
+        return { delivered: false, attempts, status, error: error.message };
+      }
+    }
+  }
+
+  /**
+   * POST a signed payload to a webhook
+   * @param {Object} webhook - Webhook entry
+   * @param {Object} payload - Payload to send
+   * @returns {Promise<Object>} Axios response
+   */
+  async send(webhook, payload) {
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+
+    return this.httpClient.post(webhook.url, body, {
+      headers: {
+        [config.webhooks.signatureHeader]: this.sign(webhook.secret, timestamp, body),
+        'x-webhook-id': webhook.id,
+        'x-webhook-event': payload.event,
+        'x-webhook-delivery': payload.id,
+        'x-webhook-timestamp': timestamp
+      }
+    });
+  }
+
+  /**
+   * Compute the signature of a request body
+   * @param {string} secret - Webhook secret
+   * @param {string} timestamp - Unix timestamp sent with the request
+   * @param {string} body - Raw JSON body
+   * @returns {string} Signature header value
+   */
+  sign(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+  }
+
+  /**
+   * Send a test event to a webhook and wait for the outcome
+   * Failed test deliveries are not dead-lettered
+   * @param {string} id - Webhook identifier
+   * @returns {Promise<Object>} Delivery outcome
+   */
+  async test(id) {
+    const webhook = this.get(id);
+    return this.deliver(webhook, {
+      id: crypto.randomUUID(),
+      event: 'ping',
+      createdAt: new Date().toISOString(),
+      data: { message: 'Webhook test from IoT Data Fusion Suite API' }
+    }, { deadLetter: false });
+  }
+
+  /**
+   * Store a failed delivery in the dead-letter list
+   * @param {Object} webhook - Webhook entry
+   * @param {Object} payload - Undelivered payload
+   * @param {Object} failure - Failure details
+   * @param {number} failure.attempts - Delivery attempts made
+   * @param {number|null} failure.status - Last HTTP status received
+   * @param {string} failure.error - Last error message
+   * @param {number} failure.replays - Times the payload was already replayed
+   * @returns {Promise<void>}
+   */
+  async addDeadLetter(webhook, payload, { attempts, status, error, replays }) {
+    this.deadLetters.push({
+      id: crypto.randomUUID(),
+      webhookId: webhook.id,
+      url: webhook.url,
+      event: payload.event,
+      payload,
+      attempts,
+      lastStatus: status,
+      lastError: error,
+      failedAt: new Date().toISOString(),
+      replays
+    });
+
+    const excess = this.deadLetters.length - config.webhooks.deadLetterLimit;
+    if (excess > 0) {
+      this.deadLetters.splice(0, excess);
+    }
+    await this.persistDeadLetters();
+
+    logger.error('Webhook delivery moved to dead letters', {
+      webhook: webhook.id,
+      event: payload.event,
+      attempts,
+      status,
+      error
+    });
+  }
+
+  /**
+   * List dead letters, newest first
+   * @param {Object} [criteria] - Filters
+   * @param {string} [criteria.webhookId] - Webhook identifier
+   * @returns {Array} Dead letters
+   */
+  listDeadLetters({ webhookId } = {}) {
+    return this.deadLetters
+      .filter(entry => !webhookId || entry.webhookId === webhookId)
+      .reverse();
+  }
+
+  /**
+   * Get a dead letter
+   * @param {string} id - Dead letter identifier
+   * @returns {Object} Dead letter
+   * @throws {ApiError} When the dead letter does not exist
+   */
+  getDeadLetter(id) {
+    const entry = this.deadLetters.find(deadLetter => deadLetter.id === id);
+    if (!entry) {
+      throw createApiError(`Dead letter not found: ${id}`, 404);
+    }
+    return entry;
+  }
+
+  /**
+   * Redeliver a dead letter with the original payload
+   * It is removed from the list when the delivery succeeds; a failed replay
+   * adds a new dead letter and the old one is dropped
+   * @param {string} id - Dead letter identifier
+   * @returns {Promise<Object>} Delivery outcome
+   * @throws {ApiError} When the webhook no longer exists
+   */
+  async replayDeadLetter(id) {
+    const entry = this.getDeadLetter(id);
+    const webhook = this.webhooks.get(entry.webhookId);
+    if (!webhook) {
+      throw createApiError(`Webhook ${entry.webhookId} no longer exists, dead letter cannot be replayed`, 409);
+    }
+
+    this.deadLetters = this.deadLetters.filter(deadLetter => deadLetter !== entry);
+    const outcome = await this.deliver(webhook, entry.payload, { replays: entry.replays + 1 });
+    await this.persistDeadLetters();
+
+    logger.info('Dead letter replayed', { deadLetter: id, delivered: outcome.delivered });
+    return outcome;
+  }
+
+  /**
+   * Discard a dead letter
+   * @param {string} id - Dead letter identifier
+   * @returns {Promise<Object>} Discarded dead letter
+   */
+  async removeDeadLetter(id) {
+    const entry = this.getDeadLetter(id);
+
+    this.deadLetters = this.deadLetters.filter(deadLetter => deadLetter !== entry);
+    await this.persistDeadLetters();
+
+    logger.info('Dead letter discarded', { deadLetter: id });
+    return entry;
+  }
+
+  /**
+   * Describe a webhook without exposing its secret
+   * @param {Object} webhook - Webhook entry
+   * @returns {Object} Public webhook attributes
+   */
+  describe(webhook) {
+    const { secret, ...attributes } = webhook;
+    return { ...attributes, hasSecret: !!secret };
+  }
+
+  /**
+   * Get delivery statistics
+   * @returns {Object} Webhook statistics
+   */
+  getStats() {
+    return {
+      webhooks: this.webhooks.size,
+      ...this.stats,
+      deadLetters: this.deadLetters.length
+    };
+  }
+
+  /**
+   * Write the webhooks to their JSON file
+   * @returns {Promise<void>}
+   */
+  async persist() {
+    await this.file.save({ webhooks: [...this.webhooks.values()] });
+  }
+
+  /**
+   * Write the dead-letter list to its JSON file
+   * @returns {Promise<void>}
+   */
+  async persistDeadLetters() {
+    await this.deadLetterFile.save({ deadLetters: this.deadLetters });
+  }
+}
+
+const webhookService = new WebhookService();
+
+export { WEBHOOK_EVENTS };
+export default webhookService;
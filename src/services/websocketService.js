@@ -0,0 +1,336 @@
+/**
+ * @fileoverview WebSocket topic subscription service for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import { WebSocketServer, WebSocket } from 'ws';
+import config from '../config/config.js';
+import dataService from './dataService.js';
+import storageService from './storageService.js';
+import { normalizeDeviceId } from '../utils/deviceId.js';
+import eventBus, { EVENTS } from '../utils/eventBus.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Topics that are not tied to a device
+ */
+const TOPICS = {
+  alerts: 'alerts',
+  decoderErrors: 'decoder/errors'
+};
+
+/**
+ * Prefix of per-device topics, e.g. device/42A6DA
+ */
+const DEVICE_TOPIC_PREFIX = 'device/';
+
+/**
+ * WebSocket Service Class
+ * Clients send JSON messages to subscribe and unsubscribe to topics and receive
+ * the matching events. Subscribing can request a backfill of the latest entries:
+ * device topics are read from the record store, the other topics from in-memory buffers.
+ *
+ * Client messages:
+ *   { "action": "subscribe", "topic": "device/42A6DA", "backfill": 10 }
+ *   { "action": "unsubscribe", "topic": "device/42A6DA" }
+ *   { "action": "ping" }
+ */
+class WebSocketService {
+  /**
+   * Initialize topic buffers and subscribe to the event bus
+   */
+  constructor() {
+    this.wss = null;
+    this.pingTimer = null;
+    this.nextClientId = 1;
+    this.buffers = {
+      [TOPICS.alerts]: [],
+      [TOPICS.decoderErrors]: []
+    };
+    this.stats = {
+      connections: 0,
+      messagesSent: 0
+    };
+
+    eventBus.on(EVENTS.recordStored, record => {
+      this.broadcast(this.getDeviceTopic(record.device), dataService.normalizeStoredRecord(record));
+    });
+    eventBus.on(EVENTS.decoderError, error => this.publishBuffered(TOPICS.decoderErrors, error));
+    eventBus.on(EVENTS.alert, alert => this.publishBuffered(TOPICS.alerts, alert));
+  }
+
+  /**
+   * Attach the WebSocket server to an HTTP server
+   * @param {Object} server - Node HTTP server
+   * @returns {WebSocketServer} WebSocket server
+   */
+  attach(server) {
+    this.wss = new WebSocketServer({ server, path: config.websocket.path });
+
+    this.wss.on('connection', (socket, req) => this.handleConnection(socket, req));
+    this.wss.on('error', error => {
+      logger.error('WebSocket server error', { error: error.message });
+    });
+
+    this.pingTimer = setInterval(() => this.pingClients(), config.websocket.pingInterval);
+    this.pingTimer.unref();
+
+    logger.info(`WebSocket server attached at ${config.websocket.path}`);
+    return this.wss;
+  }
+
+  /**
+   * Close every connection and stop the server
+   */
+  close() {
+    clearInterval(this.pingTimer);
+    this.pingTimer = null;
+
+    if (this.wss) {
+      this.wss.clients.forEach(socket => socket.terminate());
+      this.wss.close();
+      this.wss = null;
+    }
+  }
+
+  /**
+   * Set up a new client connection
+   * @param {WebSocket} socket - Client socket
+   * @param {Object} req - HTTP upgrade request
+   */
+  handleConnection(socket, req) {
+    socket.clientId = this.nextClientId++;
+    socket.topics = new Set();
+    socket.isAlive = true;
+    this.stats.connections++;
+
+    socket.on('pong', () => {
+      socket.isAlive = true;
+    });
+    socket.on('message', data => {
+      this.handleMessage(socket, data).catch(error => {
+        logger.error('WebSocket message handling failed', { client: socket.clientId, error: error.message });
+        this.send(socket, { type: 'error', message: error.message });
+      });
+    });
+    socket.on('close', () => {
+      logger.info('WebSocket client disconnected', { client: socket.clientId });
+    });
+    // Malformed frames are reported here; without a listener they would crash the process
+    socket.on('error', error => {
+      logger.warn('WebSocket client error', { client: socket.clientId, error: error.message });
+      socket.terminate();
+      this.wss?.clients.delete(socket);
+    });
+
+    logger.info('WebSocket client connected', {
+      client: socket.clientId,
+      ip: req.socket.remoteAddress
+    });
+
+    this.send(socket, {
+      type: 'welcome',
+      topics: [`${DEVICE_TOPIC_PREFIX}<id>`, TOPICS.alerts, TOPICS.decoderErrors]
+    });
+  }
+
+  /**
+   * Handle a client message
+   * @param {WebSocket} socket - Client socket
+   * @param {Buffer|string} data - Raw message
+   * @returns {Promise<void>}
+   */
+  async handleMessage(socket, data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      return this.send(socket, { type: 'error', message: 'Messages must be valid JSON' });
+    }
+
+    switch (message?.action) {
+      case 'subscribe':
+        return this.subscribe(socket, message);
+      case 'unsubscribe':
+        return this.unsubscribe(socket, message);
+      case 'ping':
+        return this.send(socket, { type: 'pong', timestamp: new Date().toISOString() });
+      default:
+        return this.send(socket, {
+          type: 'error',
+          message: 'action must be one of: subscribe, unsubscribe, ping'
+        });
+    }
+  }
+
+  /**
+   * Subscribe a client to a topic and send the requested backfill
+   * @param {WebSocket} socket - Client socket
+   * @param {Object} message - Subscribe message
+   * @param {string} message.topic - Topic name
+   * @param {number} [message.backfill] - Number of latest entries to send
+   * @returns {Promise<void>}
+   */
+  async subscribe(socket, { topic, backfill }) {
+    const normalizedTopic = this.normalizeTopic(topic);
+    if (!normalizedTopic) {
+      return this.send(socket, { type: 'error', message: `Unknown topic: ${topic}` });
+    }
+
+    const count = backfill === undefined ? 0 : parseInt(backfill, 10);
+    if (isNaN(count) || count < 0 || count > config.websocket.maxBackfill) {
+      return this.send(socket, {
+        type: 'error',
+        message: `backfill must be an integer between 0 and ${config.websocket.maxBackfill}`
+      });
+    }
+
+    socket.topics.add(normalizedTopic);
+    this.send(socket, { type: 'subscribed', topic: normalizedTopic });
+
+    if (count > 0) {
+      const entries = await this.getBackfill(normalizedTopic, count);
+      this.send(socket, { type: 'backfill', topic: normalizedTopic, data: entries });
+    }
+
+    logger.debug('WebSocket client subscribed', { client: socket.clientId, topic: normalizedTopic, backfill: count });
+  }
+
+  /**
+   * Unsubscribe a client from a topic
+   * @param {WebSocket} socket - Client socket
+   * @param {Object} message - Unsubscribe message
+   * @param {string} message.topic - Topic name
+   */
+  unsubscribe(socket, { topic }) {
+    const normalizedTopic = this.normalizeTopic(topic);
+    if (!normalizedTopic || !socket.topics.delete(normalizedTopic)) {
+      return this.send(socket, { type: 'error', message: `Not subscribed to topic: ${topic}` });
+    }
+
+    this.send(socket, { type: 'unsubscribed', topic: normalizedTopic });
+  }
+
+  /**
+   * Get the latest entries of a topic, oldest first
+   * @param {string} topic - Normalized topic
+   * @param {number} count - Number of entries
+   * @returns {Promise<Array>} Topic entries
+   */
+  async getBackfill(topic, count) {
+    if (topic.startsWith(DEVICE_TOPIC_PREFIX)) {
+      const records = await storageService.query({
+        device: topic.slice(DEVICE_TOPIC_PREFIX.length),
+        order: 'desc',
+        limit: count
+      });
+      return records.reverse().map(record => dataService.normalizeStoredRecord(record));
+    }
+
+    return this.buffers[topic].slice(-count);
+  }
+
+  /**
+   * Validate a topic name
+   * Device identifiers are uppercased the way Sigfox callbacks report them
+   * @param {string} topic - Topic requested by a client
+   * @returns {string|null} Normalized topic or null when it is unknown
+   */
+  normalizeTopic(topic) {
+    if (typeof topic !== 'string') {
+      return null;
+    }
+
+    if (topic.startsWith(DEVICE_TOPIC_PREFIX) && topic.length > DEVICE_TOPIC_PREFIX.length) {
+      return this.getDeviceTopic(topic.slice(DEVICE_TOPIC_PREFIX.length));
+    }
+
+    return Object.values(TOPICS).includes(topic) ? topic : null;
+  }
+
+  /**
+   * Build the topic of a device
+   * @param {string} device - Device identifier
+   * @returns {string} Device topic
+   */
+  getDeviceTopic(device) {
+    return `${DEVICE_TOPIC_PREFIX}${normalizeDeviceId(device)}`;
+  }
+
+  /**
+   * Keep an entry in a topic buffer and broadcast it
+   * @param {string} topic - Topic name
+   * @param {Object} entry - Topic entry
+   */
+  publishBuffered(topic, entry) {
+    const buffer = this.buffers[topic];
+    buffer.push(entry);
+    if (buffer.length > config.websocket.topicBufferSize) {
+      buffer.shift();
+    }
+    this.broadcast(topic, entry);
+  }
+
+  /**
+   * Send an event to every client subscribed to a topic
+   * @param {string} topic - Topic name
+   * @param {Object} data - Event payload
+   */
+  broadcast(topic, data) {
+    if (!this.wss) {
+      return;
+    }
+
+    for (const socket of this.wss.clients) {
+      if (socket.topics.has(topic)) {
+        this.send(socket, { type: 'event', topic, data });
+      }
+    }
+  }
+
+  /**
+   * Send a JSON message to a client if its connection is open
+   * @param {WebSocket} socket - Client socket
+   * @param {Object} message - Message to send
+   */
+  send(socket, message) {
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(message));
+      this.stats.messagesSent++;
+    }
+  }
+
+  /**
+   * Ping every client and drop those that did not answer the previous ping
+   */
+  pingClients() {
+    for (const socket of this.wss.clients) {
+      if (!socket.isAlive) {
+        logger.warn('Terminating unresponsive WebSocket client', { client: socket.clientId });
+        socket.terminate();
+        continue;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    }
+  }
+
+  /**
+   * Get WebSocket statistics
+   * @returns {Object} WebSocket statistics
+   */
+  getStats() {
+    return {
+      enabled: !!this.wss,
+      clients: this.wss ? this.wss.clients.size : 0,
+      totalConnections: this.stats.connections,
+      messagesSent: this.stats.messagesSent
+    };
+  }
+}
+
+const websocketService = new WebSocketService();
+
+export { TOPICS };
+export default websocketService;
@@ -0,0 +1,44 @@
+/**
+ * @fileoverview Sigfox callback upstream source for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+/**
+ * Callback Source Class
+ * Records pushed by the Sigfox backend to the ingestion endpoint and kept in the record
+ * store. The source is never polled; it gives callback records their provenance and the
+ * priority used when the same frame also arrives from a polled source.
+ */
+class CallbackSource {
+  /**
+   * Create a callback source
+   * @param {Object} options - Source options
+   * @param {string} options.name - Source name
+   * @param {number} options.priority - Source priority, 1 is the highest
+   */
+  constructor({ name, priority }) {
+    this.type = 'callback';
+    this.pull = false;
+    this.name = name;
+    this.priority = priority;
+  }
+
+  /**
+   * Callback records are pushed, there is nothing to fetch
+   * @returns {Promise<Array>} Empty list
+   */
+  async fetch() {
+    return [];
+  }
+
+  /**
+   * Describe the source for status reports
+   * @returns {Object} Source type and the endpoint records are pushed to
+   */
+  describe() {
+    return { type: this.type, endpoint: '/api/ingest/sigfox' };
+  }
+}
+
+export default CallbackSource;
@@ -0,0 +1,144 @@
+/**
+ * @fileoverview HTTP JSON upstream source for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import axios from 'axios';
+import { createApiError } from '../middleware/errorMiddleware.js';
+import logger from '../utils/logger.js';
+import { delay, isRetryableError } from '../utils/retry.js';
+
+/**
+ * HTTP Source Class
+ * Fetches a JSON array of records from an HTTP endpoint, such as the Sigfox relay.
+ * Network errors, timeouts and 5xx responses are retried with a growing delay.
+ */
+class HttpSource {
+  /**
+   * Create an HTTP source
+   * @param {Object} options - Source options
+   * @param {string} options.name - Source name
+   * @param {number} options.priority - Source priority, 1 is the highest
+   * @param {string} options.url - Endpoint returning a JSON array of records
+   * @param {number} options.timeout - Request timeout in milliseconds
+   * @param {number} options.retries - Attempts per fetch
+   * @param {Object} [options.headers] - Extra request headers
+   */
+  constructor({ name, priority, url, timeout, retries, headers = {} }) {
+    if (!url) {
+      throw new Error(`HTTP source ${name} needs a url`);
+    }
+
+    this.type = 'http';
+    this.pull = true;
+    this.name = name;
+    this.priority = priority;
+    this.url = url;
+    this.retries = retries;
+    this.httpClient = axios.create({
+      timeout,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'IoT-DataFusionSuite/1.0.0',
+        ...headers
+      }
+    });
+
+    this.httpClient.interceptors.request.use(
+      (config) => {
+        logger.debug('Making external API request', { source: this.name, url: config.url });
+        return config;
+      },
+      (error) => {
+        logger.error('Request interceptor error', { source: this.name, error: error.message });
+        return Promise.reject(error);
+      }
+    );
+
+    this.httpClient.interceptors.response.use(
+      (response) => {
+        logger.debug('Received response from external API', { source: this.name, url: response.config.url });
+        return response;
+      },
+      (error) => {
+        logger.error('Response interceptor error', { source: this.name, error: error.message });
+        return Promise.reject(error);
+      }
+    );
+  }
+
+  /**
+   * Fetch the records of the endpoint with retry mechanism
+   * @param {number} retryCount - Current retry attempt
+   * @returns {Promise<Array>} Array of raw records
+   * @throws {ApiError} When the endpoint fails or returns invalid data
+   */
+  async fetch(retryCount = 0) {
+    const startTime = Date.now();
+
+    try {
+      logger.info('Fetching data from external API', {
+        source: this.name,
+        attempt: retryCount + 1,
+        endpoint: this.url
+      });
+
+      const response = await this.httpClient.get(this.url);
+
+      if (!response.data || !Array.isArray(response.data)) {
+        throw createApiError('Invalid data format received from external API', 502);
+      }
+
+      const duration = Date.now() - startTime;
+      logger.info('Successfully fetched data from external API', {
+        source: this.name,
+        recordCount: response.data.length,
+        duration: `${duration}ms`
+      });
+
+      return response.data;
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      logger.error('Error fetching external data', {
+        source: this.name,
+        attempt: retryCount + 1,
+        error: error.message,
+        duration: `${duration}ms`
+      });
+
+      // If we haven't exhausted retries and it's a network error, retry
+      if (retryCount < this.retries - 1 && isRetryableError(error)) {
+        logger.info('Retrying external API request', {
+          source: this.name,
+          nextAttempt: retryCount + 2,
+          maxRetries: this.retries
+        });
+        await delay(1000 * (retryCount + 1));
+        return this.fetch(retryCount + 1);
+      }
+
+      if (error.response) {
+        throw createApiError(
+          `External API error: ${error.response.status} - ${error.response.statusText}`,
+          error.response.status === 404 ? 503 : error.response.status
+        );
+      } else if (error.request) {
+        throw createApiError('Unable to reach external API. Please try again later.', 503);
+      } else {
+        throw createApiError(`External API request failed: ${error.message}`, 503);
+      }
+    }
+  }
+
+  /**
+   * Describe the source for status reports
+   * @returns {Object} Source type and endpoint
+   */
+  describe() {
+    return { type: this.type, url: this.url };
+  }
+}
+
+export default HttpSource;
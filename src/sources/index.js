@@ -0,0 +1,41 @@
+/**
+ * @fileoverview Upstream source factory for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import config from '../config/config.js';
+import CallbackSource from './callbackSource.js';
+import FileSource from './fileSource.js';
+import HttpSource from './httpSource.js';
+
+/**
+ * Create an upstream source from its definition
+ * HTTP sources default to the relay timeout and retry settings
+ * @param {Object} definition - Source definition (name, type, priority and type options)
+ * @returns {HttpSource|FileSource|CallbackSource} Upstream source
+ * @throws {Error} When the type is unknown or an option is missing
+ */
+export const createSource = (definition) => {
+  const options = {
+    ...definition,
+    priority: Number.isFinite(definition.priority) ? definition.priority : 1
+  };
+
+  switch (definition.type) {
+    case 'http':
+      return new HttpSource({
+        timeout: config.externalApi.timeout,
+        retries: config.externalApi.retries,
+        ...options
+      });
+    case 'file':
+      return new FileSource(options);
+    case 'callback':
+      return new CallbackSource(options);
+    default:
+      throw new Error(`Unknown upstream source type: ${definition.type}`);
+  }
+};
+
+export { CallbackSource, FileSource, HttpSource };
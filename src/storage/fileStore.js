@@ -0,0 +1,328 @@
+/**
+ * @fileoverview File-backed record store using append-only NDJSON segments
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { normalizeDeviceId } from '../utils/deviceId.js';
+import JsonFile from '../utils/jsonFile.js';
+import logger from '../utils/logger.js';
+import { applyQuery, recordKey, toEpoch } from './query.js';
+
+/**
+ * File Store Class
+ * Appends records as NDJSON lines to numbered segment files. An index file
+ * keeps the time range, record count and devices of every segment so queries
+ * only read the segments that can contain matching records.
+ */
+class FileStore {
+  /**
+   * Create a file store
+   * @param {Object} options - Store options
+   * @param {string} options.directory - Directory holding the segments and the index
+   * @param {number} options.segmentMaxRecords - Records per segment before rolling over
+   */
+  constructor({ directory, segmentMaxRecords }) {
+    this.type = 'file';
+    this.directory = path.resolve(directory);
+    this.segmentMaxRecords = segmentMaxRecords;
+    this.indexFile = new JsonFile(path.join(this.directory, 'index.json'));
+    this.segments = [];
+    this.keys = new Set();
+    this.writeQueue = Promise.resolve();
+    this.ready = null;
+  }
+
+  /**
+   * Load the index and rebuild the deduplication keys from the segments
+   * Runs once, every public method waits for it
+   * @returns {Promise<void>}
+   */
+  init() {
+    if (!this.ready) {
+      this.ready = (async () => {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        this.segments = this.indexFile.load({ segments: [] }).segments || [];
+
+        for (const segment of this.segments) {
+          const records = await this.readSegment(segment);
+          records.forEach(record => this.keys.add(recordKey(record)));
+        }
+
+        logger.info('File record store loaded', {
+          directory: this.directory,
+          segments: this.segments.length,
+          recordCount: this.keys.size
+        });
+      })();
+    }
+    return this.ready;
+  }
+
+  /**
+   * Append records, skipping any already stored for the same device and timestamp
+   * @param {Array} records - Records to store
+   * @returns {Promise<Array>} Records that were actually inserted
+   */
+  async append(records) {
+    await this.init();
+
+    const write = async () => {
+      const inserted = [];
+      const batchKeys = new Set();
+
+      for (const record of records) {
+        const key = recordKey(record);
+        if (this.keys.has(key) || batchKeys.has(key)) {
+          continue;
+        }
+        batchKeys.add(key);
+        inserted.push(record);
+      }
+
+      // Keys are only recorded once their lines are written, so a failed write can be retried
+      let pending = inserted;
+      while (pending.length > 0) {
+        const segment = this.getWritableSegment();
+        const batch = pending.slice(0, this.segmentMaxRecords - segment.count);
+        pending = pending.slice(batch.length);
+
+        const lines = batch.map(record => JSON.stringify(record)).join('\n') + '\n';
+        await fs.promises.appendFile(path.join(this.directory, segment.file), lines);
+        this.updateSegmentMeta(segment, batch);
+        batch.forEach(record => this.keys.add(recordKey(record)));
+      }
+
+      if (inserted.length > 0) {
+        await this.indexFile.save({ segments: this.segments });
+      }
+
+      return inserted;
+    };
+
+    this.writeQueue = this.writeQueue.then(write, write);
+    return this.writeQueue;
+  }
+
+  /**
+   * Replace a stored record with a new version for the same device and timestamp
+   * The segment holding the record is rewritten to a temporary file and renamed over the original
+   * @param {Object} record - New version of the record
+   * @returns {Promise<boolean>} Whether a stored record was replaced
+   */
+  async replace(record) {
+    await this.init();
+
+    const key = recordKey(record);
+    const time = new Date(record.timestamp).getTime();
+
+    const rewrite = async () => {
+      if (!this.keys.has(key)) {
+        return false;
+      }
+
+      const candidates = this.segments.filter(segment =>
+        segment.count > 0 &&
+        segment.devices.includes(record.device) &&
+        new Date(segment.from).getTime() <= time &&
+        new Date(segment.to).getTime() >= time
+      );
+
+      for (const segment of candidates) {
+        const records = await this.readSegment(segment);
+        const index = records.findIndex(stored => recordKey(stored) === key);
+        if (index === -1) {
+          continue;
+        }
+
+        records[index] = record;
+        const file = path.join(this.directory, segment.file);
+        const lines = records.map(stored => JSON.stringify(stored)).join('\n') + '\n';
+        await fs.promises.writeFile(`${file}.tmp`, lines);
+        await fs.promises.rename(`${file}.tmp`, file);
+        return true;
+      }
+
+      return false;
+    };
+
+    this.writeQueue = this.writeQueue.then(rewrite, rewrite);
+    return this.writeQueue;
+  }
+
+  /**
+   * Query stored records
+   * Segments whose time range or device list cannot match are skipped. With a limit, segments
+   * are read from the requested end of the time range and reading stops once no remaining
+   * segment can hold a record that makes the cut.
+   * @param {Object} criteria - Query criteria (device, from, to, filter, order, limit)
+   * @returns {Promise<Array>} Matching records
+   */
+  async query(criteria = {}) {
+    await this.init();
+
+    const fromTime = toEpoch(criteria.from);
+    const toTime = toEpoch(criteria.to);
+    const device = normalizeDeviceId(criteria.device);
+    const ascending = criteria.order === 'asc';
+
+    const candidates = this.segments.filter(segment =>
+      segment.count > 0 &&
+      (!device || segment.devices.some(id => normalizeDeviceId(id) === device)) &&
+      (fromTime === null || new Date(segment.to).getTime() >= fromTime) &&
+      (toTime === null || new Date(segment.from).getTime() <= toTime)
+    );
+
+    if (!criteria.limit) {
+      const records = [];
+      for (const segment of candidates) {
+        records.push(...await this.readSegment(segment));
+      }
+      return applyQuery(records, criteria);
+    }
+
+    // Newest segments first for descending queries, oldest first for ascending ones
+    const ordered = [...candidates].sort((a, b) => ascending
+      ? new Date(a.from).getTime() - new Date(b.from).getTime()
+      : new Date(b.to).getTime() - new Date(a.to).getTime());
+
+    let matching = [];
+    for (const segment of ordered) {
+      if (matching.length >= criteria.limit) {
+        const bound = new Date(matching[matching.length - 1].timestamp).getTime();
+        const beyond = ascending
+          ? new Date(segment.from).getTime() > bound
+          : new Date(segment.to).getTime() < bound;
+        if (beyond) {
+          break;
+        }
+      }
+      matching = applyQuery([...matching, ...await this.readSegment(segment)], criteria);
+    }
+
+    return matching;
+  }
+
+  /**
+   * Get storage statistics
+   * @returns {Promise<Object>} Store statistics
+   */
+  async getStats() {
+    await this.init();
+
+    const populated = this.segments.filter(segment => segment.count > 0);
+    const fromTimes = populated.map(segment => new Date(segment.from).getTime());
+    const toTimes = populated.map(segment => new Date(segment.to).getTime());
+
+    return {
+      type: this.type,
+      directory: this.directory,
+      segments: this.segments.length,
+      recordCount: this.keys.size,
+      devices: [...new Set(this.segments.flatMap(segment => segment.devices))],
+      oldest: fromTimes.length ? new Date(Math.min(...fromTimes)).toISOString() : null,
+      newest: toTimes.length ? new Date(Math.max(...toTimes)).toISOString() : null
+    };
+  }
+
+  /**
+   * Remove every segment and the index
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.init();
+
+    const clearFiles = async () => {
+      for (const segment of this.segments) {
+        await fs.promises.rm(path.join(this.directory, segment.file), { force: true });
+      }
+      this.segments = [];
+      this.keys.clear();
+      await this.indexFile.save({ segments: [] });
+    };
+
+    this.writeQueue = this.writeQueue.then(clearFiles, clearFiles);
+    return this.writeQueue;
+  }
+
+  /**
+   * Get the segment new records go to, rolling over when the last one is full
+   * @returns {Object} Segment metadata
+   */
+  getWritableSegment() {
+    const last = this.segments[this.segments.length - 1];
+    if (last && last.count < this.segmentMaxRecords) {
+      return last;
+    }
+
+    const number = this.segments.length + 1;
+    const segment = {
+      file: `segment-${String(number).padStart(6, '0')}.ndjson`,
+      count: 0,
+      from: null,
+      to: null,
+      devices: []
+    };
+    this.segments.push(segment);
+    return segment;
+  }
+
+  /**
+   * Update the index entry of a segment after appending records
+   * @param {Object} segment - Segment metadata
+   * @param {Array} records - Records appended to the segment
+   */
+  updateSegmentMeta(segment, records) {
+    const devices = new Set(segment.devices);
+    let from = segment.from ? new Date(segment.from).getTime() : Infinity;
+    let to = segment.to ? new Date(segment.to).getTime() : -Infinity;
+
+    for (const record of records) {
+      const time = new Date(record.timestamp).getTime();
+      from = Math.min(from, time);
+      to = Math.max(to, time);
+      devices.add(record.device);
+    }
+
+    segment.count += records.length;
+    segment.from = new Date(from).toISOString();
+    segment.to = new Date(to).toISOString();
+    segment.devices = [...devices];
+  }
+
+  /**
+   * Read and parse every record of a segment
+   * Malformed lines, e.g. from an interrupted write, are skipped
+   * @param {Object} segment - Segment metadata
+   * @returns {Promise<Array>} Segment records
+   */
+  async readSegment(segment) {
+    let content;
+    try {
+      content = await fs.promises.readFile(path.join(this.directory, segment.file), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        logger.warn('Record segment missing', { segment: segment.file });
+        return [];
+      }
+      throw error;
+    }
+
+    const records = [];
+    for (const line of content.split('\n')) {
+      if (!line) {
+        continue;
+      }
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        logger.warn('Skipping malformed record line', { segment: segment.file });
+      }
+    }
+    return records;
+  }
+}
+
+export default FileStore;
@@ -0,0 +1,34 @@
+/**
+ * @fileoverview Record store factory for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import config from '../config/config.js';
+import FileStore from './fileStore.js';
+import MemoryStore from './memoryStore.js';
+
+/**
+ * Create the record store selected in the configuration
+ * @param {Object} storageConfig - Storage configuration
+ * @returns {FileStore|MemoryStore} Record store
+ * @throws {Error} When the driver is unknown
+ */
+export const createRecordStore = (storageConfig = config.storage) => {
+  switch (storageConfig.driver) {
+    case 'memory':
+      return new MemoryStore();
+    case 'file':
+      return new FileStore({
+        directory: storageConfig.recordsDir,
+        segmentMaxRecords: storageConfig.segmentMaxRecords
+      });
+    default:
+      throw new Error(`Unknown storage driver: ${storageConfig.driver}`);
+  }
+};
+
+const recordStore = createRecordStore();
+
+export { FileStore, MemoryStore };
+export default recordStore;
@@ -0,0 +1,101 @@
+/**
+ * @fileoverview In-memory record store
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import { applyQuery, recordKey } from './query.js';
+
+/**
+ * Memory Store Class
+ * Keeps records in process memory. Intended for tests and short-lived instances.
+ */
+class MemoryStore {
+  /**
+   * Create an empty store
+   */
+  constructor() {
+    this.type = 'memory';
+    this.records = [];
+    this.keys = new Set();
+  }
+
+  /**
+   * Append records, skipping any already stored for the same device and timestamp
+   * @param {Array} records - Records to store
+   * @returns {Promise<Array>} Records that were actually inserted
+   */
+  async append(records) {
+    const inserted = [];
+
+    for (const record of records) {
+      const key = recordKey(record);
+      if (this.keys.has(key)) {
+        continue;
+      }
+      this.keys.add(key);
+      this.records.push(record);
+      inserted.push(record);
+    }
+
+    return inserted;
+  }
+
+  /**
+   * Replace a stored record with a new version for the same device and timestamp
+   * @param {Object} record - New version of the record
+   * @returns {Promise<boolean>} Whether a stored record was replaced
+   */
+  async replace(record) {
+    const key = recordKey(record);
+    const index = this.records.findIndex(stored => recordKey(stored) === key);
+    if (index === -1) {
+      return false;
+    }
+    this.records[index] = record;
+    return true;
+  }
+
+  /**
+   * Query stored records
+   * @param {Object} criteria - Query criteria (device, from, to, filter, order, limit)
+   * @returns {Promise<Array>} Matching records
+   */
+  async query(criteria = {}) {
+    return applyQuery(this.records, criteria);
+  }
+
+  /**
+   * Get storage statistics
+   * @returns {Promise<Object>} Store statistics
+   */
+  async getStats() {
+    let oldest = null;
+    let newest = null;
+
+    for (const record of this.records) {
+      const time = new Date(record.timestamp).getTime();
+      oldest = oldest === null ? time : Math.min(oldest, time);
+      newest = newest === null ? time : Math.max(newest, time);
+    }
+
+    return {
+      type: this.type,
+      recordCount: this.records.length,
+      devices: [...new Set(this.records.map(record => record.device))],
+      oldest: oldest !== null ? new Date(oldest).toISOString() : null,
+      newest: newest !== null ? new Date(newest).toISOString() : null
+    };
+  }
+
+  /**
+   * Remove every stored record
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.records = [];
+    this.keys.clear();
+  }
+}
+
+export default MemoryStore;
@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Record query helpers shared by the storage implementations
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import { normalizeDeviceId } from '../utils/deviceId.js';
+
+/**
+ * Build the deduplication key of a record
+ * Records are unique per device and timestamp
+ * @param {Object} record - Stored record
+ * @returns {string} Deduplication key
+ */
+export const recordKey = (record) => `${record.device}|${new Date(record.timestamp).getTime()}`;
+
+/**
+ * Convert a time bound to epoch milliseconds
+ * @param {string|number|Date|undefined} value - Time bound
+ * @returns {number|null} Epoch milliseconds or null when unbounded
+ */
+export const toEpoch = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const time = new Date(value).getTime();
+  return isNaN(time) ? null : time;
+};
+
+/**
+ * Check whether a record matches the query criteria
+ * @param {Object} record - Stored record
+ * @param {Object} criteria - Query criteria
+ * @param {string} [criteria.device] - Device identifier
+ * @param {string|number|Date} [criteria.from] - Inclusive lower time bound
+ * @param {string|number|Date} [criteria.to] - Inclusive upper time bound
+ * @param {Function} [criteria.filter] - Additional record predicate
+ * @returns {boolean} Whether the record matches
+ */
+export const matchesCriteria = (record, { device, from, to, filter } = {}) => {
+  if (device && normalizeDeviceId(record.device) !== normalizeDeviceId(device)) {
+    return false;
+  }
+
+  const time = new Date(record.timestamp).getTime();
+  const fromTime = toEpoch(from);
+  const toTime = toEpoch(to);
+
+  if (fromTime !== null && time < fromTime) {
+    return false;
+  }
+  if (toTime !== null && time > toTime) {
+    return false;
+  }
+
+  return filter ? filter(record) : true;
+};
+
+/**
+ * Compare two records by timestamp, then device, newest first
+ * @param {Object} a - First record
+ * @param {Object} b - Second record
+ * @returns {number} Sort order
+ */
+export const compareNewestFirst = (a, b) =>
+  (new Date(b.timestamp) - new Date(a.timestamp)) || String(a.device).localeCompare(String(b.device));
+
+/**
+ * Filter, sort and limit a list of records
+ * @param {Array} records - Records to query
+ * @param {Object} criteria - Query criteria (device, from, to, filter, order, limit)
+ * @returns {Array} Matching records
+ */
+export const applyQuery = (records, criteria = {}) => {
+  const { order = 'desc', limit } = criteria;
+
+  const matching = records
+    .filter(record => matchesCriteria(record, criteria))
+    .sort(compareNewestFirst);
+
+  if (order === 'asc') {
+    matching.reverse();
+  }
+
+  return limit ? matching.slice(0, limit) : matching;
+};
@@ -0,0 +1,159 @@
+/**
+ * @fileoverview Circuit breaker for upstream calls in IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import { createApiError } from '../middleware/errorMiddleware.js';
+import logger from './logger.js';
+
+/**
+ * Circuit states
+ * closed: calls go through, consecutive failures are counted
+ * open: calls are rejected immediately until the reset timeout has passed
+ * half-open: a single trial call decides whether the circuit closes or opens again
+ */
+export const CIRCUIT_STATE = {
+  closed: 'closed',
+  open: 'open',
+  halfOpen: 'half-open'
+};
+
+/**
+ * Circuit Breaker Class
+ * Wraps calls to an upstream that may be down, so a failing upstream is not retried
+ * on every call. After failureThreshold consecutive failures the circuit opens; once
+ * resetTimeout milliseconds have passed the next call is let through as a trial.
+ */
+export class CircuitBreaker {
+  /**
+   * Create a closed circuit
+   * @param {Object} options - Breaker options
+   * @param {string} options.name - Name of the protected upstream, used in errors and logs
+   * @param {number} options.failureThreshold - Consecutive failures that open the circuit
+   * @param {number} options.resetTimeout - Milliseconds the circuit stays open before a trial call
+   */
+  constructor({ name, failureThreshold, resetTimeout }) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+    this.state = CIRCUIT_STATE.closed;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.stats = {
+      successes: 0,
+      failures: 0,
+      rejected: 0,
+      opened: 0,
+      lastStateChangeAt: null
+    };
+  }
+
+  /**
+   * Run a call through the circuit
+   * @param {Function} call - Async function calling the upstream
+   * @returns {Promise<*>} Result of the call
+   * @throws {ApiError} 503 when the circuit is open, otherwise the error of the call
+   */
+  async execute(call) {
+    if (this.state === CIRCUIT_STATE.open && Date.now() - this.openedAt >= this.resetTimeout) {
+      this.transition(CIRCUIT_STATE.halfOpen);
+    }
+
+    if (this.state === CIRCUIT_STATE.open || (this.state === CIRCUIT_STATE.halfOpen && this.trialInFlight)) {
+      this.stats.rejected++;
+      throw createApiError(`Circuit open for ${this.name}, retrying after ${this.getRetryAt()}`, 503);
+    }
+
+    const trial = this.state === CIRCUIT_STATE.halfOpen;
+    this.trialInFlight = trial;
+
+    try {
+      const result = await call();
+      this.onSuccess();
+      return result;
+    } catch (error) {
+      this.onFailure(error);
+      throw error;
+    } finally {
+      if (trial) {
+        this.trialInFlight = false;
+      }
+    }
+  }
+
+  /**
+   * Record a successful call, closing the circuit
+   */
+  onSuccess() {
+    this.stats.successes++;
+    this.consecutiveFailures = 0;
+    if (this.state !== CIRCUIT_STATE.closed) {
+      this.transition(CIRCUIT_STATE.closed);
+    }
+  }
+
+  /**
+   * Record a failed call, opening the circuit after a failed trial or too many failures
+   * @param {Error} error - Error of the call
+   */
+  onFailure(error) {
+    this.stats.failures++;
+    this.consecutiveFailures++;
+    if (this.state === CIRCUIT_STATE.halfOpen || this.consecutiveFailures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+      this.stats.opened++;
+      this.transition(CIRCUIT_STATE.open, error);
+    }
+  }
+
+  /**
+   * Change the circuit state
+   * @param {string} state - New state
+   * @param {Error} [error] - Error that opened the circuit
+   */
+  transition(state, error) {
+    const previous = this.state;
+    this.state = state;
+    this.stats.lastStateChangeAt = new Date().toISOString();
+
+    const details = { name: this.name, from: previous, to: state };
+    if (state === CIRCUIT_STATE.open) {
+      logger.warn('Circuit opened', { ...details, error: error?.message, retryAt: this.getRetryAt() });
+    } else {
+      logger.info('Circuit state changed', details);
+    }
+  }
+
+  /**
+   * Check whether calls are currently rejected
+   * @returns {boolean} Whether the circuit is open or waiting on a trial call
+   */
+  isOpen() {
+    return this.state !== CIRCUIT_STATE.closed;
+  }
+
+  /**
+   * Get the time after which an open circuit lets a trial call through
+   * @returns {string|null} ISO time, null when the circuit is not open
+   */
+  getRetryAt() {
+    return this.state === CIRCUIT_STATE.open ? new Date(this.openedAt + this.resetTimeout).toISOString() : null;
+  }
+
+  /**
+   * Get the circuit state and statistics
+   * @returns {Object} State, consecutive failures, next trial time and call counts
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      resetTimeout: this.resetTimeout,
+      retryAt: this.getRetryAt(),
+      ...this.stats
+    };
+  }
+}
@@ -0,0 +1,19 @@
+/**
+ * @fileoverview Device identifier helpers for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+/**
+ * Normalize a device identifier
+ * Sigfox device IDs are hexadecimal and case-insensitive; they are kept uppercase everywhere
+ * so `1b2c3d` and `1B2C3D` are the same device.
+ * @param {*} id - Device identifier
+ * @returns {*} Trimmed uppercase identifier, or the value unchanged when it is not a string or number
+ */
+export const normalizeDeviceId = (id) => {
+  if (typeof id !== 'string' && typeof id !== 'number') {
+    return id;
+  }
+  return String(id).trim().toUpperCase();
+};
@@ -0,0 +1,28 @@
+/**
+ * @fileoverview Duration parsing helpers for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+/**
+ * Duration units in milliseconds
+ */
+const DURATION_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parse a duration such as 30s, 5m, 1h or 1d
+ * @param {string} value - Duration
+ * @returns {number|null} Duration in milliseconds, or null when malformed or zero
+ */
+export const parseDuration = (value) => {
+  const match = /^(\d+)([smhd])$/.exec(String(value));
+  if (!match || parseInt(match[1], 10) === 0) {
+    return null;
+  }
+  return parseInt(match[1], 10) * DURATION_UNITS[match[2]];
+};
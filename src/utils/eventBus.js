@@ -0,0 +1,47 @@
+/**
+ * @fileoverview In-process event bus for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import { EventEmitter } from 'events';
+import logger from './logger.js';
+
+/**
+ * Event names published on the bus
+ */
+const EVENTS = {
+  recordStored: 'record:stored',
+  decoderError: 'decoder:error',
+  alert: 'alert',
+  pollCompleted: 'poller:completed',
+  pollFailed: 'poller:failed'
+};
+
+/**
+ * Event Bus Class
+ * Lets services announce new data without importing the services that consume it
+ */
+class EventBus extends EventEmitter {
+  /**
+   * Publish an event to every listener
+   * A failing listener is logged and does not affect the publisher or the other listeners
+   * @param {string} event - Event name
+   * @param {*} payload - Event payload
+   */
+  publish(event, payload) {
+    for (const listener of this.listeners(event)) {
+      try {
+        listener(payload);
+      } catch (error) {
+        logger.error('Event listener failed', { event, error: error.message });
+      }
+    }
+  }
+}
+
+const eventBus = new EventBus();
+eventBus.setMaxListeners(0);
+
+export { EVENTS };
+export default eventBus;
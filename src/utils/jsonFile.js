@@ -0,0 +1,68 @@
+/**
+ * @fileoverview JSON file persistence helper for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import fs from 'fs';
+import path from 'path';
+import logger from './logger.js';
+
+/**
+ * JSON File Class
+ * Loads a JSON document synchronously and saves it atomically.
+ * Saves are queued so concurrent writers never interleave.
+ */
+class JsonFile {
+  /**
+   * Create a JSON file handle
+   * @param {string} filePath - Path of the JSON document
+   */
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Read and parse the document
+   * @param {*} fallback - Value returned when the file does not exist yet
+   * @returns {*} Parsed document or the fallback
+   * @throws {Error} When the file exists but cannot be parsed
+   */
+  load(fallback) {
+    try {
+      const content = fs.readFileSync(this.filePath, 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return fallback;
+      }
+      logger.error('Failed to load JSON file', { file: this.filePath, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Write the document to disk through a temporary file and rename
+   * @param {*} data - Serializable document
+   * @returns {Promise<void>} Resolves once this write has completed
+   */
+  save(data) {
+    const content = JSON.stringify(data, null, 2);
+
+    const write = async () => {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.promises.writeFile(tempPath, content);
+      await fs.promises.rename(tempPath, this.filePath);
+    };
+
+    this.writeQueue = this.writeQueue.then(write, write);
+    return this.writeQueue.catch(error => {
+      logger.error('Failed to save JSON file', { file: this.filePath, error: error.message });
+      throw error;
+    });
+  }
+}
+
+export default JsonFile;
@@ -0,0 +1,40 @@
+/**
+ * @fileoverview Radio link metadata helpers for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+/**
+ * Parse a numeric link value sent as a number or a numeric string
+ * @param {number|string} value - Link value
+ * @returns {number|null} Value, or null when missing or not numeric
+ */
+const parseLinkNumber = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  return isFinite(number) ? number : null;
+};
+
+/**
+ * Extract the radio link metadata of an upstream record or Sigfox callback
+ * Values that are missing or malformed are kept as null
+ * @param {Object} source - Upstream record or callback body
+ * @returns {Object} rssi (dBm), snr (dB), station ID, number of receiving stations and country code
+ */
+export const parseLinkQuality = (source = {}) => {
+  const stationCount = parseLinkNumber(source.stationCount);
+
+  return {
+    rssi: parseLinkNumber(source.rssi),
+    snr: parseLinkNumber(source.snr),
+    station: source.station !== undefined && source.station !== null && source.station !== ''
+      ? String(source.station).toUpperCase()
+      : null,
+    stationCount: Number.isInteger(stationCount) && stationCount > 0 ? stationCount : null,
+    countryCode: source.countryCode !== undefined && source.countryCode !== null && source.countryCode !== ''
+      ? String(source.countryCode).toUpperCase()
+      : null
+  };
+};
@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Meteorological formulas for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+/**
+ * Magnus coefficients over water (Sonntag 1990), valid from -45°C to 60°C
+ */
+const MAGNUS_A = 17.62;
+const MAGNUS_B = 243.12;
+
+/**
+ * Standard sea-level pressure in hPa
+ */
+const STANDARD_PRESSURE = 1013.25;
+
+/**
+ * Dew point from temperature and relative humidity (Magnus formula)
+ * @param {number} temperature - Temperature in °C
+ * @param {number} humidity - Relative humidity in %
+ * @returns {number|null} Dew point in °C, null when the humidity is not positive
+ */
+export const dewPoint = (temperature, humidity) => {
+  if (humidity <= 0) {
+    return null;
+  }
+  const gamma = Math.log(humidity / 100) + (MAGNUS_A * temperature) / (MAGNUS_B + temperature);
+  return (MAGNUS_B * gamma) / (MAGNUS_A - gamma);
+};
+
+/**
+ * Absolute humidity from temperature and relative humidity
+ * @param {number} temperature - Temperature in °C
+ * @param {number} humidity - Relative humidity in %
+ * @returns {number} Water vapour density in g/m³
+ */
+export const absoluteHumidity = (temperature, humidity) => {
+  const saturationPressure = 6.112 * Math.exp((MAGNUS_A * temperature) / (MAGNUS_B + temperature));
+  return (saturationPressure * humidity * 2.1674) / (273.15 + temperature);
+};
+
+/**
+ * Heat index (apparent temperature) from temperature and relative humidity
+ * Uses the US National Weather Service algorithm: the simple Steadman estimate, replaced by
+ * the Rothfusz regression with its low and high humidity adjustments from 80°F (26.7°C)
+ * @param {number} temperature - Temperature in °C
+ * @param {number} humidity - Relative humidity in %
+ * @returns {number} Heat index in °C
+ */
+export const heatIndex = (temperature, humidity) => {
+  const t = temperature * 9 / 5 + 32;
+  let index = 0.5 * (t + 61 + (t - 68) * 1.2 + humidity * 0.094);
+
+  if ((index + t) / 2 >= 80) {
+    index = -42.379 + 2.04901523 * t + 10.14333127 * humidity
+      - 0.22475541 * t * humidity - 0.00683783 * t * t
+      - 0.05481717 * humidity * humidity + 0.00122874 * t * t * humidity
+      + 0.00085282 * t * humidity * humidity - 0.00000199 * t * t * humidity * humidity;
+
+    if (humidity < 13 && t >= 80 && t <= 112) {
+      index -= ((13 - humidity) / 4) * Math.sqrt((17 - Math.abs(t - 95)) / 17);
+    } else if (humidity > 85 && t >= 80 && t <= 87) {
+      index += ((humidity - 85) / 10) * ((87 - t) / 5);
+    }
+  }
+
+  return (index - 32) * 5 / 9;
+};
+
+/**
+ * Pressure altitude: the altitude of the measured pressure in the standard atmosphere
+ * @param {number} pressure - Station pressure in hPa
+ * @returns {number} Pressure altitude in meters
+ */
+export const pressureAltitude = (pressure) =>
+  44307.694 * (1 - Math.pow(pressure / STANDARD_PRESSURE, 0.190284));
+
+/**
+ * Reduce a station pressure to sea level (hypsometric formula)
+ * @param {number} pressure - Station pressure in hPa
+ * @param {number} temperature - Temperature in °C
+ * @param {number} altitude - Station altitude in meters
+ * @returns {number} Sea-level pressure in hPa
+ */
+export const seaLevelPressure = (pressure, temperature, altitude) =>
+  pressure * Math.pow(1 - (0.0065 * altitude) / (temperature + 0.0065 * altitude + 273.15), -5.257);
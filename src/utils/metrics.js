@@ -0,0 +1,280 @@
+/**
+ * @fileoverview Prometheus metric primitives for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+/**
+ * Default histogram buckets, in seconds
+ */
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Escape a label value for the text exposition format
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+/**
+ * Format a label set
+ * @param {Object} labels - Label name to value
+ * @returns {string} {name="value",...}, empty when there are no labels
+ */
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  return entries.length > 0
+    ? `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`
+    : '';
+};
+
+/**
+ * Format a sample value
+ * @param {number} value - Sample value
+ * @returns {string} Value, with +Inf, -Inf and NaN spelled as Prometheus expects
+ */
+const formatValue = (value) => {
+  if (Number.isNaN(value)) {
+    return 'NaN';
+  }
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  if (value === -Infinity) {
+    return '-Inf';
+  }
+  return String(value);
+};
+
+/**
+ * Base Metric Class
+ * A named metric with a fixed set of label names and one series per label combination
+ */
+class Metric {
+  /**
+   * Create a metric
+   * @param {Object} options - Metric options
+   * @param {string} options.name - Metric name
+   * @param {string} options.help - Description
+   * @param {Array<string>} [options.labelNames] - Label names
+   */
+  constructor({ name, help, labelNames = [] }) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    // Serialized labels -> { labels, ...series state }
+    this.series = new Map();
+  }
+
+  /**
+   * Get the series of a label combination, creating it when missing
+   * @param {Object} labels - Label values, unknown labels are ignored and missing ones are empty
+   * @param {Function} create - Builds the initial series state
+   * @returns {Object} Series
+   */
+  getSeries(labels, create) {
+    const values = Object.fromEntries(this.labelNames.map(name => [name, labels[name] ?? '']));
+    const key = JSON.stringify(values);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: values, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  /**
+   * Remove every series
+   */
+  reset() {
+    this.series.clear();
+  }
+
+  /**
+   * Render the metric in the text exposition format
+   * @returns {string} HELP and TYPE lines followed by the samples
+   */
+  render() {
+    return [
+      `# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`,
+      `# TYPE ${this.name} ${this.type}`,
+      ...this.samples()
+    ].join('\n');
+  }
+}
+
+/**
+ * Counter Class
+ * A value that only goes up
+ */
+export class Counter extends Metric {
+  type = 'counter';
+
+  /**
+   * Increase the counter
+   * @param {Object} [labels] - Label values
+   * @param {number} [value] - Increment, 1 by default
+   */
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+
+  /**
+   * Set the counter to a total kept elsewhere, such as service statistics
+   * @param {Object} labels - Label values
+   * @param {number} value - Total since startup
+   */
+  set(labels, value) {
+    this.getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+
+  /**
+   * Build the sample lines
+   * @returns {Array<string>} Samples
+   */
+  samples() {
+    return [...this.series.values()].map(series => `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+  }
+}
+
+/**
+ * Gauge Class
+ * A value that can go up and down
+ */
+export class Gauge extends Counter {
+  type = 'gauge';
+}
+
+/**
+ * Histogram Class
+ * Counts observations in cumulative buckets, with their sum and count
+ */
+export class Histogram extends Metric {
+  type = 'histogram';
+
+  /**
+   * Create a histogram
+   * @param {Object} options - Metric options, with buckets as ascending upper bounds
+   */
+  constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+    super(options);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  /**
+   * Record an observation
+   * @param {Object} labels - Label values
+   * @param {number} value - Observed value
+   */
+  observe(labels, value) {
+    const series = this.getSeries(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Start a timer
+   * @param {Object} [labels] - Label values known at the start
+   * @returns {Function} Ends the timer and observes the elapsed seconds, with labels known at the end
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (endLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...endLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  /**
+   * Build the sample lines
+   * @returns {Array<string>} Bucket, sum and count samples
+   */
+  samples() {
+    return [...this.series.values()].flatMap(series => [
+      ...this.buckets.map((bound, index) =>
+        `${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[index]}`
+      ),
+      `${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`,
+      `${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`,
+      `${this.name}_count${formatLabels(series.labels)} ${series.count}`
+    ]);
+  }
+}
+
+/**
+ * Metrics Registry Class
+ * Holds the metrics of the process. Metrics are registered once by name; modules that
+ * record them create or look them up here, so the registry has no dependencies.
+ */
+class MetricsRegistry {
+  /**
+   * Create an empty registry
+   */
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  /**
+   * Get a registered metric or register a new one
+   * @param {Function} Type - Metric class
+   * @param {Object} options - Metric options
+   * @returns {Metric} Metric
+   * @throws {Error} When the name is registered with another type
+   */
+  register(Type, options) {
+    const existing = this.metrics.get(options.name);
+    if (existing) {
+      if (existing.constructor !== Type) {
+        throw new Error(`Metric ${options.name} is already registered as a ${existing.type}`);
+      }
+      return existing;
+    }
+
+    const metric = new Type(options);
+    this.metrics.set(options.name, metric);
+    return metric;
+  }
+
+  /**
+   * Get or register a counter
+   * @param {Object} options - Metric options (name, help, labelNames)
+   * @returns {Counter} Counter
+   */
+  counter(options) {
+    return this.register(Counter, options);
+  }
+
+  /**
+   * Get or register a gauge
+   * @param {Object} options - Metric options (name, help, labelNames)
+   * @returns {Gauge} Gauge
+   */
+  gauge(options) {
+    return this.register(Gauge, options);
+  }
+
+  /**
+   * Get or register a histogram
+   * @param {Object} options - Metric options (name, help, labelNames, buckets)
+   * @returns {Histogram} Histogram
+   */
+  histogram(options) {
+    return this.register(Histogram, options);
+  }
+
+  /**
+   * Render every metric in the Prometheus text exposition format
+   * @returns {string} Exposition text
+   */
+  render() {
+    return `${[...this.metrics.values()].map(metric => metric.render()).join('\n')}\n`;
+  }
+}
+
+const metrics = new MetricsRegistry();
+
+export default metrics;
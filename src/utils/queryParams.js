@@ -0,0 +1,23 @@
+/**
+ * @fileoverview Query parameter helpers for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import { createApiError } from '../middleware/errorMiddleware.js';
+
+/**
+ * Ensure query parameters hold a single string value
+ * Express parses repeated parameters (device=a&device=b) into arrays and bracketed ones
+ * (from[]=1, fields[a]=b) into arrays or objects, which would otherwise be coerced or echoed back
+ * @param {Object} query - Express query object
+ * @param {Array<string>} names - Parameters to check, absent ones are skipped
+ * @throws {ApiError} 400 when a parameter is not a string
+ */
+export const requireStringParams = (query, names) => {
+  for (const name of names) {
+    if (query[name] !== undefined && typeof query[name] !== 'string') {
+      throw createApiError(`${name} must be a single value`, 400);
+    }
+  }
+};
@@ -0,0 +1,24 @@
+/**
+ * @fileoverview Retry helpers for outbound HTTP requests
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+/**
+ * Check if an HTTP request error is worth retrying
+ * Network errors, timeouts and 5xx responses are; 4xx responses are not
+ * @param {Error} error - Axios error
+ * @returns {boolean} Whether the error is retryable
+ */
+export const isRetryableError = (error) =>
+  !error.response ||
+  error.code === 'ECONNABORTED' ||
+  error.code === 'ETIMEDOUT' ||
+  error.response.status >= 500;
+
+/**
+ * Delay execution for the specified time
+ * @param {number} ms - Milliseconds to delay
+ * @returns {Promise<void>} Promise that resolves after the delay
+ */
+export const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
@@ -0,0 +1,23 @@
+/**
+ * @fileoverview Sigfox sequence number helpers for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+/**
+ * Sigfox sequence numbers are 12-bit counters that roll over from 4095 to 0
+ */
+export const SEQUENCE_MODULO = 4096;
+
+/**
+ * Parse a sequence number sent as a number or a numeric string
+ * @param {number|string} value - Sequence number
+ * @returns {number|null} Sequence number, or null when missing or out of range
+ */
+export const parseSequenceNumber = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const seqNumber = Number(value);
+  return Number.isInteger(seqNumber) && seqNumber >= 0 && seqNumber < SEQUENCE_MODULO ? seqNumber : null;
+};
@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Time zone helpers for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+// Time zone name -> date formatter, formatters are expensive to create
+const formatters = new Map();
+
+/**
+ * Get the date formatter of a time zone
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Intl.DateTimeFormat} Formatter with the date, time and UTC offset parts
+ */
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      timeZoneName: 'longOffset'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Check whether a time zone name is known
+ * @param {string} timeZone - IANA time zone name, e.g. America/La_Paz
+ * @returns {boolean} Whether the name is valid
+ */
+export const isValidTimeZone = (timeZone) => {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Format a time as ISO 8601 in a time zone, with its UTC offset
+ * @param {string|number|Date} value - Time
+ * @param {string} timeZone - Valid IANA time zone name
+ * @returns {string|*} Local time such as 2025-06-01T08:00:00.000-04:00, the value unchanged when it is not a time
+ */
+export const formatInTimeZone = (value, timeZone) => {
+  const date = new Date(value);
+  if (value === null || value === undefined || isNaN(date.getTime())) {
+    return value;
+  }
+
+  const parts = Object.fromEntries(
+    getFormatter(timeZone).formatToParts(date).map(part => [part.type, part.value])
+  );
+  // longOffset is "GMT" for a zero offset and "GMT-04:00" otherwise
+  const offset = parts.timeZoneName.replace('GMT', '') || '+00:00';
+  const milliseconds = String(date.getUTCMilliseconds()).padStart(3, '0');
+
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}.${milliseconds}${offset}`;
+};
@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Measurement unit conversions for IoT Data Fusion Suite API
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+/**
+ * Quantities with their base unit (the unit readings are decoded and derived in),
+ * their imperial unit and the conversion from the base unit to every supported unit
+ */
+export const QUANTITIES = {
+  temperature: {
+    base: '°C',
+    imperial: '°F',
+    units: {
+      '°C': value => value,
+      '°F': value => value * 9 / 5 + 32,
+      K: value => value + 273.15
+    }
+  },
+  relativeHumidity: {
+    base: '%',
+    imperial: '%',
+    units: {
+      '%': value => value
+    }
+  },
+  pressure: {
+    base: 'hPa',
+    imperial: 'inHg',
+    units: {
+      hPa: value => value,
+      kPa: value => value / 10,
+      inHg: value => value * 0.02952998,
+      mmHg: value => value * 0.75006168
+    }
+  },
+  absoluteHumidity: {
+    base: 'g/m³',
+    imperial: 'gr/ft³',
+    units: {
+      'g/m³': value => value,
+      'gr/ft³': value => value * 0.43699572
+    }
+  },
+  length: {
+    base: 'm',
+    imperial: 'ft',
+    units: {
+      m: value => value,
+      ft: value => value / 0.3048
+    }
+  }
+};
+
+/**
+ * Spellings accepted in query strings, where ° and ³ are awkward to type
+ */
+const UNIT_ALIASES = {
+  c: '°C',
+  celsius: '°C',
+  f: '°F',
+  fahrenheit: '°F',
+  k: 'K',
+  kelvin: 'K',
+  percent: '%',
+  'g/m3': 'g/m³',
+  'gr/ft3': 'gr/ft³'
+};
+
+/**
+ * Find the quantity measured in a base unit
+ * @param {string} unit - Base unit, e.g. °C
+ * @returns {string|undefined} Quantity name
+ */
+export const quantityOf = (unit) =>
+  Object.keys(QUANTITIES).find(quantity => QUANTITIES[quantity].base === unit);
+
+/**
+ * Resolve a unit spelling to the unit of a quantity
+ * @param {string} quantity - Quantity name
+ * @param {string} value - Unit as written, case-insensitive
+ * @returns {string|null} Unit label, or null when the quantity has no such unit
+ */
+export const resolveUnit = (quantity, value) => {
+  const spelling = String(value).trim().toLowerCase();
+  const alias = UNIT_ALIASES[spelling];
+  return Object.keys(QUANTITIES[quantity].units)
+    .find(unit => unit === alias || unit.toLowerCase() === spelling) || null;
+};
+
+/**
+ * Convert a value from the base unit of a quantity
+ * @param {string} quantity - Quantity name
+ * @param {number} value - Value in the base unit
+ * @param {string} unit - Target unit of the quantity
+ * @returns {number} Converted value
+ */
+export const convertUnit = (quantity, value, unit) => QUANTITIES[quantity].units[unit](value);
@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Redis cache backend tests against an in-process Redis protocol server
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import { after, afterEach, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import RedisCache from '../src/cache/redisCache.js';
+import FakeRedis from './support/fakeRedis.js';
+
+const PREFIX = 'test:';
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('redis cache', () => {
+  const server = new FakeRedis();
+  let url;
+  let caches;
+
+  /**
+   * Create a cache on the fake server, closed after the test
+   * @param {Object} [options] - Cache options overriding the defaults
+   * @returns {RedisCache} Cache
+   */
+  const createCache = (options = {}) => {
+    const cache = new RedisCache({ url, keyPrefix: PREFIX, timeout: 1000, maxEntries: 100, defaultTtl: 0, ...options });
+    caches.push(cache);
+    return cache;
+  };
+
+  before(async () => {
+    url = await server.start();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  beforeEach(() => {
+    server.flush();
+    caches = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(caches.map(cache => cache.close()));
+  });
+
+  test('stores values as JSON under the key prefix', async () => {
+    const cache = createCache();
+
+    await cache.set('records', { items: [1, 2], source: 'relay' });
+
+    assert.deepEqual(await cache.get('records'), { items: [1, 2], source: 'relay' });
+    assert.equal(await cache.has('records'), true);
+    assert.equal(server.strings.has(`${PREFIX}records`), true);
+    assert.equal(await cache.get('missing'), null);
+    assert.equal(await cache.has('missing'), false);
+  });
+
+  test('shares entries between instances', async () => {
+    await createCache().set('upstream:records', [{ device: 'ABC1' }]);
+
+    assert.deepEqual(await createCache().get('upstream:records'), [{ device: 'ABC1' }]);
+  });
+
+  test('expires entries after their TTL', async () => {
+    const cache = createCache({ defaultTtl: 200 });
+    await cache.set('short', 'a');
+    await cache.set('kept', 'b', 0);
+
+    assert.equal(await cache.get('short'), 'a');
+    await sleep(250);
+
+    assert.equal(await cache.get('short'), null);
+    assert.equal(await cache.get('kept'), 'b');
+    assert.deepEqual(server.members(cache.recencyKey), [`${PREFIX}kept`]);
+  });
+
+  test('evicts the least recently used entries beyond the size limit', async () => {
+    const cache = createCache({ maxEntries: 3 });
+    for (const key of ['a', 'b', 'c']) {
+      await cache.set(key, key);
+      await sleep(2);
+    }
+    await cache.get('a');
+    await sleep(2);
+
+    await cache.set('d', 'd');
+
+    assert.equal(await cache.get('b'), null);
+    assert.deepEqual((await cache.keys()).sort(), ['a', 'c', 'd']);
+    assert.equal(cache.stats.evictions, 1);
+    assert.ok(server.commands.includes('MULTI') && server.commands.includes('EXEC'));
+  });
+
+  test('instances evicting at the same time remove each entry once', async () => {
+    const writer = createCache();
+    for (const key of ['a', 'b', 'c', 'd', 'e']) {
+      await writer.set(key, key);
+      await sleep(2);
+    }
+    const first = createCache({ maxEntries: 2 });
+    const second = createCache({ maxEntries: 2 });
+
+    await Promise.all([first.evict(), second.evict()]);
+
+    assert.deepEqual((await writer.keys()).sort(), ['d', 'e']);
+    assert.deepEqual(server.members(writer.recencyKey), [`${PREFIX}d`, `${PREFIX}e`]);
+    assert.equal(first.stats.evictions + second.stats.evictions, 3);
+  });
+
+  test('lists keys matching a pattern without the prefix', async () => {
+    const cache = createCache();
+    await cache.set('upstream:records', 1);
+    await cache.set('upstream:[raw]', 2);
+    await cache.set('history:ABC1', 3);
+
+    assert.deepEqual((await cache.keys()).sort(), ['history:ABC1', 'upstream:[raw]', 'upstream:records']);
+    assert.deepEqual((await cache.keys('upstream:*')).sort(), ['upstream:[raw]', 'upstream:records']);
+    assert.deepEqual(await cache.keys('upstream:[raw]'), ['upstream:[raw]']);
+    assert.deepEqual(await cache.keys('history:ABC?'), ['history:ABC1']);
+  });
+
+  test('clears the entries matching a pattern', async () => {
+    const cache = createCache();
+    await cache.set('upstream:records', 1);
+    await cache.set('upstream:raw', 2);
+    await cache.set('history:ABC1', 3);
+
+    assert.equal(await cache.clear('upstream:*'), 2);
+    assert.deepEqual(await cache.keys(), ['history:ABC1']);
+    assert.deepEqual(server.members(cache.recencyKey), [`${PREFIX}history:ABC1`]);
+
+    assert.equal(await cache.clear(), 1);
+    assert.deepEqual(await cache.keys(), []);
+    assert.equal(await cache.clear(), 0);
+  });
+
+  test('deletes single entries', async () => {
+    const cache = createCache();
+    await cache.set('a', 1);
+
+    assert.equal(await cache.delete('a'), true);
+    assert.equal(await cache.delete('a'), false);
+    assert.equal(await cache.get('a'), null);
+  });
+});
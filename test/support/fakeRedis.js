@@ -0,0 +1,242 @@
+/**
+ * @fileoverview In-process Redis protocol server for tests
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import net from 'net';
+import { patternToRegExp } from '../../src/cache/pattern.js';
+
+/**
+ * Encode a reply value as RESP
+ * @param {*} value - null, number, string, Error or array of those
+ * @returns {string} Encoded reply
+ */
+const encodeReply = (value) => {
+  if (value === null) {
+    return '$-1\r\n';
+  }
+  if (value instanceof Error) {
+    return `-${value.message}\r\n`;
+  }
+  if (typeof value === 'number') {
+    return `:${value}\r\n`;
+  }
+  if (Array.isArray(value)) {
+    return `*${value.length}\r\n${value.map(encodeReply).join('')}`;
+  }
+  return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+};
+
+/**
+ * Parse one RESP command (an array of bulk strings)
+ * @param {Buffer} buffer - Received bytes
+ * @returns {Object|null} Command arguments and the bytes read, null when the command is incomplete
+ */
+const parseCommand = (buffer) => {
+  const readLine = (start) => {
+    const end = buffer.indexOf('\r\n', start);
+    return end === -1 ? null : { text: buffer.toString('latin1', start + 1, end), next: end + 2 };
+  };
+
+  const header = readLine(0);
+  if (!header) {
+    return null;
+  }
+
+  const args = [];
+  let offset = header.next;
+  for (let index = 0; index < Number(header.text); index++) {
+    const length = readLine(offset);
+    if (!length || buffer.length < length.next + Number(length.text) + 2) {
+      return null;
+    }
+    args.push(buffer.toString('utf8', length.next, length.next + Number(length.text)));
+    offset = length.next + Number(length.text) + 2;
+  }
+  return { args, next: offset };
+};
+
+/**
+ * Resolve Redis rank bounds, where negative ranks count from the end
+ * @param {number} size - Sorted set size
+ * @param {string} start - First rank
+ * @param {string} stop - Last rank, inclusive
+ * @returns {Array<number>} Start and end (exclusive) indexes
+ */
+const rankRange = (size, start, stop) => {
+  const resolve = rank => (Number(rank) < 0 ? size + Number(rank) : Number(rank));
+  const first = Math.max(resolve(start), 0);
+  return [first, Math.max(Math.min(resolve(stop), size - 1) + 1, first)];
+};
+
+/**
+ * Fake Redis Class
+ * Speaks enough of the Redis protocol for the cache backend: strings with a PX expiry,
+ * sorted sets, DEL, EXISTS, SCAN and MULTI/EXEC. Commands run one at a time, so a
+ * transaction is atomic like on a real server.
+ */
+class FakeRedis {
+  /**
+   * Create an empty server, listening once started
+   */
+  constructor() {
+    this.strings = new Map();
+    this.sortedSets = new Map();
+    this.commands = [];
+    this.server = net.createServer(socket => this.accept(socket));
+  }
+
+  /**
+   * Start listening on a free local port
+   * @returns {Promise<string>} Server URL
+   */
+  async start() {
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    return `redis://127.0.0.1:${this.server.address().port}`;
+  }
+
+  /**
+   * Stop listening and close the open connections
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.server.closeAllConnections?.();
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  /**
+   * Delete every key
+   */
+  flush() {
+    this.strings.clear();
+    this.sortedSets.clear();
+    this.commands = [];
+  }
+
+  /**
+   * Serve a connection
+   * @param {net.Socket} socket - Client connection
+   */
+  accept(socket) {
+    let buffer = Buffer.alloc(0);
+    let queued = null;
+
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let command;
+      while ((command = parseCommand(buffer))) {
+        buffer = buffer.subarray(command.next);
+        const [name, ...args] = command.args;
+        const upper = name.toUpperCase();
+        this.commands.push(upper);
+
+        if (upper === 'MULTI') {
+          queued = [];
+          socket.write(encodeReply('OK'));
+        } else if (upper === 'EXEC') {
+          socket.write(encodeReply(queued ? queued.map(([queuedName, queuedArgs]) => this.run(queuedName, queuedArgs)) : new Error('ERR EXEC without MULTI')));
+          queued = null;
+        } else if (queued) {
+          queued.push([upper, args]);
+          socket.write(encodeReply('QUEUED'));
+        } else {
+          socket.write(encodeReply(this.run(upper, args)));
+        }
+      }
+    });
+    socket.on('error', () => {});
+  }
+
+  /**
+   * Get a live string entry, dropping it when expired
+   * @param {string} key - Key
+   * @returns {Object|undefined} Entry
+   */
+  live(key) {
+    const entry = this.strings.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.strings.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  /**
+   * Get the members of a sorted set by ascending score
+   * @param {string} key - Key
+   * @returns {Array<string>} Members
+   */
+  members(key) {
+    return [...(this.sortedSets.get(key) || new Map())]
+      .sort((a, b) => a[1] - b[1] || a[0].localeCompare(b[0]))
+      .map(([member]) => member);
+  }
+
+  /**
+   * Run a command
+   * @param {string} name - Uppercase command name
+   * @param {Array<string>} args - Arguments
+   * @returns {*} Reply
+   */
+  run(name, args) {
+    switch (name) {
+      case 'GET':
+        return this.live(args[0])?.value ?? null;
+      case 'SET': {
+        const px = args.findIndex(arg => arg.toUpperCase() === 'PX');
+        this.strings.set(args[0], {
+          value: args[1],
+          expiresAt: px === -1 ? null : Date.now() + Number(args[px + 1])
+        });
+        return 'OK';
+      }
+      case 'EXISTS':
+        return args.filter(key => this.live(key) || this.sortedSets.has(key)).length;
+      case 'DEL':
+        return args.filter(key => {
+          const existed = Boolean(this.live(key)) || this.sortedSets.has(key);
+          this.strings.delete(key);
+          this.sortedSets.delete(key);
+          return existed;
+        }).length;
+      case 'ZADD': {
+        const set = this.sortedSets.get(args[0]) || new Map();
+        this.sortedSets.set(args[0], set);
+        const added = set.has(args[2]) ? 0 : 1;
+        set.set(args[2], Number(args[1]));
+        return added;
+      }
+      case 'ZREM': {
+        const set = this.sortedSets.get(args[0]);
+        const removed = args.slice(1).filter(member => set?.delete(member)).length;
+        if (set?.size === 0) {
+          this.sortedSets.delete(args[0]);
+        }
+        return removed;
+      }
+      case 'ZCARD':
+        return this.sortedSets.get(args[0])?.size || 0;
+      case 'ZRANGE': {
+        const members = this.members(args[0]);
+        return members.slice(...rankRange(members.length, args[1], args[2]));
+      }
+      case 'ZREMRANGEBYRANK': {
+        const members = this.members(args[0]);
+        return this.run('ZREM', [args[0], ...members.slice(...rankRange(members.length, args[1], args[2]))]);
+      }
+      case 'SCAN': {
+        // Every key in one page, which is a valid SCAN result
+        const match = args.findIndex(arg => arg.toUpperCase() === 'MATCH');
+        const pattern = patternToRegExp(match === -1 ? '*' : args[match + 1]);
+        const keys = [...this.strings.keys(), ...this.sortedSets.keys()]
+          .filter(key => (this.sortedSets.has(key) || this.live(key)) && pattern.test(key));
+        return ['0', keys];
+      }
+      default:
+        return new Error(`ERR unknown command '${name}'`);
+    }
+  }
+}
+
+export default FakeRedis;
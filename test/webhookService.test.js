@@ -0,0 +1,149 @@
+/**
+ * @fileoverview Webhook delivery tests against a local HTTP receiver
+ * @author Gabriel Mendoza
+ * @version 1.0.0
+ */
+
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'iot-webhooks-'));
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+process.env.WEBHOOK_RETRY_DELAY = '50';
+process.env.LOG_LEVEL = 'warn';
+
+const { default: webhookService } = await import('../src/services/webhookService.js');
+
+const SECRET = 'receiver-shared-secret-0123456789';
+
+/**
+ * Local webhook receiver
+ * Answers each request with the next queued status code (200 once the queue is empty)
+ * and keeps the raw body, headers and arrival time of every request
+ */
+const receiver = {
+  server: null,
+  url: null,
+  statuses: [],
+  requests: []
+};
+
+/**
+ * Check a signature header the way a webhook consumer would
+ * @param {Object} request - Received request
+ * @returns {boolean} Whether the signature matches the raw body and timestamp
+ */
+const hasValidSignature = (request) => {
+  const timestamp = request.headers['x-webhook-timestamp'];
+  const expected = `sha256=${crypto.createHmac('sha256', SECRET).update(`${timestamp}.${request.body}`).digest('hex')}`;
+  const received = request.headers['x-webhook-signature'] || '';
+  return received.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+};
+
+describe('webhook delivery', () => {
+  let webhook;
+
+  before(async () => {
+    receiver.server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        receiver.requests.push({
+          headers: req.headers,
+          body: Buffer.concat(chunks).toString('utf8'),
+          receivedAt: Date.now()
+        });
+        res.statusCode = receiver.statuses.shift() ?? 200;
+        res.end();
+      });
+    });
+    await new Promise(resolve => receiver.server.listen(0, '127.0.0.1', resolve));
+    receiver.url = `http://127.0.0.1:${receiver.server.address().port}/hook`;
+
+    const created = await webhookService.create({ url: receiver.url, events: ['reading'], secret: SECRET });
+    webhook = webhookService.get(created.id);
+  });
+
+  after(async () => {
+    await new Promise(resolve => receiver.server.close(resolve));
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    receiver.statuses = [];
+    receiver.requests = [];
+  });
+
+  test('signs the raw body with the webhook secret', async () => {
+    const outcome = await webhookService.test(webhook.id);
+
+    assert.equal(outcome.delivered, true);
+    assert.equal(receiver.requests.length, 1);
+
+    const [request] = receiver.requests;
+    assert.ok(hasValidSignature(request));
+    assert.equal(request.headers['x-webhook-id'], webhook.id);
+    assert.equal(request.headers['x-webhook-event'], 'ping');
+    assert.equal(JSON.parse(request.body).event, 'ping');
+  });
+
+  test('a tampered body does not match the signature', async () => {
+    await webhookService.test(webhook.id);
+
+    const [request] = receiver.requests;
+    assert.equal(hasValidSignature({ ...request, body: request.body.replace('ping', 'pong') }), false);
+  });
+
+  test('retries 5xx responses with exponential backoff', async () => {
+    receiver.statuses = [503, 500];
+
+    const outcome = await webhookService.deliver(webhook, { id: crypto.randomUUID(), event: 'reading', data: {} });
+
+    assert.equal(outcome.delivered, true);
+    assert.equal(outcome.attempts, 3);
+    assert.equal(receiver.requests.length, 3);
+    assert.ok(receiver.requests.every(hasValidSignature));
+
+    // Retry delays are 50 ms, then 100 ms
+    const [first, second, third] = receiver.requests.map(request => request.receivedAt);
+    assert.ok(second - first >= 45, `first retry after ${second - first} ms`);
+    assert.ok(third - second >= 95, `second retry after ${third - second} ms`);
+  });
+
+  test('does not retry 4xx responses', async () => {
+    receiver.statuses = [400];
+
+    const outcome = await webhookService.deliver(webhook, { id: crypto.randomUUID(), event: 'reading', data: {} }, {
+      deadLetter: false
+    });
+
+    assert.equal(outcome.delivered, false);
+    assert.equal(outcome.status, 400);
+    assert.equal(receiver.requests.length, 1);
+  });
+
+  test('dead-letters a delivery that keeps failing and replays it', async () => {
+    receiver.statuses = [500, 500, 500];
+    const payload = { id: crypto.randomUUID(), event: 'reading', data: { device: 'ABC1' } };
+
+    const outcome = await webhookService.deliver(webhook, payload);
+
+    assert.equal(outcome.delivered, false);
+    assert.equal(outcome.attempts, 3);
+    const [deadLetter] = webhookService.listDeadLetters({ webhookId: webhook.id });
+    assert.equal(deadLetter.payload.id, payload.id);
+    assert.equal(deadLetter.lastStatus, 500);
+
+    const replay = await webhookService.replayDeadLetter(deadLetter.id);
+
+    assert.equal(replay.delivered, true);
+    assert.equal(JSON.parse(receiver.requests.at(-1).body).id, payload.id);
+    assert.equal(webhookService.listDeadLetters({ webhookId: webhook.id }).length, 0);
+  });
+});